@@ -4,860 +4,7007 @@
  */
 
 // ===== CONFIGURATION CONSTANTS =====
-const CONFIG = {
+
+/**
+ * Built-in defaults. Some of these can be overridden per user from the
+ * settings dialog, so the rest of the app reads the live CONFIG below.
+ */
+const DEFAULT_CONFIG = deepFreeze({
     BUTTON_DISABLE_DURATION: 9000,
     SELF_DESTRUCT_DELAY: 2000,
     COUNTDOWN_DURATION: 5,
+    COUNTDOWN_EXTENSION: 10,
     FIREWORKS: {
         COUNT: 15,
         STAGGER_DELAY: 100,
-        CLEANUP_DELAY: 4000,
-        COLORS: ['red', 'blue', 'green', 'yellow', 'purple', 'pink']
+        SPARKS: 25,
+        SECONDARY_SPARKS: 15,
+        COLORS: ['#ff3030', '#3074ff', '#30ff30', '#ffff30', '#a030ff', '#ff30a0']
     },
     CONFETTI: {
         COUNT: 150,
-        CLEANUP_DELAY: 6000,
         COLORS: ['#e74c3c', '#3498db', '#2ecc71', '#f1c40f', '#9b59b6']
+    },
+    BALLOONS: {
+        COUNT: 20,
+        COLORS: ['#e74c3c', '#3498db', '#2ecc71', '#f1c40f', '#9b59b6', '#e67e22']
+    },
+    SNOW: {
+        COUNT: 120
+    },
+    EMOJI_RAIN: {
+        COUNT: 60,
+        EMOJIS: ['🎉', '😎', '🍸', '💥', '⭐', '🎊', '🕶️', '💎']
+    },
+    LASER: {
+        BEAMS: 5,
+        COLOR: '#ff2020'
+    },
+    STARBURST: {
+        RAYS: 80,
+        COLORS: ['#f1c40f', '#ffffff', '#e67e22', '#e74c3c']
+    },
+    PARTICLES: {
+        MAX_COUNT: 1200,
+        MIN_COUNT: 150,
+        TARGET_FRAME_TIME: 1000 / 50 // Shed particles when frames take longer than this
+    },
+    VISITS: {
+        SESSION_GAP: 30 * 60 * 1000, // Greetings closer together than this count as one visit
+        HISTORY_LIMIT: 200
+    },
+    QUOTES: {
+        MODE: 'daily', // 'daily' keeps one quote per calendar day, 'random' picks a new one each time
+        TIMEOUT: 4000,
+        API_URL: 'https://api.quotable.io/random?minLength=50&maxLength=150',
+        CORPUS_URL: './quotes.json'
+    },
+    NAMES: {
+        MAX_LENGTH: 50, // In user-perceived characters
+        CAPITALIZE: true, // Fix the case of names typed all lower or all upper case
+        PROFANITY_FILTER: true,
+        PROFANITY_LIST_URL: './profanity.json'
+    },
+    GROUP: {
+        INTERVAL: 8000, // Time each person's greeting stays up before the next
+        MAX_NAMES: 100
+    },
+    INSTALL: {
+        DISMISS_COOLDOWN: 14 * 24 * 60 * 60 * 1000 // "Later" hides the install offer for this long
+    },
+    REMINDERS: {
+        DEFAULT_TIME: '09:00',
+        SNOOZE_MINUTES: 10
+    },
+    SYNC: {
+        GREETING_URL: '', // Off while empty. When set, each greeting is POSTed here, queued for Background Sync while offline (see README)
+        RETRY_INTERVAL: 30 * 1000 // Outbox retry period for browsers without Background Sync
     }
-};
+});
 
-const GREETINGS = {
-    morning: [
-        "Good morning, {name}! Let's have a great day.",
-        "Top of the morning to you, {name}!",
-        "Hello {name}, you're starting your day off right!"
-    ],
-    afternoon: [
-        "Good afternoon, {name}! Hope you're having a productive day.",
-        "Hey there, {name}! Taking a well-deserved break?",
-        "Hello, {name}! The afternoon is full of possibilities."
-    ],
-    evening: [
-        "Good evening, {name}! Time to unwind.",
-        "Hello, {name}! Hope you had a wonderful day.",
-        "Welcome, {name}! Enjoy your evening."
-    ]
-};
+/**
+ * Live configuration: the defaults with the active user's overrides applied
+ */
+const CONFIG = cloneConfig(DEFAULT_CONFIG);
+
+/**
+ * Freeze an object and everything nested in it
+ * @param {Object} object - Object to freeze
+ * @returns {Object} The same object, frozen
+ */
+function deepFreeze(object) {
+    Object.values(object).forEach((value) => {
+        if (value && typeof value === 'object') {
+            deepFreeze(value);
+        }
+    });
+    return Object.freeze(object);
+}
+
+/**
+ * Make a mutable deep copy of plain configuration data
+ * @param {any} value - Configuration value
+ * @returns {any} The copy
+ */
+function cloneConfig(value) {
+    return JSON.parse(JSON.stringify(value));
+}
 
 // ===== GLOBAL STATE =====
 let audioContext = null;
+let masterGain = null;
+const noiseBuffers = {};
+const selfDestructTimers = { start: null, countdown: null, cleanup: null };
 let isProcessing = false;
+let currentLocale = 'en';
 
 // ===== LOCAL STORAGE UTILITIES =====
 
 /**
- * Local storage key constants
+ * Field names inside the versioned state document
  */
 const STORAGE_KEYS = {
-    USER_NAME: 'greetingApp_userName',
-    EFFECT_PREFERENCE: 'greetingApp_effectPreference',
-    VISIT_COUNT: 'greetingApp_visitCount',
-    LAST_VISIT: 'greetingApp_lastVisit'
+    USER_NAME: 'userName',
+    EFFECT_PREFERENCE: 'effectPreference',
+    VISIT_COUNT: 'visitCount',
+    LAST_VISIT: 'lastVisit',
+    DAILY_QUOTE: 'dailyQuote',
+    CUSTOM_QUOTES: 'customQuotes',
+    GREETING_PACKS: 'greetingPacks',
+    LOCALE: 'locale',
+    GREETING_LANGUAGE: 'greetingLanguage',
+    CALM_MODE: 'calmMode',
+    SELF_DESTRUCT: 'selfDestruct',
+    SETTINGS: 'settings',
+    THEME: 'theme',
+    BIRTHDAY: 'birthday',
+    RECIPIENT_TIME_ZONE: 'recipientTimeZone',
+    VISIT_HISTORY: 'visitHistory',
+    STREAK: 'streak',
+    SOUND: 'sound',
+    REMINDER: 'reminder',
+    INSTALL: 'install',
+    ONBOARDING_COMPLETE: 'onboardingComplete',
+    GUEST: 'guest',
+    PROFILES: 'profiles',
+    ACTIVE_PROFILE_ID: 'activeProfileId'
 };
 
 /**
- * Save user data to local storage
- * @param {string} key - Storage key
- * @param {any} value - Value to store
+ * Fields stored per profile rather than per device. Reads and writes of
+ * these keys go to the active profile, or to the guest settings while
+ * nobody is selected.
  */
-function saveToStorage(key, value) {
+const PROFILE_FIELDS = [
+    STORAGE_KEYS.USER_NAME,
+    STORAGE_KEYS.EFFECT_PREFERENCE,
+    STORAGE_KEYS.VISIT_COUNT,
+    STORAGE_KEYS.LAST_VISIT,
+    STORAGE_KEYS.LOCALE,
+    STORAGE_KEYS.GREETING_LANGUAGE,
+    STORAGE_KEYS.CALM_MODE,
+    STORAGE_KEYS.SELF_DESTRUCT,
+    STORAGE_KEYS.SETTINGS,
+    STORAGE_KEYS.THEME,
+    STORAGE_KEYS.BIRTHDAY,
+    STORAGE_KEYS.RECIPIENT_TIME_ZONE,
+    STORAGE_KEYS.VISIT_HISTORY,
+    STORAGE_KEYS.STREAK
+];
+
+/**
+ * The single local storage entry holding all app state
+ */
+const STATE_STORAGE_KEY = 'greetingApp_state';
+const STATE_VERSION = 3;
+
+/**
+ * Loose per-field keys used before the state document existed (version 0)
+ */
+const LEGACY_STORAGE_KEYS = {
+    userName: 'greetingApp_userName',
+    effectPreference: 'greetingApp_effectPreference',
+    visitCount: 'greetingApp_visitCount',
+    lastVisit: 'greetingApp_lastVisit',
+    dailyQuote: 'greetingApp_dailyQuote',
+    customQuotes: 'greetingApp_customQuotes',
+    locale: 'greetingApp_locale',
+    greetingLanguage: 'greetingApp_greetingLanguage'
+};
+
+/**
+ * Check for a non-null, non-array object
+ * @param {any} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check an entry of a profile's greeting log, as written by recordGreeting
+ * @param {any} entry - Candidate log entry
+ * @returns {boolean} True if the history view can render the entry
+ */
+function isValidHistoryEntry(entry) {
+    return isPlainObject(entry) &&
+        typeof entry.at === 'string' && !Number.isNaN(Date.parse(entry.at)) &&
+        typeof entry.language === 'string' &&
+        typeof entry.effect === 'string' &&
+        (entry.quote === null || isValidQuote(entry.quote));
+}
+
+/**
+ * Validators for each profile field
+ */
+const PROFILE_SCHEMA = {
+    id: (value) => typeof value === 'string' && value !== '',
+    createdAt: (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+    userName: (value) => value === null || typeof value === 'string',
+    effectPreference: (value) => typeof value === 'string',
+    visitCount: (value) => Number.isInteger(value) && value >= 0,
+    lastVisit: (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+    locale: (value) => SUPPORTED_LOCALES.some(({ code }) => code === value),
+    greetingLanguage: (value) => isPlainObject(value),
+    calmMode: (value) => ['auto', 'on', 'off'].includes(value),
+    selfDestruct: (value) => isPlainObject(value),
+    settings: (value) => isPlainObject(value),
+    theme: (value) => THEMES.includes(value),
+    birthday: (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+    recipientTimeZone: (value) => isValidTimeZone(value),
+    visitHistory: (value) => Array.isArray(value),
+    streak: (value) => isPlainObject(value) && Number.isInteger(value.current) && Number.isInteger(value.best)
+};
+
+/**
+ * Validators for each state field. Fields that fail are dropped on load
+ * so callers fall back to their defaults instead of crashing.
+ */
+const STATE_SCHEMA = {
+    dailyQuote: (value) => isPlainObject(value) && typeof value.dateKey === 'string' && isPlainObject(value.quote),
+    customQuotes: (value) => Array.isArray(value),
+    greetingPacks: (value) => isPlainObject(value),
+    sound: (value) => isPlainObject(value),
+    reminder: (value) => isPlainObject(value),
+    install: (value) => isPlainObject(value),
+    onboardingComplete: (value) => typeof value === 'boolean',
+    guest: (value) => isPlainObject(value),
+    profiles: (value) => isPlainObject(value),
+    activeProfileId: (value) => value === null || typeof value === 'string'
+};
+
+/**
+ * Migrations keyed by the version they upgrade from. Each receives a
+ * state document and returns one at the next version.
+ */
+const STATE_MIGRATIONS = {
+    // Version 0: values stored under their own loose keys
+    0: (state) => {
+        const data = {};
+        Object.entries(LEGACY_STORAGE_KEYS).forEach(([field, legacyKey]) => {
+            if (legacyKey in state.data) {
+                data[field] = state.data[legacyKey];
+            }
+        });
+        // Early builds could leave the counter as a numeric string
+        if (typeof data.visitCount === 'string' && /^\d+$/.test(data.visitCount)) {
+            data.visitCount = Number(data.visitCount);
+        }
+        return { version: 1, data };
+    },
+    // Version 1: a single user's fields at the top level
+    1: (state) => {
+        const data = {};
+        const profile = { id: generateProfileId(), createdAt: new Date().toISOString() };
+        Object.entries(state.data).forEach(([field, value]) => {
+            if (PROFILE_FIELDS.includes(field)) {
+                profile[field] = value;
+            } else {
+                data[field] = value;
+            }
+        });
+        if (Object.keys(profile).length > 2) {
+            data.profiles = { [profile.id]: profile };
+            data.activeProfileId = profile.id;
+        }
+        return { version: 2, data };
+    },
+    // Version 2: effect preference stored as true (confetti) / false (fireworks)
+    2: (state) => {
+        const profiles = {};
+        Object.entries(state.data.profiles || {}).forEach(([id, profile]) => {
+            profiles[id] = isPlainObject(profile) && typeof profile.effectPreference === 'boolean'
+                ? { ...profile, effectPreference: profile.effectPreference ? 'confetti' : 'fireworks' }
+                : profile;
+        });
+        return { version: 3, data: { ...state.data, profiles } };
+    }
+};
+
+/**
+ * In-memory copy of the state document, loaded on first use
+ */
+let appState = null;
+
+/**
+ * Read the version 0 layout from the loose legacy keys
+ * @returns {Object|null} Version 0 state document, or null if none exists
+ */
+function readLegacyState() {
+    const data = {};
+    Object.values(LEGACY_STORAGE_KEYS).forEach((legacyKey) => {
+        const item = localStorage.getItem(legacyKey);
+        if (item === null) return;
+        try {
+            data[legacyKey] = JSON.parse(item);
+        } catch (error) {
+            console.warn(`Discarding unreadable legacy value for ${legacyKey}:`, error);
+        }
+    });
+    return Object.keys(data).length > 0 ? { version: 0, data } : null;
+}
+
+/**
+ * Upgrade a state document to the current version
+ * @param {Object} state - State document at any known version
+ * @returns {Object} State document at STATE_VERSION
+ */
+function migrateState(state) {
+    let migrated = state;
+    while (migrated.version < STATE_VERSION) {
+        const migration = STATE_MIGRATIONS[migrated.version];
+        if (!migration) {
+            throw new Error(`No migration from state version ${migrated.version}`);
+        }
+        migrated = migration(migrated);
+    }
+    return migrated;
+}
+
+/**
+ * Drop unknown or invalid fields from an object
+ * @param {Object} data - Raw data
+ * @param {Object} schema - Validator per field
+ * @returns {Object} Data containing only valid fields
+ */
+function validateFields(data, schema) {
+    const validData = {};
+    Object.entries(isPlainObject(data) ? data : {}).forEach(([field, value]) => {
+        const validator = schema[field];
+        if (validator && validator(value)) {
+            validData[field] = value;
+        } else {
+            console.warn(`Ignoring invalid stored value for "${field}":`, value);
+        }
+    });
+    return validData;
+}
+
+/**
+ * Drop unknown or invalid fields from state data, including each profile
+ * @param {Object} data - Raw state data
+ * @returns {Object} Data containing only valid fields
+ */
+function validateStateData(data) {
+    const validData = validateFields(data, STATE_SCHEMA);
+    if (validData.guest) {
+        validData.guest = validateFields(validData.guest, PROFILE_SCHEMA);
+    }
+
+    const profiles = {};
+    Object.values(validData.profiles || {}).forEach((profile) => {
+        const validProfile = validateFields(profile, PROFILE_SCHEMA);
+        // A damaged log entry is dropped on its own rather than taking the whole log with it
+        if (validProfile.visitHistory) {
+            validProfile.visitHistory = validProfile.visitHistory.filter(isValidHistoryEntry);
+        }
+        if (validProfile.id) {
+            profiles[validProfile.id] = validProfile;
+        }
+    });
+    validData.profiles = profiles;
+
+    if (!profiles[validData.activeProfileId]) {
+        validData.activeProfileId = null;
+    }
+    return validData;
+}
+
+/**
+ * Check a parsed document and bring it up to the current schema
+ * @param {any} state - Parsed state document
+ * @returns {Object} Valid state document at STATE_VERSION
+ */
+function normalizeState(state) {
+    if (!isPlainObject(state) || !Number.isInteger(state.version) || !isPlainObject(state.data)) {
+        throw new Error('Not a greeting app state document');
+    }
+    if (state.version > STATE_VERSION) {
+        throw new Error(`State version ${state.version} is newer than this app supports`);
+    }
+    const migrated = migrateState(state);
+    return { version: STATE_VERSION, data: validateStateData(migrated.data) };
+}
+
+/**
+ * Write the state document to local storage
+ */
+function persistState() {
     try {
-        localStorage.setItem(key, JSON.stringify(value));
+        localStorage.setItem(STATE_STORAGE_KEY, JSON.stringify(appState));
     } catch (error) {
         console.warn('Failed to save to localStorage:', error);
     }
 }
 
 /**
- * Load user data from local storage
- * @param {string} key - Storage key
- * @param {any} defaultValue - Default value if key doesn't exist
- * @returns {any} Stored value or default
+ * Load the state document, migrating the legacy layout the first time
+ * @returns {Object} Current state document
  */
-function loadFromStorage(key, defaultValue = null) {
+function getState() {
+    if (appState) {
+        return appState;
+    }
+
     try {
-        const item = localStorage.getItem(key);
-        return item ? JSON.parse(item) : defaultValue;
+        const item = localStorage.getItem(STATE_STORAGE_KEY);
+        if (item) {
+            appState = normalizeState(JSON.parse(item));
+        } else {
+            const legacyState = readLegacyState();
+            appState = legacyState ? normalizeState(legacyState) : { version: STATE_VERSION, data: {} };
+            persistState();
+            Object.values(LEGACY_STORAGE_KEYS).forEach((legacyKey) => localStorage.removeItem(legacyKey));
+        }
     } catch (error) {
         console.warn('Failed to load from localStorage:', error);
-        return defaultValue;
+        appState = { version: STATE_VERSION, data: {} };
+    }
+    return appState;
+}
+
+/**
+ * Get the object a field lives in: the state data for device fields, and
+ * the active profile or, with nobody selected, the guest settings for
+ * profile fields. Saving never creates a profile.
+ * @param {string} key - Field name from STORAGE_KEYS
+ * @returns {Object} Object holding the field
+ */
+function getStorageTarget(key) {
+    const data = getState().data;
+    if (!PROFILE_FIELDS.includes(key)) {
+        return data;
+    }
+    if (!data.guest) {
+        data.guest = {};
+    }
+    return getActiveProfile() || data.guest;
+}
+
+/**
+ * Save a field of user data
+ * @param {string} key - Field name from STORAGE_KEYS
+ * @param {any} value - Value to store
+ */
+function saveToStorage(key, value) {
+    getStorageTarget(key)[key] = value;
+    persistState();
+}
+
+/**
+ * Load a field of user data
+ * @param {string} key - Field name from STORAGE_KEYS
+ * @param {any} defaultValue - Default value if the field doesn't exist
+ * @returns {any} Stored value or default
+ */
+function loadFromStorage(key, defaultValue = null) {
+    const source = getStorageTarget(key);
+    return key in source ? source[key] : defaultValue;
+}
+
+/**
+ * Remove a field of user data
+ * @param {string} key - Field name from STORAGE_KEYS
+ */
+function removeFromStorage(key) {
+    delete getStorageTarget(key)[key];
+    persistState();
+}
+
+/**
+ * Serialize all user data for export
+ * @returns {string} JSON export document
+ */
+function exportState() {
+    return JSON.stringify({
+        app: 'greeting-app',
+        exportedAt: new Date().toISOString(),
+        ...getState()
+    }, null, 2);
+}
+
+/**
+ * Replace all user data with an exported document
+ * @param {string} json - JSON export document
+ * @throws {Error} If the document is not valid
+ */
+function importState(json) {
+    const { version, data } = JSON.parse(json);
+    appState = normalizeState({ version, data });
+    persistState();
+}
+
+// Another tab changed the state; reload it on next access
+window.addEventListener('storage', (event) => {
+    if (event.key === STATE_STORAGE_KEY) {
+        appState = null;
+    }
+});
+
+// ===== PROFILES =====
+
+/**
+ * Generate a unique profile id
+ * @returns {string} Profile id
+ */
+function generateProfileId() {
+    return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Get all profiles, most recently visited first
+ * @returns {Array<Object>} Profiles
+ */
+function getProfiles() {
+    return Object.values(getState().data.profiles || {})
+        .sort((a, b) => (b.lastVisit || b.createdAt).localeCompare(a.lastVisit || a.createdAt));
+}
+
+/**
+ * Get the active profile
+ * @returns {Object|null} Active profile, or null if nobody is selected
+ */
+function getActiveProfile() {
+    const { profiles = {}, activeProfileId } = getState().data;
+    return profiles[activeProfileId] || null;
+}
+
+/**
+ * Make a profile the active one
+ * @param {string|null} profileId - Profile id, or null for no profile
+ */
+function setActiveProfile(profileId) {
+    const data = getState().data;
+    data.activeProfileId = data.profiles && data.profiles[profileId] ? profileId : null;
+    persistState();
+}
+
+/**
+ * Create a profile and make it active. Created while nobody is selected,
+ * it keeps the guest settings already in use.
+ * @param {string|null} name - Profile owner's name
+ * @returns {Object} The new profile
+ */
+function createProfile(name) {
+    const data = getState().data;
+    const settings = getActiveProfile() ? {} : data.guest;
+    const profile = { ...settings, id: generateProfileId(), createdAt: new Date().toISOString(), userName: name };
+    data.profiles = { ...data.profiles, [profile.id]: profile };
+    data.activeProfileId = profile.id;
+    persistState();
+    return profile;
+}
+
+/**
+ * Delete a profile and all its data
+ * @param {string} profileId - Profile id
+ */
+function deleteProfile(profileId) {
+    const data = getState().data;
+    if (!data.profiles) return;
+    delete data.profiles[profileId];
+    if (data.activeProfileId === profileId) {
+        const [nextProfile] = getProfiles();
+        data.activeProfileId = nextProfile ? nextProfile.id : null;
+    }
+    persistState();
+}
+
+/**
+ * Find a profile by its owner's name, ignoring case
+ * @param {string} name - Name to look for
+ * @returns {Object|undefined} Matching profile
+ */
+function findProfileByName(name) {
+    const wanted = name.toLocaleLowerCase();
+    return getProfiles().find((profile) =>
+        typeof profile.userName === 'string' && profile.userName.toLocaleLowerCase() === wanted
+    );
+}
+
+/**
+ * Make the profile with a typed name active, if there is one. Greeting a
+ * name nobody has a profile for never creates or switches profiles - new
+ * profiles come only from the profile switcher and onboarding.
+ * @param {string} name - The name being greeted
+ * @returns {Object|null} The name's profile, or null for a guest
+ */
+function selectProfileForName(name) {
+    const profile = findProfileByName(name);
+    if (profile) {
+        setActiveProfile(profile.id);
     }
+    return profile || null;
 }
 
 /**
- * Save user preferences
+ * Save the active profile's name and effect preference. With nobody
+ * selected, as when onboarding finishes, a profile is created for the name.
  * @param {string} name - User's name
- * @param {boolean} effectPreference - True for confetti, false for fireworks
+ * @param {string} effectPreference - Effect id from EFFECTS, or 'random'
  */
 function saveUserPreferences(name, effectPreference) {
+    if (!getActiveProfile()) {
+        createProfile(name);
+    }
     saveToStorage(STORAGE_KEYS.USER_NAME, name);
     saveToStorage(STORAGE_KEYS.EFFECT_PREFERENCE, effectPreference);
-    
-    // Update visit tracking
-    const visitCount = loadFromStorage(STORAGE_KEYS.VISIT_COUNT, 0) + 1;
-    saveToStorage(STORAGE_KEYS.VISIT_COUNT, visitCount);
-    saveToStorage(STORAGE_KEYS.LAST_VISIT, new Date().toISOString());
 }
 
 /**
- * Check if user is returning
- * @returns {boolean} True if user has visited before
+ * Check if the active profile's user is returning
+ * @returns {boolean} True if this profile has visited before
  */
 function isReturningUser() {
     return loadFromStorage(STORAGE_KEYS.USER_NAME) !== null;
 }
 
 /**
- * Get stored user data
+ * Get stored user data for the active profile
  * @returns {Object} User data object
  */
 function getStoredUserData() {
     return {
         name: loadFromStorage(STORAGE_KEYS.USER_NAME),
-        effectPreference: loadFromStorage(STORAGE_KEYS.EFFECT_PREFERENCE, false),
+        effectPreference: loadFromStorage(STORAGE_KEYS.EFFECT_PREFERENCE, DEFAULT_EFFECT),
         visitCount: loadFromStorage(STORAGE_KEYS.VISIT_COUNT, 0),
         lastVisit: loadFromStorage(STORAGE_KEYS.LAST_VISIT)
     };
 }
 
-// ===== API INTEGRATION =====
+// ===== VISIT HISTORY =====
 
 /**
- * Multi-language translations for "Hello"
+ * Count calendar days between two dates in local time
+ * @param {Date} from - Earlier date
+ * @param {Date} to - Later date
+ * @returns {number} Whole days between the two calendar dates
  */
-const HELLO_TRANSLATIONS = [
-    { language: 'English', greeting: 'Hello' },
-    { language: 'Spanish', greeting: 'Hola' },
-    { language: 'French', greeting: 'Bonjour' },
-    { language: 'German', greeting: 'Hallo' },
-    { language: 'Italian', greeting: 'Ciao' },
-    { language: 'Portuguese', greeting: 'Olá' },
-    { language: 'Russian', greeting: 'Привет' },
-    { language: 'Japanese', greeting: 'こんにちは' },
-    { language: 'Korean', greeting: '안녕하세요' },
-    { language: 'Chinese', greeting: '你好' },
-    { language: 'Arabic', greeting: 'مرحبا' },
-    { language: 'Hindi', greeting: 'नमस्ते' },
-    { language: 'Dutch', greeting: 'Hallo' },
-    { language: 'Swedish', greeting: 'Hej' },
-    { language: 'Norwegian', greeting: 'Hei' },
-    { language: 'Finnish', greeting: 'Hei' },
-    { language: 'Greek', greeting: 'Γεια σας' },
-    { language: 'Turkish', greeting: 'Merhaba' },
-    { language: 'Polish', greeting: 'Cześć' },
-    { language: 'Czech', greeting: 'Ahoj' }
-];
+function daysBetween(from, to) {
+    const start = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+    const end = new Date(to.getFullYear(), to.getMonth(), to.getDate());
+    return Math.round((end - start) / 86400000);
+}
 
 /**
- * Fetch quote of the day from API
- * @returns {Promise<Object>} Quote object with text and author
+ * Get the active profile's greeting log, oldest first
+ * @returns {Array<Object>} Entries with at, language, quote and effect
  */
-async function fetchQuoteOfTheDay() {
-    try {
-        const response = await fetch('https://api.quotable.io/random?minLength=50&maxLength=150');
-        if (!response.ok) {
-            throw new Error('Quote API request failed');
-        }
-        const data = await response.json();
-        return {
-            text: data.content,
-            author: data.author
-        };
-    } catch (error) {
-        console.warn('Failed to fetch quote:', error);
-        // Fallback quotes
-        const fallbackQuotes = [
-            { text: "The only way to do great work is to love what you do.", author: "Steve Jobs" },
-            { text: "Innovation distinguishes between a leader and a follower.", author: "Steve Jobs" },
-            { text: "Life is what happens to you while you're busy making other plans.", author: "John Lennon" },
-            { text: "The future belongs to those who believe in the beauty of their dreams.", author: "Eleanor Roosevelt" },
-            { text: "It is during our darkest moments that we must focus to see the light.", author: "Aristotle" }
-        ];
-        const randomIndex = Math.floor(Math.random() * fallbackQuotes.length);
-        return fallbackQuotes[randomIndex];
-    }
+function getVisitHistory() {
+    return loadFromStorage(STORAGE_KEYS.VISIT_HISTORY, []);
 }
 
 /**
- * Get a random "Hello" translation
- * @returns {Object} Translation object with language and greeting
+ * Get the active profile's daily streak
+ * @returns {Object} Streak with current, best and lastDateKey
  */
-function getRandomHelloTranslation() {
-    const randomIndex = Math.floor(Math.random() * HELLO_TRANSLATIONS.length);
-    return HELLO_TRANSLATIONS[randomIndex];
+function getStreak() {
+    return loadFromStorage(STORAGE_KEYS.STREAK, { current: 0, best: 0, lastDateKey: null });
 }
 
 /**
- * Create enhanced greeting with translation and quote
- * @param {string} name - User's name
- * @param {Object} translation - Translation object
- * @param {Object} quote - Quote object
- * @returns {string} Enhanced greeting HTML
+ * Advance the daily streak for a greeting on the given date
+ * @param {Object} streak - Current streak
+ * @param {Date} date - Date of the greeting
+ * @returns {Object} Updated streak
  */
-function createEnhancedGreeting(name, translation, quote) {
-    const userData = getStoredUserData();
-    const isReturning = isReturningUser() && userData.visitCount > 1;
-    
-    let mainGreeting;
-    
-    if (isReturning) {
-        const welcomeBackMessages = [
-            `${translation.greeting}, ${name}! Welcome back! Great to see you again! 🎉`,
-            `${translation.greeting}, ${name}! You're back! Hope you're having an amazing day! ✨`,
-            `${translation.greeting}, ${name}! Welcome back to the party! 🎊`,
-            `${translation.greeting}, ${name}! So good to see you return! Ready for more fun? 🚀`
-        ];
-        const randomIndex = Math.floor(Math.random() * welcomeBackMessages.length);
-        mainGreeting = welcomeBackMessages[randomIndex];
-    } else {
-        // Use translation in regular greetings
-        const currentHour = new Date().getHours();
-        let timeGreeting;
-        
-        if (currentHour < 12) {
-            timeGreeting = `Good morning, ${name}! Let's have a great day.`;
-        } else if (currentHour < 18) {
-            timeGreeting = `Good afternoon, ${name}! Hope you're having a productive day.`;
-        } else {
-            timeGreeting = `Good evening, ${name}! Time to unwind.`;
-        }
-        
-        mainGreeting = `${translation.greeting}, ${name}! ${timeGreeting.split('!')[1]}`;
+function updateStreak(streak, date) {
+    const dateKey = getDateKey(date);
+    if (streak.lastDateKey === dateKey) {
+        return streak;
     }
-    
-    return `
-        <div class="enhanced-greeting">
-            <div class="main-greeting">${mainGreeting}</div>
-            <div class="translation-info">That's "Hello" in ${translation.language}! 🌍</div>
-            <div class="quote-section">
-                <div class="quote-text">"${quote.text}"</div>
-                <div class="quote-author">— ${quote.author}</div>
-            </div>
-        </div>
-    `;
-}
 
-// ===== MAIN FUNCTIONS =====
+    const [year, month, day] = (streak.lastDateKey || '').split('-').map(Number);
+    const continues = streak.lastDateKey && daysBetween(new Date(year, month - 1, day), date) === 1;
+    const current = continues ? streak.current + 1 : 1;
+    return { current, best: Math.max(streak.best, current), lastDateKey: dateKey };
+}
 
 /**
- * Main greeting function that handles user interaction
+ * Log a greeting for the active profile. Greetings within
+ * CONFIG.VISITS.SESSION_GAP of the previous one belong to the same visit.
+ * @param {Object} details - Language code, quote and effect shown
  */
-async function greetUser() {
-    if (isProcessing) return; // Prevent multiple simultaneous executions
-    
-    isProcessing = true;
-    try {
-        const elements = getElements();
-        const name = elements.nameInput.value.trim();
-
-        if (!validateInput(name)) {
-            isProcessing = false;
-            return;
-        }
+function recordGreeting({ language, quote, effect }) {
+    const now = new Date();
+    const lastVisit = loadFromStorage(STORAGE_KEYS.LAST_VISIT);
 
-        setButtonLoading(elements.greetButton, true);
-        
-        // Save user preferences before generating greeting
-        saveUserPreferences(name, elements.effectToggle.checked);
-        
-        // Show loading message while fetching data
-        showMessage('🌍 Connecting to the world...', 'loading');
-        
-        // Fetch quote and translation simultaneously
-        const [quote, translation] = await Promise.all([
-            fetchQuoteOfTheDay(),
-            Promise.resolve(getRandomHelloTranslation())
-        ]);
-        
-        const enhancedGreeting = createEnhancedGreeting(name, translation, quote);
-        
-        showEnhancedMessage(enhancedGreeting, 'success');
-        triggerEffect(elements.effectToggle.checked);
-        startSelfDestruct();
-        
-        elements.nameInput.value = '';
-
-        setTimeout(() => {
-            setButtonLoading(elements.greetButton, false);
-            isProcessing = false;
-        }, CONFIG.BUTTON_DISABLE_DURATION);
-        
-    } catch (error) {
-        console.error('Error in greetUser:', error);
-        showMessage('Something went wrong! Please try again.', 'error');
-        isProcessing = false;
+    if (!lastVisit || now - new Date(lastVisit) > CONFIG.VISITS.SESSION_GAP) {
+        saveToStorage(STORAGE_KEYS.VISIT_COUNT, loadFromStorage(STORAGE_KEYS.VISIT_COUNT, 0) + 1);
     }
-}
+    saveToStorage(STORAGE_KEYS.LAST_VISIT, now.toISOString());
+    saveToStorage(STORAGE_KEYS.STREAK, updateStreak(getStreak(), now));
 
-function handleKeyPress(event) {
-    if (event.key === 'Enter') {
-        greetUser();
-    }
+    const history = [...getVisitHistory(), { at: now.toISOString(), language, quote, effect }];
+    saveToStorage(STORAGE_KEYS.VISIT_HISTORY, history.slice(-CONFIG.VISITS.HISTORY_LIMIT));
 }
 
-// ===== UTILITY FUNCTIONS =====
-
 /**
- * Get all required DOM elements
+ * Get how many days ago the active profile was last greeted, not counting
+ * the greeting just recorded
+ * @returns {number|null} Days since the previous greeting, or null if none
+ */
+function getDaysSinceLastSeen() {
+    const history = getVisitHistory();
+    const previous = history[history.length - 2];
+    return previous ? daysBetween(new Date(previous.at), new Date()) : null;
+}
+
+/**
+ * Erase the active profile's greeting log and streak
+ */
+function clearVisitHistory() {
+    saveToStorage(STORAGE_KEYS.VISIT_HISTORY, []);
+    saveToStorage(STORAGE_KEYS.STREAK, { current: 0, best: 0, lastDateKey: null });
+}
+
+// ===== SAFE RENDERING =====
+
+/**
+ * Build a DOM element without ever parsing strings as HTML.
+ * String and number children become text nodes, so user names and
+ * third-party quote payloads can't inject markup or scripts.
+ * @param {string} tag - Element tag name
+ * @param {Object} [props] - className, event handlers (onClick...) or attributes
+ * @param {...(Node|string|number|null|Array)} children - Child nodes or text
+ * @returns {HTMLElement} The built element
+ */
+function createElement(tag, props = {}, ...children) {
+    const element = document.createElement(tag);
+
+    Object.entries(props || {}).forEach(([key, value]) => {
+        if (value === null || value === undefined || value === false) return;
+
+        if (key === 'className') {
+            element.className = value;
+        } else if (/^on/i.test(key)) {
+            // Only function handlers are attached; inline handler strings never become attributes
+            if (typeof value === 'function') {
+                element.addEventListener(key.slice(2).toLowerCase(), value);
+            }
+        } else {
+            element.setAttribute(key, value === true ? '' : String(value));
+        }
+    });
+
+    appendChildren(element, children);
+    return element;
+}
+
+/**
+ * Append children to an element, converting text to text nodes
+ * @param {Node} parent - The parent node
+ * @param {Array} children - Nodes, strings, numbers or nested arrays
+ */
+function appendChildren(parent, children) {
+    children.flat(Infinity).forEach((child) => {
+        if (child === null || child === undefined || child === false) return;
+        parent.appendChild(child instanceof Node ? child : document.createTextNode(String(child)));
+    });
+}
+
+/**
+ * Replace the content of an element with safely built nodes
+ * @param {HTMLElement} target - Element to render into
+ * @param {...(Node|string|number|null|Array)} children - New content
+ */
+function renderContent(target, ...children) {
+    target.textContent = '';
+    appendChildren(target, children);
+}
+
+// ===== INTERNATIONALIZATION =====
+
+/**
+ * Locales with a full UI message catalog, listed by their own name
+ */
+const SUPPORTED_LOCALES = [
+    { code: 'en', name: 'English' },
+    { code: 'es', name: 'Español' },
+    { code: 'fr', name: 'Français' },
+    { code: 'de', name: 'Deutsch' },
+    { code: 'ja', name: '日本語' },
+    { code: 'ar', name: 'العربية', dir: 'rtl' }
+];
+
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * UI message catalogs. A message is a string, an array of alternatives
+ * (one is picked at random) or an object of Intl.PluralRules categories.
+ * Missing keys fall back to the English catalog.
+ */
+const MESSAGES = {
+    en: {
+        'app.title': 'James Bond Greeting App',
+        'app.heading': 'Welcome to the Greeting App',
+        'input.label': 'Enter your name',
+        'input.placeholder': 'Enter your name',
+        'input.welcomeBack': 'Welcome back, {name}!',
+        'button.greet': 'Greet Me!',
+        'effect.fireworks': 'Fireworks',
+        'effect.confetti': 'Confetti',
+        'locale.label': 'Language',
+        'status.connecting': '🌍 Connecting to the world...',
+        'status.error': 'Something went wrong! Please try again.',
+        'validation.empty': 'Please enter your name!',
+        'greeting.translationInfo': 'That\'s "Hello" in {language}! 🌍',
+        'countdown.message': {
+            one: 'This message will self-destruct in {count} second...',
+            other: 'This message will self-destruct in {count} seconds...'
+        },
+        'countdown.destroyed': '💥 DESTROYED 💥',
+        'visit.indicator': 'Visit #{count} 🎉',
+        'languageMode.label': 'Greeting language',
+        'languageMode.random': 'Surprise me',
+        'languageMode.fixed': 'Always one language',
+        'languageMode.rotate': 'Rotate through all',
+        'languageMode.learn': 'Learn mode',
+        'languageMode.language': 'Language to use',
+        'languageMode.speak': 'Speak it aloud',
+        'learn.romanization': 'Romanization: {romanization}',
+        'learn.pronunciation': 'Say it: {pronunciation}',
+        'data.label': 'Your data',
+        'data.export': 'Export',
+        'data.import': 'Import',
+        'data.importSuccess': 'Data imported! Reloading...',
+        'data.importError': "That file couldn't be imported.",
+        'profile.label': 'Profile',
+        'profile.new': 'New profile…',
+        'profile.guest': 'Guest',
+        'profile.none': 'No profile',
+        'profile.namePrompt': 'Name for the new profile',
+        'profile.delete': 'Remove',
+        'profile.deleteConfirm': 'Remove the profile "{name}" and all of its data?',
+        'greeting.lastSeen': {
+            one: 'Last seen yesterday. Welcome back!',
+            other: 'Last seen {count} days ago. We missed you!'
+        },
+        'greeting.streak': '🔥 {count}-day streak!',
+        'history.button': 'History',
+        'history.title': 'Greeting history',
+        'history.summary': 'Visits: {visits} · Streak: {streak} · Best: {best}',
+        'history.empty': 'No greetings yet.',
+        'history.clear': 'Clear history',
+        'history.clearConfirm': 'Clear the whole greeting history?',
+        'dialog.close': 'Close',
+        'effect.label': 'Celebration',
+        'effect.balloons': 'Balloons',
+        'effect.snow': 'Snow',
+        'effect.emojiRain': 'Emoji rain',
+        'effect.laser': 'Laser sweep',
+        'effect.starburst': 'Starburst',
+        'effect.random': 'Surprise me',
+        'calm.label': 'Calm mode',
+        'message.dismiss': 'Dismiss',
+        'effect.calm': 'Gentle fade',
+        'sound.label': 'Sound',
+        'sound.mute': 'Mute sounds',
+        'sound.unmute': 'Unmute sounds',
+        'sound.volume': 'Volume',
+        'sound.pack': 'Sound pack',
+        'sound.pack.synth': 'Synth',
+        'sound.pack.retro': 'Retro 8-bit',
+        'sound.pack.silent': 'Silent',
+        'countdown.abort': 'Abort',
+        'countdown.extend': '+{count}s',
+        'countdown.keep': 'Keep this message',
+        'selfDestruct.label': 'Self-destruct',
+        'selfDestruct.enabled': 'Self-destruct greetings',
+        'selfDestruct.delay': 'Delay before countdown (s)',
+        'selfDestruct.duration': 'Countdown length (s)',
+        'settings.button': 'Settings',
+        'settings.title': 'Settings',
+        'settings.group.timing': 'Timing',
+        'settings.group.effects': 'Celebrations',
+        'settings.group.colors': 'Colors',
+        'settings.buttonCooldown': 'Button cooldown (ms)',
+        'settings.countdownExtension': 'Countdown extension (s)',
+        'settings.fireworksCount': 'Fireworks',
+        'settings.confettiCount': 'Confetti pieces',
+        'settings.balloonsCount': 'Balloons',
+        'settings.snowCount': 'Snowflakes',
+        'settings.emojiRainCount': 'Emoji drops',
+        'settings.particleLimit': 'Particle limit',
+        'settings.fireworksColors': 'Fireworks',
+        'settings.confettiColors': 'Confetti',
+        'settings.balloonsColors': 'Balloons',
+        'settings.starburstColors': 'Starburst',
+        'settings.laserColor': 'Laser',
+        'settings.colorN': '{label} color {count}',
+        'settings.range': 'Enter a whole number from {min} to {max}.',
+        'settings.reset': 'Reset to defaults',
+        'settings.resetConfirm': 'Reset all settings to their defaults?',
+        'settings.group.appearance': 'Appearance',
+        'theme.label': 'Theme',
+        'theme.auto': 'Match system',
+        'theme.light': 'Light',
+        'theme.dark': 'Dark',
+        'theme.contrast': 'High contrast',
+        'theme.spy': '007',
+        'greeting.fallback': '{hello}, {name}!',
+        'greetingPacks.label': 'Greeting packs',
+        'greetingPacks.builtIn': 'Built-in greetings',
+        'greetingPacks.count': {
+            one: '{count} greeting',
+            other: '{count} greetings'
+        },
+        'greetingPacks.import': 'Import pack',
+        'greetingPacks.remove': 'Remove',
+        'greetingPacks.removeConfirm': 'Remove the "{name}" pack?',
+        'greetingPacks.imported': {
+            one: 'Added "{name}" with {count} greeting.',
+            other: 'Added "{name}" with {count} greetings.'
+        },
+        'greetingPacks.notJson': 'That file is not valid JSON.',
+        'greetingPacks.invalidName': 'A pack needs a "name" of up to {max} characters.',
+        'greetingPacks.invalidList': 'A pack needs a "greetings" list with 1 to {max} entries.',
+        'greetingPacks.invalidEntry': 'Greeting {index} has no usable text, an unknown condition or a bad weight.',
+        'customQuotes.label': 'Your quotes',
+        'customQuotes.hint': 'One per line, as: quote — author. Your quotes are shown before any others.',
+        'customQuotes.save': 'Save quotes',
+        'customQuotes.saved': {
+            one: 'Saved {count} quote.',
+            other: 'Saved {count} quotes.'
+        },
+        'customQuotes.cleared': 'Your quotes were cleared. The built-in quotes are back.',
+        'customQuotes.invalidLine': 'Line {line} needs a quote, a dash and an author.',
+        'customQuotes.tooLong': 'Line {line} is too long: keep quotes under {max} characters.',
+        'customQuotes.tooMany': 'Only {max} quotes can be saved.',
+        'settings.group.profile': 'About you',
+        'birthday.label': 'Birthday',
+        'holiday.newYear': 'Happy New Year',
+        'holiday.valentinesDay': 'Happy Valentine\'s Day',
+        'holiday.easter': 'Happy Easter',
+        'holiday.halloween': 'Happy Halloween',
+        'holiday.thanksgiving': 'Happy Thanksgiving',
+        'holiday.christmas': 'Merry Christmas',
+        'timeZone.label': 'Greeting someone in',
+        'timeZone.local': 'My time zone',
+        'greeting.recipientTime': '🕒 It\'s {time} in {place}',
+        'share.link': 'Share',
+        'share.card': 'Save card',
+        'share.text': 'A greeting for {name} 🎉',
+        'share.copied': 'Link copied!',
+        'share.copyPrompt': 'Copy this link:',
+        'share.cardError': 'Could not create the card.',
+        'share.received': '💌 Someone sent you a greeting',
+        'update.available': 'A new version is available.',
+        'update.reload': 'Reload',
+        'update.later': 'Later',
+        'reminder.label': 'Daily reminder',
+        'reminder.enabled': 'Remind me to greet every day',
+        'reminder.time': 'Reminder time',
+        'reminder.body': 'Time for your daily greeting! 👋',
+        'reminder.greet': 'Greet me',
+        'reminder.snooze': 'Snooze',
+        'reminder.denied': 'Notifications are blocked. Allow them in your browser settings to get reminders.',
+        'install.label': 'Install the app',
+        'install.prompt': '📱 Install this app for quick access, even offline.',
+        'install.ios': '📱 To install this app, tap Share, then “Add to Home Screen”.',
+        'install.accept': 'Install',
+        'install.later': 'Later',
+        'onboarding.title': 'Welcome, agent',
+        'onboarding.intro': 'Tell us who you are and how you like to celebrate.',
+        'onboarding.name': 'Your name',
+        'onboarding.effect': 'Favourite effect',
+        'onboarding.skip': 'Skip',
+        'onboarding.finish': 'Let’s go',
+        'settings.groupInterval': 'Group greeting pace (ms)',
+        'group.label': 'Group greeting',
+        'group.names': 'Names, separated by commas or new lines',
+        'group.start': 'Greet everyone',
+        'group.import': 'Import CSV',
+        'group.imported': {
+            one: 'Imported {count} name.',
+            other: 'Imported {count} names.'
+        },
+        'group.importError': 'That file could not be read.',
+        'group.empty': 'Add at least one name.',
+        'group.truncated': 'Only the first {count} names will be greeted.',
+        'group.progress': '{current} of {total}',
+        'group.upNext': 'Up next: {name}',
+        'group.pause': 'Pause',
+        'group.resume': 'Resume',
+        'group.next': 'Next',
+        'group.skip': 'Skip',
+        'group.stop': 'Stop',
+        'group.summary': 'Greeted {greeted} of {total}! 🎉',
+        'group.duration': {
+            one: 'That took {count} second.',
+            other: 'That took {count} seconds.'
+        },
+        'group.skipped': 'skipped',
+        'validation.tooLong': 'Names can be at most {max} characters long.',
+        'validation.invalidCharacters': 'The name contains invisible or control characters.',
+        'validation.noLetters': 'The name needs at least one letter.',
+        'validation.profanity': 'Please choose a friendlier name.',
+        'group.rejected': {
+            one: 'Left out {count} invalid name: {names}.',
+            other: 'Left out {count} invalid names: {names}.'
+        }
+    },
+    es: {
+        'app.title': 'App de saludos James Bond',
+        'app.heading': 'Bienvenido a la app de saludos',
+        'input.label': 'Escribe tu nombre',
+        'input.placeholder': 'Escribe tu nombre',
+        'input.welcomeBack': '¡Bienvenido de nuevo, {name}!',
+        'button.greet': '¡Salúdame!',
+        'effect.fireworks': 'Fuegos artificiales',
+        'effect.confetti': 'Confeti',
+        'locale.label': 'Idioma',
+        'status.connecting': '🌍 Conectando con el mundo...',
+        'status.error': '¡Algo salió mal! Inténtalo de nuevo.',
+        'validation.empty': '¡Por favor, escribe tu nombre!',
+        'greeting.translationInfo': '¡Así se dice «Hola» en {language}! 🌍',
+        'countdown.message': {
+            one: 'Este mensaje se autodestruirá en {count} segundo...',
+            other: 'Este mensaje se autodestruirá en {count} segundos...'
+        },
+        'countdown.destroyed': '💥 DESTRUIDO 💥',
+        'visit.indicator': 'Visita n.º {count} 🎉',
+        'languageMode.label': 'Idioma del saludo',
+        'languageMode.random': 'Sorpréndeme',
+        'languageMode.fixed': 'Siempre un idioma',
+        'languageMode.rotate': 'Rotar por todos',
+        'languageMode.learn': 'Modo aprendizaje',
+        'languageMode.language': 'Idioma a usar',
+        'languageMode.speak': 'Decirlo en voz alta',
+        'learn.romanization': 'Romanización: {romanization}',
+        'learn.pronunciation': 'Se pronuncia: {pronunciation}',
+        'data.label': 'Tus datos',
+        'data.export': 'Exportar',
+        'data.import': 'Importar',
+        'data.importSuccess': '¡Datos importados! Recargando...',
+        'data.importError': 'No se pudo importar ese archivo.',
+        'profile.label': 'Perfil',
+        'profile.new': 'Nuevo perfil…',
+        'profile.guest': 'Invitado',
+        'profile.none': 'Sin perfil',
+        'profile.namePrompt': 'Nombre del nuevo perfil',
+        'profile.delete': 'Eliminar',
+        'profile.deleteConfirm': '¿Eliminar el perfil «{name}» y todos sus datos?',
+        'greeting.lastSeen': {
+            one: 'Te vimos ayer. ¡Bienvenido de nuevo!',
+            other: 'Te vimos hace {count} días. ¡Te echábamos de menos!'
+        },
+        'greeting.streak': '🔥 ¡Racha de {count} días!',
+        'history.button': 'Historial',
+        'history.title': 'Historial de saludos',
+        'history.summary': 'Visitas: {visits} · Racha: {streak} · Mejor: {best}',
+        'history.empty': 'Todavía no hay saludos.',
+        'history.clear': 'Borrar historial',
+        'history.clearConfirm': '¿Borrar todo el historial de saludos?',
+        'dialog.close': 'Cerrar',
+        'effect.label': 'Celebración',
+        'effect.balloons': 'Globos',
+        'effect.snow': 'Nieve',
+        'effect.emojiRain': 'Lluvia de emojis',
+        'effect.laser': 'Barrido láser',
+        'effect.starburst': 'Estallido estelar',
+        'effect.random': 'Sorpréndeme',
+        'calm.label': 'Modo tranquilo',
+        'message.dismiss': 'Cerrar',
+        'effect.calm': 'Fundido suave',
+        'sound.label': 'Sonido',
+        'sound.mute': 'Silenciar sonidos',
+        'sound.unmute': 'Activar sonidos',
+        'sound.volume': 'Volumen',
+        'sound.pack': 'Paquete de sonidos',
+        'sound.pack.synth': 'Sintetizador',
+        'sound.pack.retro': 'Retro 8 bits',
+        'sound.pack.silent': 'Silencio',
+        'countdown.abort': 'Abortar',
+        'countdown.extend': '+{count} s',
+        'countdown.keep': 'Conservar este mensaje',
+        'selfDestruct.label': 'Autodestrucción',
+        'selfDestruct.enabled': 'Autodestruir los saludos',
+        'selfDestruct.delay': 'Espera antes de la cuenta atrás (s)',
+        'selfDestruct.duration': 'Duración de la cuenta atrás (s)',
+        'settings.button': 'Ajustes',
+        'settings.title': 'Ajustes',
+        'settings.group.timing': 'Tiempos',
+        'settings.group.effects': 'Celebraciones',
+        'settings.group.colors': 'Colores',
+        'settings.buttonCooldown': 'Espera del botón (ms)',
+        'settings.countdownExtension': 'Ampliación de la cuenta atrás (s)',
+        'settings.fireworksCount': 'Fuegos artificiales',
+        'settings.confettiCount': 'Trozos de confeti',
+        'settings.balloonsCount': 'Globos',
+        'settings.snowCount': 'Copos de nieve',
+        'settings.emojiRainCount': 'Gotas de emojis',
+        'settings.particleLimit': 'Límite de partículas',
+        'settings.fireworksColors': 'Fuegos artificiales',
+        'settings.confettiColors': 'Confeti',
+        'settings.balloonsColors': 'Globos',
+        'settings.starburstColors': 'Estallido',
+        'settings.laserColor': 'Láser',
+        'settings.colorN': '{label}: color {count}',
+        'settings.range': 'Introduce un número entero entre {min} y {max}.',
+        'settings.reset': 'Restablecer valores',
+        'settings.resetConfirm': '¿Restablecer todos los ajustes a sus valores predeterminados?',
+        'settings.group.appearance': 'Apariencia',
+        'theme.label': 'Tema',
+        'theme.auto': 'Según el sistema',
+        'theme.light': 'Claro',
+        'theme.dark': 'Oscuro',
+        'theme.contrast': 'Alto contraste',
+        'theme.spy': '007',
+        'greeting.fallback': '¡{hello}, {name}!',
+        'greetingPacks.label': 'Paquetes de saludos',
+        'greetingPacks.builtIn': 'Saludos incluidos',
+        'greetingPacks.count': {
+            one: '{count} saludo',
+            other: '{count} saludos'
+        },
+        'greetingPacks.import': 'Importar paquete',
+        'greetingPacks.remove': 'Quitar',
+        'greetingPacks.removeConfirm': '¿Quitar el paquete «{name}»?',
+        'greetingPacks.imported': {
+            one: 'Se añadió «{name}» con {count} saludo.',
+            other: 'Se añadió «{name}» con {count} saludos.'
+        },
+        'greetingPacks.notJson': 'Ese archivo no es un JSON válido.',
+        'greetingPacks.invalidName': 'Un paquete necesita un "name" de hasta {max} caracteres.',
+        'greetingPacks.invalidList': 'Un paquete necesita una lista "greetings" de 1 a {max} entradas.',
+        'greetingPacks.invalidEntry': 'El saludo {index} no tiene texto válido, usa una condición desconocida o un peso incorrecto.',
+        'customQuotes.label': 'Tus citas',
+        'customQuotes.hint': 'Una por línea, así: cita — autor. Tus citas se muestran antes que las demás.',
+        'customQuotes.save': 'Guardar citas',
+        'customQuotes.saved': {
+            one: 'Se guardó {count} cita.',
+            other: 'Se guardaron {count} citas.'
+        },
+        'customQuotes.cleared': 'Se borraron tus citas. Vuelven las citas incluidas.',
+        'customQuotes.invalidLine': 'La línea {line} necesita una cita, un guion y un autor.',
+        'customQuotes.tooLong': 'La línea {line} es demasiado larga: las citas deben tener menos de {max} caracteres.',
+        'customQuotes.tooMany': 'Solo se pueden guardar {max} citas.',
+        'settings.group.profile': 'Sobre ti',
+        'birthday.label': 'Cumpleaños',
+        'holiday.newYear': 'Feliz Año Nuevo',
+        'holiday.epiphany': 'Feliz Día de Reyes',
+        'holiday.easter': 'Felices Pascuas',
+        'holiday.christmas': 'Feliz Navidad',
+        'timeZone.label': 'Saludar a alguien en',
+        'timeZone.local': 'Mi zona horaria',
+        'greeting.recipientTime': '🕒 Son las {time} en {place}',
+        'share.link': 'Compartir',
+        'share.card': 'Guardar tarjeta',
+        'share.text': 'Un saludo para {name} 🎉',
+        'share.copied': '¡Enlace copiado!',
+        'share.copyPrompt': 'Copia este enlace:',
+        'share.cardError': 'No se pudo crear la tarjeta.',
+        'share.received': '💌 Alguien te ha enviado un saludo',
+        'update.available': 'Hay una nueva versión disponible.',
+        'update.reload': 'Recargar',
+        'update.later': 'Más tarde',
+        'reminder.label': 'Recordatorio diario',
+        'reminder.enabled': 'Recordarme saludar cada día',
+        'reminder.time': 'Hora del recordatorio',
+        'reminder.body': '¡Es hora de tu saludo diario! 👋',
+        'reminder.greet': 'Salúdame',
+        'reminder.snooze': 'Posponer',
+        'reminder.denied': 'Las notificaciones están bloqueadas. Permítelas en la configuración del navegador para recibir recordatorios.',
+        'install.label': 'Instalar la aplicación',
+        'install.prompt': '📱 Instala esta aplicación para acceder rápido, incluso sin conexión.',
+        'install.ios': '📱 Para instalar esta aplicación, toca Compartir y luego «Añadir a pantalla de inicio».',
+        'install.accept': 'Instalar',
+        'install.later': 'Más tarde',
+        'onboarding.title': 'Bienvenido, agente',
+        'onboarding.intro': 'Cuéntanos quién eres y cómo te gusta celebrar.',
+        'onboarding.name': 'Tu nombre',
+        'onboarding.effect': 'Efecto favorito',
+        'onboarding.skip': 'Omitir',
+        'onboarding.finish': '¡Vamos!',
+        'settings.groupInterval': 'Ritmo del saludo en grupo (ms)',
+        'group.label': 'Saludo en grupo',
+        'group.names': 'Nombres, separados por comas o saltos de línea',
+        'group.start': 'Saludar a todos',
+        'group.import': 'Importar CSV',
+        'group.imported': {
+            one: 'Se importó {count} nombre.',
+            other: 'Se importaron {count} nombres.'
+        },
+        'group.importError': 'No se pudo leer ese archivo.',
+        'group.empty': 'Añade al menos un nombre.',
+        'group.truncated': 'Solo se saludará a los primeros {count} nombres.',
+        'group.progress': '{current} de {total}',
+        'group.upNext': 'Siguiente: {name}',
+        'group.pause': 'Pausar',
+        'group.resume': 'Reanudar',
+        'group.next': 'Siguiente',
+        'group.skip': 'Saltar',
+        'group.stop': 'Detener',
+        'group.summary': '¡Saludados {greeted} de {total}! 🎉',
+        'group.duration': {
+            one: 'Tardó {count} segundo.',
+            other: 'Tardó {count} segundos.'
+        },
+        'group.skipped': 'omitido',
+        'validation.tooLong': 'Los nombres pueden tener como máximo {max} caracteres.',
+        'validation.invalidCharacters': 'El nombre contiene caracteres invisibles o de control.',
+        'validation.noLetters': 'El nombre necesita al menos una letra.',
+        'validation.profanity': 'Elige un nombre más amable, por favor.',
+        'group.rejected': {
+            one: 'Se omitió {count} nombre no válido: {names}.',
+            other: 'Se omitieron {count} nombres no válidos: {names}.'
+        }
+    },
+    fr: {
+        'app.title': 'Appli de salutations James Bond',
+        'app.heading': "Bienvenue dans l'appli de salutations",
+        'input.label': 'Entrez votre prénom',
+        'input.placeholder': 'Entrez votre prénom',
+        'input.welcomeBack': 'Bon retour, {name} !',
+        'button.greet': 'Salue-moi !',
+        'effect.fireworks': "Feux d'artifice",
+        'effect.confetti': 'Confettis',
+        'locale.label': 'Langue',
+        'status.connecting': '🌍 Connexion au monde...',
+        'status.error': "Un problème est survenu ! Veuillez réessayer.",
+        'validation.empty': 'Veuillez entrer votre prénom !',
+        'greeting.translationInfo': 'C\'est « Bonjour » en {language} ! 🌍',
+        'countdown.message': {
+            one: 'Ce message s\'autodétruira dans {count} seconde...',
+            other: 'Ce message s\'autodétruira dans {count} secondes...'
+        },
+        'countdown.destroyed': '💥 DÉTRUIT 💥',
+        'visit.indicator': 'Visite nº {count} 🎉',
+        'languageMode.label': 'Langue de la salutation',
+        'languageMode.random': 'Surprenez-moi',
+        'languageMode.fixed': 'Toujours une langue',
+        'languageMode.rotate': 'Toutes à tour de rôle',
+        'languageMode.learn': 'Mode apprentissage',
+        'languageMode.language': 'Langue à utiliser',
+        'languageMode.speak': 'Le dire à voix haute',
+        'learn.romanization': 'Romanisation : {romanization}',
+        'learn.pronunciation': 'Prononciation : {pronunciation}',
+        'data.label': 'Vos données',
+        'data.export': 'Exporter',
+        'data.import': 'Importer',
+        'data.importSuccess': 'Données importées ! Rechargement...',
+        'data.importError': "Impossible d'importer ce fichier.",
+        'profile.label': 'Profil',
+        'profile.new': 'Nouveau profil…',
+        'profile.guest': 'Invité',
+        'profile.none': 'Aucun profil',
+        'profile.namePrompt': 'Nom du nouveau profil',
+        'profile.delete': 'Supprimer',
+        'profile.deleteConfirm': 'Supprimer le profil « {name} » et toutes ses données ?',
+        'greeting.lastSeen': {
+            one: 'Vu hier. Bon retour !',
+            other: 'Vu il y a {count} jours. Vous nous avez manqué !'
+        },
+        'greeting.streak': '🔥 Série de {count} jours !',
+        'history.button': 'Historique',
+        'history.title': 'Historique des salutations',
+        'history.summary': 'Visites : {visits} · Série : {streak} · Record : {best}',
+        'history.empty': 'Aucune salutation pour le moment.',
+        'history.clear': "Effacer l'historique",
+        'history.clearConfirm': "Effacer tout l'historique des salutations ?",
+        'dialog.close': 'Fermer',
+        'effect.label': 'Célébration',
+        'effect.balloons': 'Ballons',
+        'effect.snow': 'Neige',
+        'effect.emojiRain': "Pluie d'emojis",
+        'effect.laser': 'Balayage laser',
+        'effect.starburst': 'Éclat d\'étoile',
+        'effect.random': 'Surprenez-moi',
+        'calm.label': 'Mode calme',
+        'message.dismiss': 'Fermer',
+        'effect.calm': 'Fondu doux',
+        'sound.label': 'Son',
+        'sound.mute': 'Couper le son',
+        'sound.unmute': 'Réactiver le son',
+        'sound.volume': 'Volume',
+        'sound.pack': 'Pack de sons',
+        'sound.pack.synth': 'Synthé',
+        'sound.pack.retro': 'Rétro 8 bits',
+        'sound.pack.silent': 'Silencieux',
+        'countdown.abort': 'Annuler',
+        'countdown.extend': '+{count} s',
+        'countdown.keep': 'Garder ce message',
+        'selfDestruct.label': 'Autodestruction',
+        'selfDestruct.enabled': 'Autodétruire les salutations',
+        'selfDestruct.delay': 'Délai avant le compte à rebours (s)',
+        'selfDestruct.duration': 'Durée du compte à rebours (s)',
+        'settings.button': 'Réglages',
+        'settings.title': 'Réglages',
+        'settings.group.timing': 'Minutage',
+        'settings.group.effects': 'Célébrations',
+        'settings.group.colors': 'Couleurs',
+        'settings.buttonCooldown': 'Délai du bouton (ms)',
+        'settings.countdownExtension': 'Prolongation du compte à rebours (s)',
+        'settings.fireworksCount': 'Feux d’artifice',
+        'settings.confettiCount': 'Confettis',
+        'settings.balloonsCount': 'Ballons',
+        'settings.snowCount': 'Flocons',
+        'settings.emojiRainCount': 'Gouttes d’émojis',
+        'settings.particleLimit': 'Limite de particules',
+        'settings.fireworksColors': 'Feux d’artifice',
+        'settings.confettiColors': 'Confettis',
+        'settings.balloonsColors': 'Ballons',
+        'settings.starburstColors': 'Étoile éclatante',
+        'settings.laserColor': 'Laser',
+        'settings.colorN': '{label} : couleur {count}',
+        'settings.range': 'Saisissez un nombre entier entre {min} et {max}.',
+        'settings.reset': 'Rétablir les valeurs par défaut',
+        'settings.resetConfirm': 'Rétablir tous les réglages par défaut ?',
+        'settings.group.appearance': 'Apparence',
+        'theme.label': 'Thème',
+        'theme.auto': 'Selon le système',
+        'theme.light': 'Clair',
+        'theme.dark': 'Sombre',
+        'theme.contrast': 'Contraste élevé',
+        'theme.spy': '007',
+        'greeting.fallback': '{hello}, {name} !',
+        'greetingPacks.label': 'Packs de salutations',
+        'greetingPacks.builtIn': 'Salutations intégrées',
+        'greetingPacks.count': {
+            one: '{count} salutation',
+            other: '{count} salutations'
+        },
+        'greetingPacks.import': 'Importer un pack',
+        'greetingPacks.remove': 'Retirer',
+        'greetingPacks.removeConfirm': 'Retirer le pack « {name} » ?',
+        'greetingPacks.imported': {
+            one: '« {name} » ajouté avec {count} salutation.',
+            other: '« {name} » ajouté avec {count} salutations.'
+        },
+        'greetingPacks.notJson': 'Ce fichier n’est pas un JSON valide.',
+        'greetingPacks.invalidName': 'Un pack doit avoir un « name » de {max} caractères au plus.',
+        'greetingPacks.invalidList': 'Un pack doit avoir une liste « greetings » de 1 à {max} entrées.',
+        'greetingPacks.invalidEntry': 'La salutation {index} n’a pas de texte utilisable, a une condition inconnue ou un poids invalide.',
+        'customQuotes.label': 'Vos citations',
+        'customQuotes.hint': 'Une par ligne, ainsi : citation — auteur. Vos citations passent avant les autres.',
+        'customQuotes.save': 'Enregistrer les citations',
+        'customQuotes.saved': {
+            one: '{count} citation enregistrée.',
+            other: '{count} citations enregistrées.'
+        },
+        'customQuotes.cleared': 'Vos citations ont été effacées. Les citations intégrées reviennent.',
+        'customQuotes.invalidLine': 'La ligne {line} doit contenir une citation, un tiret et un auteur.',
+        'customQuotes.tooLong': 'La ligne {line} est trop longue : les citations doivent faire moins de {max} caractères.',
+        'customQuotes.tooMany': 'Seules {max} citations peuvent être enregistrées.',
+        'settings.group.profile': 'À propos de vous',
+        'birthday.label': 'Anniversaire',
+        'holiday.newYear': 'Bonne année',
+        'holiday.easter': 'Joyeuses Pâques',
+        'holiday.bastilleDay': 'Bonne fête nationale',
+        'holiday.christmas': 'Joyeux Noël',
+        'timeZone.label': 'Saluer quelqu’un à',
+        'timeZone.local': 'Mon fuseau horaire',
+        'greeting.recipientTime': '🕒 Il est {time} à {place}',
+        'share.link': 'Partager',
+        'share.card': 'Enregistrer la carte',
+        'share.text': 'Une salutation pour {name} 🎉',
+        'share.copied': 'Lien copié !',
+        'share.copyPrompt': 'Copiez ce lien :',
+        'share.cardError': 'Impossible de créer la carte.',
+        'share.received': '💌 Quelqu’un vous a envoyé une salutation',
+        'update.available': 'Une nouvelle version est disponible.',
+        'update.reload': 'Recharger',
+        'update.later': 'Plus tard',
+        'reminder.label': 'Rappel quotidien',
+        'reminder.enabled': 'Me rappeler de saluer chaque jour',
+        'reminder.time': 'Heure du rappel',
+        'reminder.body': 'C’est l’heure de votre salutation du jour ! 👋',
+        'reminder.greet': 'Salue-moi',
+        'reminder.snooze': 'Plus tard',
+        'reminder.denied': 'Les notifications sont bloquées. Autorisez-les dans les réglages du navigateur pour recevoir des rappels.',
+        'install.label': 'Installer l’application',
+        'install.prompt': '📱 Installez cette application pour un accès rapide, même hors ligne.',
+        'install.ios': '📱 Pour installer cette application, touchez Partager, puis « Sur l’écran d’accueil ».',
+        'install.accept': 'Installer',
+        'install.later': 'Plus tard',
+        'onboarding.title': 'Bienvenue, agent',
+        'onboarding.intro': 'Dites-nous qui vous êtes et comment vous aimez célébrer.',
+        'onboarding.name': 'Votre nom',
+        'onboarding.effect': 'Effet préféré',
+        'onboarding.skip': 'Passer',
+        'onboarding.finish': 'C’est parti',
+        'settings.groupInterval': 'Rythme du salut de groupe (ms)',
+        'group.label': 'Salut de groupe',
+        'group.names': 'Noms, séparés par des virgules ou des retours à la ligne',
+        'group.start': 'Saluer tout le monde',
+        'group.import': 'Importer un CSV',
+        'group.imported': {
+            one: '{count} nom importé.',
+            other: '{count} noms importés.'
+        },
+        'group.importError': 'Impossible de lire ce fichier.',
+        'group.empty': 'Ajoutez au moins un nom.',
+        'group.truncated': 'Seuls les {count} premiers noms seront salués.',
+        'group.progress': '{current} sur {total}',
+        'group.upNext': 'Ensuite : {name}',
+        'group.pause': 'Pause',
+        'group.resume': 'Reprendre',
+        'group.next': 'Suivant',
+        'group.skip': 'Passer',
+        'group.stop': 'Arrêter',
+        'group.summary': '{greeted} salué(s) sur {total} ! 🎉',
+        'group.duration': {
+            one: 'Cela a pris {count} seconde.',
+            other: 'Cela a pris {count} secondes.'
+        },
+        'group.skipped': 'passé',
+        'validation.tooLong': 'Les noms peuvent comporter au plus {max} caractères.',
+        'validation.invalidCharacters': 'Le nom contient des caractères invisibles ou de contrôle.',
+        'validation.noLetters': 'Le nom doit contenir au moins une lettre.',
+        'validation.profanity': 'Choisissez un nom plus aimable, s’il vous plaît.',
+        'group.rejected': {
+            one: '{count} nom invalide ignoré : {names}.',
+            other: '{count} noms invalides ignorés : {names}.'
+        }
+    },
+    de: {
+        'app.title': 'James-Bond-Begrüßungs-App',
+        'app.heading': 'Willkommen in der Begrüßungs-App',
+        'input.label': 'Gib deinen Namen ein',
+        'input.placeholder': 'Gib deinen Namen ein',
+        'input.welcomeBack': 'Willkommen zurück, {name}!',
+        'button.greet': 'Begrüß mich!',
+        'effect.fireworks': 'Feuerwerk',
+        'effect.confetti': 'Konfetti',
+        'locale.label': 'Sprache',
+        'status.connecting': '🌍 Verbindung zur Welt wird hergestellt...',
+        'status.error': 'Etwas ist schiefgelaufen! Bitte versuche es erneut.',
+        'validation.empty': 'Bitte gib deinen Namen ein!',
+        'greeting.translationInfo': 'So sagt man „Hallo“ auf {language}! 🌍',
+        'countdown.message': {
+            one: 'Diese Nachricht zerstört sich in {count} Sekunde selbst...',
+            other: 'Diese Nachricht zerstört sich in {count} Sekunden selbst...'
+        },
+        'countdown.destroyed': '💥 ZERSTÖRT 💥',
+        'visit.indicator': 'Besuch Nr. {count} 🎉',
+        'languageMode.label': 'Sprache der Begrüßung',
+        'languageMode.random': 'Überrasch mich',
+        'languageMode.fixed': 'Immer eine Sprache',
+        'languageMode.rotate': 'Alle der Reihe nach',
+        'languageMode.learn': 'Lernmodus',
+        'languageMode.language': 'Zu verwendende Sprache',
+        'languageMode.speak': 'Laut vorlesen',
+        'learn.romanization': 'Umschrift: {romanization}',
+        'learn.pronunciation': 'Aussprache: {pronunciation}',
+        'data.label': 'Deine Daten',
+        'data.export': 'Exportieren',
+        'data.import': 'Importieren',
+        'data.importSuccess': 'Daten importiert! Wird neu geladen...',
+        'data.importError': 'Diese Datei konnte nicht importiert werden.',
+        'profile.label': 'Profil',
+        'profile.new': 'Neues Profil…',
+        'profile.guest': 'Gast',
+        'profile.none': 'Kein Profil',
+        'profile.namePrompt': 'Name für das neue Profil',
+        'profile.delete': 'Entfernen',
+        'profile.deleteConfirm': 'Profil „{name}“ und alle zugehörigen Daten entfernen?',
+        'greeting.lastSeen': {
+            one: 'Zuletzt gestern gesehen. Willkommen zurück!',
+            other: 'Zuletzt vor {count} Tagen gesehen. Wir haben dich vermisst!'
+        },
+        'greeting.streak': '🔥 {count} Tage in Folge!',
+        'history.button': 'Verlauf',
+        'history.title': 'Begrüßungsverlauf',
+        'history.summary': 'Besuche: {visits} · Serie: {streak} · Rekord: {best}',
+        'history.empty': 'Noch keine Begrüßungen.',
+        'history.clear': 'Verlauf löschen',
+        'history.clearConfirm': 'Den gesamten Begrüßungsverlauf löschen?',
+        'dialog.close': 'Schließen',
+        'effect.label': 'Feier',
+        'effect.balloons': 'Luftballons',
+        'effect.snow': 'Schnee',
+        'effect.emojiRain': 'Emoji-Regen',
+        'effect.laser': 'Laserstrahlen',
+        'effect.starburst': 'Sternenexplosion',
+        'effect.random': 'Überrasch mich',
+        'calm.label': 'Ruhiger Modus',
+        'message.dismiss': 'Schließen',
+        'effect.calm': 'Sanftes Einblenden',
+        'sound.label': 'Ton',
+        'sound.mute': 'Töne stummschalten',
+        'sound.unmute': 'Töne einschalten',
+        'sound.volume': 'Lautstärke',
+        'sound.pack': 'Soundpaket',
+        'sound.pack.synth': 'Synthesizer',
+        'sound.pack.retro': 'Retro 8-Bit',
+        'sound.pack.silent': 'Lautlos',
+        'countdown.abort': 'Abbrechen',
+        'countdown.extend': '+{count} s',
+        'countdown.keep': 'Nachricht behalten',
+        'selfDestruct.label': 'Selbstzerstörung',
+        'selfDestruct.enabled': 'Begrüßungen selbst zerstören',
+        'selfDestruct.delay': 'Verzögerung vor dem Countdown (s)',
+        'selfDestruct.duration': 'Länge des Countdowns (s)',
+        'settings.button': 'Einstellungen',
+        'settings.title': 'Einstellungen',
+        'settings.group.timing': 'Zeiten',
+        'settings.group.effects': 'Feiern',
+        'settings.group.colors': 'Farben',
+        'settings.buttonCooldown': 'Tastensperre (ms)',
+        'settings.countdownExtension': 'Countdown-Verlängerung (s)',
+        'settings.fireworksCount': 'Feuerwerke',
+        'settings.confettiCount': 'Konfettiteile',
+        'settings.balloonsCount': 'Ballons',
+        'settings.snowCount': 'Schneeflocken',
+        'settings.emojiRainCount': 'Emoji-Tropfen',
+        'settings.particleLimit': 'Partikellimit',
+        'settings.fireworksColors': 'Feuerwerk',
+        'settings.confettiColors': 'Konfetti',
+        'settings.balloonsColors': 'Ballons',
+        'settings.starburstColors': 'Sternexplosion',
+        'settings.laserColor': 'Laser',
+        'settings.colorN': '{label}: Farbe {count}',
+        'settings.range': 'Gib eine ganze Zahl von {min} bis {max} ein.',
+        'settings.reset': 'Auf Standard zurücksetzen',
+        'settings.resetConfirm': 'Alle Einstellungen auf Standard zurücksetzen?',
+        'settings.group.appearance': 'Darstellung',
+        'theme.label': 'Design',
+        'theme.auto': 'Wie das System',
+        'theme.light': 'Hell',
+        'theme.dark': 'Dunkel',
+        'theme.contrast': 'Hoher Kontrast',
+        'theme.spy': '007',
+        'greeting.fallback': '{hello}, {name}!',
+        'greetingPacks.label': 'Begrüßungspakete',
+        'greetingPacks.builtIn': 'Mitgelieferte Begrüßungen',
+        'greetingPacks.count': {
+            one: '{count} Begrüßung',
+            other: '{count} Begrüßungen'
+        },
+        'greetingPacks.import': 'Paket importieren',
+        'greetingPacks.remove': 'Entfernen',
+        'greetingPacks.removeConfirm': 'Paket „{name}“ entfernen?',
+        'greetingPacks.imported': {
+            one: '„{name}“ mit {count} Begrüßung hinzugefügt.',
+            other: '„{name}“ mit {count} Begrüßungen hinzugefügt.'
+        },
+        'greetingPacks.notJson': 'Diese Datei ist kein gültiges JSON.',
+        'greetingPacks.invalidName': 'Ein Paket braucht einen „name“ mit höchstens {max} Zeichen.',
+        'greetingPacks.invalidList': 'Ein Paket braucht eine „greetings“-Liste mit 1 bis {max} Einträgen.',
+        'greetingPacks.invalidEntry': 'Begrüßung {index} hat keinen verwendbaren Text, eine unbekannte Bedingung oder eine ungültige Gewichtung.',
+        'customQuotes.label': 'Deine Zitate',
+        'customQuotes.hint': 'Eins pro Zeile, so: Zitat — Autor. Deine Zitate kommen vor allen anderen.',
+        'customQuotes.save': 'Zitate speichern',
+        'customQuotes.saved': {
+            one: '{count} Zitat gespeichert.',
+            other: '{count} Zitate gespeichert.'
+        },
+        'customQuotes.cleared': 'Deine Zitate wurden gelöscht. Die eingebauten Zitate sind zurück.',
+        'customQuotes.invalidLine': 'Zeile {line} braucht ein Zitat, einen Gedankenstrich und einen Autor.',
+        'customQuotes.tooLong': 'Zeile {line} ist zu lang: Zitate müssen unter {max} Zeichen bleiben.',
+        'customQuotes.tooMany': 'Es können nur {max} Zitate gespeichert werden.',
+        'settings.group.profile': 'Über dich',
+        'birthday.label': 'Geburtstag',
+        'holiday.newYear': 'Frohes neues Jahr',
+        'holiday.easter': 'Frohe Ostern',
+        'holiday.mothersDay': 'Alles Gute zum Muttertag',
+        'holiday.unityDay': 'Schönen Tag der Deutschen Einheit',
+        'holiday.christmas': 'Frohe Weihnachten',
+        'timeZone.label': 'Jemanden grüßen in',
+        'timeZone.local': 'Meine Zeitzone',
+        'greeting.recipientTime': '🕒 In {place} ist es {time}',
+        'share.link': 'Teilen',
+        'share.card': 'Karte speichern',
+        'share.text': 'Ein Gruß für {name} 🎉',
+        'share.copied': 'Link kopiert!',
+        'share.copyPrompt': 'Diesen Link kopieren:',
+        'share.cardError': 'Die Karte konnte nicht erstellt werden.',
+        'share.received': '💌 Jemand hat dir einen Gruß geschickt',
+        'update.available': 'Eine neue Version ist verfügbar.',
+        'update.reload': 'Neu laden',
+        'update.later': 'Später',
+        'reminder.label': 'Tägliche Erinnerung',
+        'reminder.enabled': 'Täglich ans Grüßen erinnern',
+        'reminder.time': 'Uhrzeit der Erinnerung',
+        'reminder.body': 'Zeit für deinen täglichen Gruß! 👋',
+        'reminder.greet': 'Grüß mich',
+        'reminder.snooze': 'Schlummern',
+        'reminder.denied': 'Benachrichtigungen sind blockiert. Erlaube sie in den Browsereinstellungen, um Erinnerungen zu erhalten.',
+        'install.label': 'App installieren',
+        'install.prompt': '📱 Installiere diese App für schnellen Zugriff, auch offline.',
+        'install.ios': '📱 Um diese App zu installieren, tippe auf Teilen und dann auf „Zum Home-Bildschirm“.',
+        'install.accept': 'Installieren',
+        'install.later': 'Später',
+        'onboarding.title': 'Willkommen, Agent',
+        'onboarding.intro': 'Verrate uns, wer du bist und wie du gerne feierst.',
+        'onboarding.name': 'Dein Name',
+        'onboarding.effect': 'Lieblingseffekt',
+        'onboarding.skip': 'Überspringen',
+        'onboarding.finish': 'Los geht’s',
+        'settings.groupInterval': 'Tempo der Gruppenbegrüßung (ms)',
+        'group.label': 'Gruppenbegrüßung',
+        'group.names': 'Namen, getrennt durch Kommas oder Zeilenumbrüche',
+        'group.start': 'Alle begrüßen',
+        'group.import': 'CSV importieren',
+        'group.imported': {
+            one: '{count} Name importiert.',
+            other: '{count} Namen importiert.'
+        },
+        'group.importError': 'Die Datei konnte nicht gelesen werden.',
+        'group.empty': 'Füge mindestens einen Namen hinzu.',
+        'group.truncated': 'Nur die ersten {count} Namen werden begrüßt.',
+        'group.progress': '{current} von {total}',
+        'group.upNext': 'Als Nächstes: {name}',
+        'group.pause': 'Pause',
+        'group.resume': 'Fortsetzen',
+        'group.next': 'Weiter',
+        'group.skip': 'Überspringen',
+        'group.stop': 'Beenden',
+        'group.summary': '{greeted} von {total} begrüßt! 🎉',
+        'group.duration': {
+            one: 'Das hat {count} Sekunde gedauert.',
+            other: 'Das hat {count} Sekunden gedauert.'
+        },
+        'group.skipped': 'übersprungen',
+        'validation.tooLong': 'Namen dürfen höchstens {max} Zeichen lang sein.',
+        'validation.invalidCharacters': 'Der Name enthält unsichtbare oder Steuerzeichen.',
+        'validation.noLetters': 'Der Name braucht mindestens einen Buchstaben.',
+        'validation.profanity': 'Bitte wähle einen freundlicheren Namen.',
+        'group.rejected': {
+            one: '{count} ungültiger Name ausgelassen: {names}.',
+            other: '{count} ungültige Namen ausgelassen: {names}.'
+        }
+    },
+    ja: {
+        'app.title': 'ジェームズ・ボンド あいさつアプリ',
+        'app.heading': 'あいさつアプリへようこそ',
+        'input.label': '名前を入力してください',
+        'input.placeholder': '名前を入力してください',
+        'input.welcomeBack': 'おかえりなさい、{name}さん！',
+        'button.greet': 'あいさつして！',
+        'effect.fireworks': '花火',
+        'effect.confetti': '紙吹雪',
+        'locale.label': '言語',
+        'status.connecting': '🌍 世界とつながっています...',
+        'status.error': '問題が発生しました。もう一度お試しください。',
+        'validation.empty': '名前を入力してください！',
+        'greeting.translationInfo': '{language}で「こんにちは」という意味です！🌍',
+        'countdown.message': {
+            other: 'このメッセージは{count}秒後に自動的に消滅します...'
+        },
+        'countdown.destroyed': '💥 消滅 💥',
+        'visit.indicator': '{count}回目の訪問 🎉',
+        'languageMode.label': 'あいさつの言語',
+        'languageMode.random': 'おまかせ',
+        'languageMode.fixed': '常に同じ言語',
+        'languageMode.rotate': '順番にすべて',
+        'languageMode.learn': '学習モード',
+        'languageMode.language': '使用する言語',
+        'languageMode.speak': '読み上げる',
+        'learn.romanization': 'ローマ字: {romanization}',
+        'learn.pronunciation': '発音: {pronunciation}',
+        'data.label': 'データ',
+        'data.export': 'エクスポート',
+        'data.import': 'インポート',
+        'data.importSuccess': 'データをインポートしました！再読み込みしています...',
+        'data.importError': 'このファイルはインポートできませんでした。',
+        'profile.label': 'プロフィール',
+        'profile.new': '新しいプロフィール…',
+        'profile.guest': 'ゲスト',
+        'profile.none': 'プロフィールなし',
+        'profile.namePrompt': '新しいプロフィールの名前',
+        'profile.delete': '削除',
+        'profile.deleteConfirm': 'プロフィール「{name}」とそのすべてのデータを削除しますか？',
+        'greeting.lastSeen': {
+            other: '前回は{count}日前でした。おかえりなさい！'
+        },
+        'greeting.streak': '🔥 {count}日連続！',
+        'history.button': '履歴',
+        'history.title': 'あいさつの履歴',
+        'history.summary': '訪問: {visits} · 連続: {streak} · 最高: {best}',
+        'history.empty': 'まだあいさつはありません。',
+        'history.clear': '履歴を消去',
+        'history.clearConfirm': 'あいさつの履歴をすべて消去しますか？',
+        'dialog.close': '閉じる',
+        'effect.label': 'お祝い',
+        'effect.balloons': '風船',
+        'effect.snow': '雪',
+        'effect.emojiRain': '絵文字の雨',
+        'effect.laser': 'レーザー',
+        'effect.starburst': 'スターバースト',
+        'effect.random': 'おまかせ',
+        'calm.label': '落ち着いたモード',
+        'message.dismiss': '閉じる',
+        'effect.calm': 'やさしいフェード',
+        'sound.label': 'サウンド',
+        'sound.mute': '消音',
+        'sound.unmute': '消音を解除',
+        'sound.volume': '音量',
+        'sound.pack': 'サウンドパック',
+        'sound.pack.synth': 'シンセ',
+        'sound.pack.retro': 'レトロ 8ビット',
+        'sound.pack.silent': '無音',
+        'countdown.abort': '中止',
+        'countdown.extend': '+{count}秒',
+        'countdown.keep': 'このメッセージを残す',
+        'selfDestruct.label': '自爆',
+        'selfDestruct.enabled': 'あいさつを自爆させる',
+        'selfDestruct.delay': 'カウントダウンまでの時間（秒）',
+        'selfDestruct.duration': 'カウントダウンの長さ（秒）',
+        'settings.button': '設定',
+        'settings.title': '設定',
+        'settings.group.timing': 'タイミング',
+        'settings.group.effects': 'お祝い',
+        'settings.group.colors': '色',
+        'settings.buttonCooldown': 'ボタンの待ち時間（ミリ秒）',
+        'settings.countdownExtension': 'カウントダウンの延長（秒）',
+        'settings.fireworksCount': '花火の数',
+        'settings.confettiCount': '紙吹雪の数',
+        'settings.balloonsCount': '風船の数',
+        'settings.snowCount': '雪の数',
+        'settings.emojiRainCount': '絵文字の数',
+        'settings.particleLimit': 'パーティクルの上限',
+        'settings.fireworksColors': '花火',
+        'settings.confettiColors': '紙吹雪',
+        'settings.balloonsColors': '風船',
+        'settings.starburstColors': 'スターバースト',
+        'settings.laserColor': 'レーザー',
+        'settings.colorN': '{label}の色 {count}',
+        'settings.range': '{min}から{max}までの整数を入力してください。',
+        'settings.reset': '初期設定に戻す',
+        'settings.resetConfirm': 'すべての設定を初期状態に戻しますか？',
+        'settings.group.appearance': '外観',
+        'theme.label': 'テーマ',
+        'theme.auto': 'システムに合わせる',
+        'theme.light': 'ライト',
+        'theme.dark': 'ダーク',
+        'theme.contrast': 'ハイコントラスト',
+        'theme.spy': '007',
+        'greeting.fallback': '{hello}、{name}さん！',
+        'greetingPacks.label': 'あいさつパック',
+        'greetingPacks.builtIn': '標準のあいさつ',
+        'greetingPacks.count': {
+            other: '{count}件のあいさつ'
+        },
+        'greetingPacks.import': 'パックを読み込む',
+        'greetingPacks.remove': '削除',
+        'greetingPacks.removeConfirm': 'パック「{name}」を削除しますか？',
+        'greetingPacks.imported': {
+            other: '「{name}」（{count}件のあいさつ）を追加しました。'
+        },
+        'greetingPacks.notJson': 'このファイルは有効なJSONではありません。',
+        'greetingPacks.invalidName': 'パックには{max}文字以内の "name" が必要です。',
+        'greetingPacks.invalidList': 'パックには1〜{max}件の "greetings" リストが必要です。',
+        'greetingPacks.invalidEntry': 'あいさつ{index}に使えるテキストがないか、不明な条件または不正な重みがあります。',
+        'customQuotes.label': 'あなたの名言',
+        'customQuotes.hint': '1行に1つ、「名言 — 作者」の形で入力します。あなたの名言が優先して表示されます。',
+        'customQuotes.save': '名言を保存',
+        'customQuotes.saved': {
+            other: '{count}件の名言を保存しました。'
+        },
+        'customQuotes.cleared': 'あなたの名言を消去しました。内蔵の名言に戻ります。',
+        'customQuotes.invalidLine': '{line}行目には名言、ダッシュ、作者が必要です。',
+        'customQuotes.tooLong': '{line}行目が長すぎます。名言は{max}文字未満にしてください。',
+        'customQuotes.tooMany': '保存できる名言は{max}件までです。',
+        'settings.group.profile': 'あなたについて',
+        'birthday.label': '誕生日',
+        'holiday.newYear': 'あけましておめでとうございます',
+        'holiday.comingOfAgeDay': '成人の日おめでとうございます',
+        'holiday.childrensDay': 'こどもの日おめでとう',
+        'holiday.respectForTheAgedDay': '今日は敬老の日です',
+        'timeZone.label': '相手のタイムゾーン',
+        'timeZone.local': '自分のタイムゾーン',
+        'greeting.recipientTime': '🕒 {place}は今{time}です',
+        'share.link': '共有',
+        'share.card': 'カードを保存',
+        'share.text': '{name}さんへのあいさつ 🎉',
+        'share.copied': 'リンクをコピーしました！',
+        'share.copyPrompt': 'このリンクをコピーしてください：',
+        'share.cardError': 'カードを作成できませんでした。',
+        'share.received': '💌 あいさつが届きました',
+        'update.available': '新しいバージョンがあります。',
+        'update.reload': '再読み込み',
+        'update.later': '後で',
+        'reminder.label': '毎日のリマインダー',
+        'reminder.enabled': '毎日あいさつをリマインドする',
+        'reminder.time': 'リマインダーの時刻',
+        'reminder.body': '今日のあいさつの時間です！👋',
+        'reminder.greet': 'あいさつする',
+        'reminder.snooze': 'スヌーズ',
+        'reminder.denied': '通知がブロックされています。リマインダーを受け取るにはブラウザの設定で許可してください。',
+        'install.label': 'アプリをインストール',
+        'install.prompt': '📱 このアプリをインストールすると、オフラインでもすぐに使えます。',
+        'install.ios': '📱 インストールするには、共有をタップして「ホーム画面に追加」を選んでください。',
+        'install.accept': 'インストール',
+        'install.later': '後で',
+        'onboarding.title': 'ようこそ、エージェント',
+        'onboarding.intro': 'あなたのことと、好きなお祝いの仕方を教えてください。',
+        'onboarding.name': 'お名前',
+        'onboarding.effect': 'お気に入りのエフェクト',
+        'onboarding.skip': 'スキップ',
+        'onboarding.finish': 'はじめる',
+        'settings.groupInterval': 'グループあいさつの間隔（ミリ秒）',
+        'group.label': 'グループあいさつ',
+        'group.names': '名前（カンマまたは改行で区切る）',
+        'group.start': '全員にあいさつ',
+        'group.import': 'CSV を読み込む',
+        'group.imported': '{count} 人の名前を読み込みました。',
+        'group.importError': 'ファイルを読み込めませんでした。',
+        'group.empty': '名前を 1 つ以上入力してください。',
+        'group.truncated': '最初の {count} 人だけにあいさつします。',
+        'group.progress': '{current} / {total}',
+        'group.upNext': '次：{name}',
+        'group.pause': '一時停止',
+        'group.resume': '再開',
+        'group.next': '次へ',
+        'group.skip': 'スキップ',
+        'group.stop': '終了',
+        'group.summary': '{total} 人中 {greeted} 人にあいさつしました！🎉',
+        'group.duration': '{count} 秒かかりました。',
+        'group.skipped': 'スキップ',
+        'validation.tooLong': '名前は {max} 文字以内で入力してください。',
+        'validation.invalidCharacters': '名前に見えない文字や制御文字が含まれています。',
+        'validation.noLetters': '名前には文字を 1 つ以上含めてください。',
+        'validation.profanity': 'もっと感じのよい名前にしてください。',
+        'group.rejected': '無効な名前 {count} 件を除外しました：{names}。'
+    },
+    ar: {
+        'app.title': 'تطبيق تحيات جيمس بوند',
+        'app.heading': 'مرحبًا بك في تطبيق التحيات',
+        'input.label': 'أدخل اسمك',
+        'input.placeholder': 'أدخل اسمك',
+        'input.welcomeBack': 'أهلًا بعودتك يا {name}!',
+        'button.greet': 'حيّني!',
+        'effect.fireworks': 'ألعاب نارية',
+        'effect.confetti': 'قصاصات ملونة',
+        'locale.label': 'اللغة',
+        'status.connecting': '🌍 جارٍ الاتصال بالعالم...',
+        'status.error': 'حدث خطأ ما! يرجى المحاولة مرة أخرى.',
+        'validation.empty': 'يرجى إدخال اسمك!',
+        'greeting.translationInfo': 'هكذا تقول "مرحبًا" باللغة {language}! 🌍',
+        'countdown.message': {
+            zero: 'ستدمر هذه الرسالة نفسها خلال {count} ثانية...',
+            one: 'ستدمر هذه الرسالة نفسها خلال ثانية واحدة...',
+            two: 'ستدمر هذه الرسالة نفسها خلال ثانيتين...',
+            few: 'ستدمر هذه الرسالة نفسها خلال {count} ثوانٍ...',
+            many: 'ستدمر هذه الرسالة نفسها خلال {count} ثانية...',
+            other: 'ستدمر هذه الرسالة نفسها خلال {count} ثانية...'
+        },
+        'countdown.destroyed': '💥 تم التدمير 💥',
+        'visit.indicator': 'الزيارة رقم {count} 🎉',
+        'languageMode.label': 'لغة التحية',
+        'languageMode.random': 'فاجئني',
+        'languageMode.fixed': 'لغة واحدة دائمًا',
+        'languageMode.rotate': 'التناوب بين الكل',
+        'languageMode.learn': 'وضع التعلم',
+        'languageMode.language': 'اللغة المستخدمة',
+        'languageMode.speak': 'انطقها بصوت عالٍ',
+        'learn.romanization': 'بالحروف اللاتينية: {romanization}',
+        'learn.pronunciation': 'النطق: {pronunciation}',
+        'data.label': 'بياناتك',
+        'data.export': 'تصدير',
+        'data.import': 'استيراد',
+        'data.importSuccess': 'تم استيراد البيانات! جارٍ إعادة التحميل...',
+        'data.importError': 'تعذر استيراد هذا الملف.',
+        'profile.label': 'الملف الشخصي',
+        'profile.new': 'ملف شخصي جديد…',
+        'profile.guest': 'ضيف',
+        'profile.none': 'لا يوجد ملف شخصي',
+        'profile.namePrompt': 'اسم الملف الشخصي الجديد',
+        'profile.delete': 'إزالة',
+        'profile.deleteConfirm': 'هل تريد إزالة الملف الشخصي "{name}" وجميع بياناته؟',
+        'greeting.lastSeen': {
+            one: 'آخر زيارة كانت أمس. أهلًا بعودتك!',
+            two: 'آخر زيارة كانت قبل يومين. اشتقنا إليك!',
+            few: 'آخر زيارة كانت قبل {count} أيام. اشتقنا إليك!',
+            other: 'آخر زيارة كانت قبل {count} يومًا. اشتقنا إليك!'
+        },
+        'greeting.streak': {
+            two: '🔥 يومان متتاليان!',
+            few: '🔥 {count} أيام متتالية!',
+            other: '🔥 {count} يومًا متتاليًا!'
+        },
+        'history.button': 'السجل',
+        'history.title': 'سجل التحيات',
+        'history.summary': 'الزيارات: {visits} · السلسلة: {streak} · الأفضل: {best}',
+        'history.empty': 'لا توجد تحيات بعد.',
+        'history.clear': 'مسح السجل',
+        'history.clearConfirm': 'هل تريد مسح سجل التحيات بالكامل؟',
+        'dialog.close': 'إغلاق',
+        'effect.label': 'الاحتفال',
+        'effect.balloons': 'بالونات',
+        'effect.snow': 'ثلج',
+        'effect.emojiRain': 'مطر الرموز التعبيرية',
+        'effect.laser': 'مسح ليزري',
+        'effect.starburst': 'انفجار نجمي',
+        'effect.random': 'فاجئني',
+        'calm.label': 'الوضع الهادئ',
+        'message.dismiss': 'إغلاق',
+        'effect.calm': 'تلاشٍ لطيف',
+        'sound.label': 'الصوت',
+        'sound.mute': 'كتم الأصوات',
+        'sound.unmute': 'إلغاء كتم الأصوات',
+        'sound.volume': 'مستوى الصوت',
+        'sound.pack': 'حزمة الأصوات',
+        'sound.pack.synth': 'مُركِّب',
+        'sound.pack.retro': 'ريترو 8 بت',
+        'sound.pack.silent': 'صامت',
+        'countdown.abort': 'إلغاء',
+        'countdown.extend': '+{count} ث',
+        'countdown.keep': 'الاحتفاظ بهذه الرسالة',
+        'selfDestruct.label': 'التدمير الذاتي',
+        'selfDestruct.enabled': 'تدمير التحيات ذاتيًا',
+        'selfDestruct.delay': 'المهلة قبل العد التنازلي (ث)',
+        'selfDestruct.duration': 'مدة العد التنازلي (ث)',
+        'settings.button': 'الإعدادات',
+        'settings.title': 'الإعدادات',
+        'settings.group.timing': 'التوقيت',
+        'settings.group.effects': 'الاحتفالات',
+        'settings.group.colors': 'الألوان',
+        'settings.buttonCooldown': 'مهلة الزر (مللي ثانية)',
+        'settings.countdownExtension': 'تمديد العد التنازلي (ث)',
+        'settings.fireworksCount': 'الألعاب النارية',
+        'settings.confettiCount': 'قطع القصاصات',
+        'settings.balloonsCount': 'البالونات',
+        'settings.snowCount': 'ندفات الثلج',
+        'settings.emojiRainCount': 'قطرات الرموز التعبيرية',
+        'settings.particleLimit': 'حد الجسيمات',
+        'settings.fireworksColors': 'الألعاب النارية',
+        'settings.confettiColors': 'القصاصات',
+        'settings.balloonsColors': 'البالونات',
+        'settings.starburstColors': 'الانفجار النجمي',
+        'settings.laserColor': 'الليزر',
+        'settings.colorN': '{label}: اللون {count}',
+        'settings.range': 'أدخل عددًا صحيحًا من {min} إلى {max}.',
+        'settings.reset': 'استعادة الإعدادات الافتراضية',
+        'settings.resetConfirm': 'هل تريد استعادة جميع الإعدادات الافتراضية؟',
+        'settings.group.appearance': 'المظهر',
+        'theme.label': 'السمة',
+        'theme.auto': 'مطابقة النظام',
+        'theme.light': 'فاتح',
+        'theme.dark': 'داكن',
+        'theme.contrast': 'تباين عالٍ',
+        'theme.spy': '007',
+        'greeting.fallback': '{hello} يا {name}!',
+        'greetingPacks.label': 'حزم التحيات',
+        'greetingPacks.builtIn': 'التحيات المضمنة',
+        'greetingPacks.count': {
+            zero: 'لا توجد تحيات',
+            one: 'تحية واحدة',
+            two: 'تحيتان',
+            few: '{count} تحيات',
+            many: '{count} تحية',
+            other: '{count} تحية'
+        },
+        'greetingPacks.import': 'استيراد حزمة',
+        'greetingPacks.remove': 'إزالة',
+        'greetingPacks.removeConfirm': 'هل تريد إزالة الحزمة "{name}"؟',
+        'greetingPacks.imported': {
+            one: 'تمت إضافة "{name}" مع تحية واحدة.',
+            two: 'تمت إضافة "{name}" مع تحيتين.',
+            few: 'تمت إضافة "{name}" مع {count} تحيات.',
+            other: 'تمت إضافة "{name}" مع {count} تحية.'
+        },
+        'greetingPacks.notJson': 'هذا الملف ليس JSON صالحًا.',
+        'greetingPacks.invalidName': 'تحتاج الحزمة إلى "name" لا يتجاوز {max} حرفًا.',
+        'greetingPacks.invalidList': 'تحتاج الحزمة إلى قائمة "greetings" من 1 إلى {max} عنصرًا.',
+        'greetingPacks.invalidEntry': 'التحية {index} بلا نص صالح أو بها شرط غير معروف أو وزن غير صحيح.',
+        'customQuotes.label': 'اقتباساتك',
+        'customQuotes.hint': 'اقتباس في كل سطر بالشكل: الاقتباس — المؤلف. تظهر اقتباساتك قبل غيرها.',
+        'customQuotes.save': 'حفظ الاقتباسات',
+        'customQuotes.saved': {
+            zero: 'لم يُحفظ أي اقتباس.',
+            one: 'تم حفظ اقتباس واحد.',
+            two: 'تم حفظ اقتباسين.',
+            few: 'تم حفظ {count} اقتباسات.',
+            many: 'تم حفظ {count} اقتباسًا.',
+            other: 'تم حفظ {count} اقتباس.'
+        },
+        'customQuotes.cleared': 'تم مسح اقتباساتك. عادت الاقتباسات المدمجة.',
+        'customQuotes.invalidLine': 'السطر {line} يحتاج إلى اقتباس وشرطة ومؤلف.',
+        'customQuotes.tooLong': 'السطر {line} طويل جدًا: يجب أن تقل الاقتباسات عن {max} حرفًا.',
+        'customQuotes.tooMany': 'يمكن حفظ {max} اقتباس فقط.',
+        'settings.group.profile': 'عنك',
+        'birthday.label': 'تاريخ الميلاد',
+        'holiday.newYear': 'سنة جديدة سعيدة',
+        'holiday.islamicNewYear': 'سنة هجرية سعيدة',
+        'holiday.eidAlFitr': 'عيد فطر مبارك',
+        'holiday.eidAlAdha': 'عيد أضحى مبارك',
+        'timeZone.label': 'تحية شخص في',
+        'timeZone.local': 'منطقتي الزمنية',
+        'greeting.recipientTime': '🕒 الساعة الآن {time} في {place}',
+        'share.link': 'مشاركة',
+        'share.card': 'حفظ البطاقة',
+        'share.text': 'تحية إلى {name} 🎉',
+        'share.copied': 'تم نسخ الرابط!',
+        'share.copyPrompt': 'انسخ هذا الرابط:',
+        'share.cardError': 'تعذر إنشاء البطاقة.',
+        'share.received': '💌 أرسل إليك أحدهم تحية',
+        'update.available': 'يتوفر إصدار جديد.',
+        'update.reload': 'إعادة التحميل',
+        'update.later': 'لاحقًا',
+        'reminder.label': 'تذكير يومي',
+        'reminder.enabled': 'ذكّرني بالتحية كل يوم',
+        'reminder.time': 'وقت التذكير',
+        'reminder.body': 'حان وقت تحيتك اليومية! 👋',
+        'reminder.greet': 'حيّني',
+        'reminder.snooze': 'تأجيل',
+        'reminder.denied': 'الإشعارات محظورة. اسمح بها في إعدادات المتصفح لتلقي التذكيرات.',
+        'install.label': 'تثبيت التطبيق',
+        'install.prompt': '📱 ثبّت هذا التطبيق للوصول السريع، حتى دون اتصال.',
+        'install.ios': '📱 لتثبيت هذا التطبيق، اضغط على مشاركة ثم «إضافة إلى الشاشة الرئيسية».',
+        'install.accept': 'تثبيت',
+        'install.later': 'لاحقًا',
+        'onboarding.title': 'مرحبًا أيها العميل',
+        'onboarding.intro': 'أخبرنا من أنت وكيف تحب أن تحتفل.',
+        'onboarding.name': 'اسمك',
+        'onboarding.effect': 'التأثير المفضل',
+        'onboarding.skip': 'تخطي',
+        'onboarding.finish': 'لنبدأ',
+        'settings.groupInterval': 'إيقاع التحية الجماعية (مللي ثانية)',
+        'group.label': 'تحية جماعية',
+        'group.names': 'الأسماء، مفصولة بفواصل أو أسطر جديدة',
+        'group.start': 'حيِّ الجميع',
+        'group.import': 'استيراد CSV',
+        'group.imported': {
+            one: 'تم استيراد اسم واحد.',
+            other: 'تم استيراد {count} من الأسماء.'
+        },
+        'group.importError': 'تعذرت قراءة هذا الملف.',
+        'group.empty': 'أضف اسمًا واحدًا على الأقل.',
+        'group.truncated': 'ستتم تحية أول {count} من الأسماء فقط.',
+        'group.progress': '{current} من {total}',
+        'group.upNext': 'التالي: {name}',
+        'group.pause': 'إيقاف مؤقت',
+        'group.resume': 'استئناف',
+        'group.next': 'التالي',
+        'group.skip': 'تخطي',
+        'group.stop': 'إيقاف',
+        'group.summary': 'تمت تحية {greeted} من {total}! 🎉',
+        'group.duration': {
+            one: 'استغرق ذلك ثانية واحدة.',
+            other: 'استغرق ذلك {count} ثانية.'
+        },
+        'group.skipped': 'تم التخطي',
+        'validation.tooLong': 'يمكن أن يتكون الاسم من {max} حرفًا على الأكثر.',
+        'validation.invalidCharacters': 'يحتوي الاسم على أحرف غير مرئية أو أحرف تحكم.',
+        'validation.noLetters': 'يجب أن يحتوي الاسم على حرف واحد على الأقل.',
+        'validation.profanity': 'يرجى اختيار اسم ألطف.',
+        'group.rejected': {
+            one: 'تم استبعاد اسم غير صالح: {names}.',
+            other: 'تم استبعاد {count} من الأسماء غير الصالحة: {names}.'
+        }
+    }
+};
+
+/**
+ * Find the best supported locale for a list of preferred language tags
+ * @param {Array<string>} preferred - BCP 47 tags, most preferred first
+ * @returns {string} Supported locale code
+ */
+function matchLocale(preferred) {
+    for (const tag of preferred || []) {
+        if (typeof tag !== 'string') continue;
+        const base = tag.toLowerCase().split('-')[0];
+        if (hasOwn(MESSAGES, base)) {
+            return base;
+        }
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * Detect the UI locale from the stored choice or the browser languages
+ * @returns {string} Supported locale code
+ */
+function detectLocale() {
+    const storedLocale = loadFromStorage(STORAGE_KEYS.LOCALE);
+    if (hasOwn(MESSAGES, storedLocale)) {
+        return storedLocale;
+    }
+    return matchLocale(navigator.languages || [navigator.language]);
+}
+
+/**
+ * Format a number for the current locale
+ * @param {number} value - Number to format
+ * @returns {string} Localized number
+ */
+function formatNumber(value) {
+    return new Intl.NumberFormat(currentLocale).format(value);
+}
+
+/**
+ * Replace {placeholders} in a message, formatting numbers for the locale
+ * @param {string} message - Message template
+ * @param {Object} params - Placeholder values
+ * @returns {string} Interpolated message
+ */
+function interpolate(message, params = {}) {
+    return message.replace(/\{(\w+)\}/g, (match, key) => {
+        if (!(key in params)) return match;
+        const value = params[key];
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
+
+/**
+ * Translate a message key for the current locale
+ * @param {string} key - Message key
+ * @param {Object} [params] - Placeholder values; `count` selects the plural form
+ * @returns {string} Translated message
+ */
+function t(key, params = {}) {
+    let message = (MESSAGES[currentLocale] || {})[key];
+    if (message === undefined) {
+        message = MESSAGES[DEFAULT_LOCALE][key];
+    }
+    if (message === undefined) {
+        console.warn(`Missing translation: ${key}`);
+        return key;
+    }
+
+    if (Array.isArray(message)) {
+        message = message[Math.floor(Math.random() * message.length)];
+    } else if (typeof message === 'object') {
+        const category = new Intl.PluralRules(currentLocale).select(params.count);
+        message = message[category] || message.other;
+    }
+
+    return interpolate(message, params);
+}
+
+/**
+ * Get the localized display name of a language
+ * @param {string} code - Language code
+ * @param {string} fallback - Name to use if Intl.DisplayNames is unavailable
+ * @returns {string} Language name in the current locale
+ */
+function getLanguageDisplayName(code, fallback) {
+    try {
+        return new Intl.DisplayNames([currentLocale], { type: 'language' }).of(code) || fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Switch the UI locale and re-render static text
+ * @param {string} locale - Supported locale code
+ */
+function setLocale(locale) {
+    currentLocale = hasOwn(MESSAGES, locale) ? locale : DEFAULT_LOCALE;
+    saveToStorage(STORAGE_KEYS.LOCALE, currentLocale);
+    applyTranslations();
+}
+
+/**
+ * Apply the current locale to the document: lang, direction and static text.
+ * Static elements opt in with a data-i18n attribute holding the message key.
+ */
+function applyTranslations() {
+    const localeInfo = SUPPORTED_LOCALES.find((locale) => locale.code === currentLocale);
+    document.documentElement.lang = currentLocale;
+    document.documentElement.dir = (localeInfo && localeInfo.dir) || 'ltr';
+    document.title = t('app.title');
+
+    document.querySelectorAll('[data-i18n]').forEach((element) => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    updateNamePlaceholder();
+    renderGreetingLanguageOptions();
+    renderProfileOptions();
+    renderEffectOptions();
+    renderTimeZoneOptions();
+    syncSoundControls();
+
+    // Reminder notifications are shown by the service worker in the language sent to it
+    if (getReminderSettings().enabled) {
+        sendReminderToServiceWorker();
+    }
+
+    // The button shows a spinner while busy; only relabel it when idle
+    const greetButton = document.getElementById('greetButton');
+    if (greetButton && !greetButton.disabled) {
+        greetButton.textContent = t('button.greet');
+    }
+}
+
+/**
+ * Populate the locale picker and listen for changes
+ */
+function initializeLocalePicker() {
+    const localeSelect = document.getElementById('localeSelect');
+    if (!localeSelect) return;
+
+    renderContent(localeSelect, SUPPORTED_LOCALES.map((locale) =>
+        createElement('option', { value: locale.code, lang: locale.code }, locale.name)
+    ));
+    localeSelect.value = currentLocale;
+    localeSelect.addEventListener('change', () => {
+        setLocale(localeSelect.value);
+    });
+}
+
+// ===== API INTEGRATION =====
+
+/**
+ * Multi-language translations for "Hello", with learn-mode hints.
+ * `romanization` is only given for non-Latin scripts.
+ */
+const HELLO_TRANSLATIONS = [
+    { code: 'en', language: 'English', greeting: 'Hello', pronunciation: 'heh-LOH' },
+    { code: 'es', language: 'Spanish', greeting: 'Hola', pronunciation: 'OH-lah' },
+    { code: 'fr', language: 'French', greeting: 'Bonjour', pronunciation: 'bohn-ZHOOR' },
+    { code: 'de', language: 'German', greeting: 'Hallo', pronunciation: 'HAH-loh' },
+    { code: 'it', language: 'Italian', greeting: 'Ciao', pronunciation: 'CHOW' },
+    { code: 'pt', language: 'Portuguese', greeting: 'Olá', pronunciation: 'oh-LAH' },
+    { code: 'ru', language: 'Russian', greeting: 'Привет', romanization: 'Privet', pronunciation: 'pree-VYET' },
+    { code: 'ja', language: 'Japanese', greeting: 'こんにちは', romanization: 'Konnichiwa', pronunciation: 'kohn-nee-chee-wah' },
+    { code: 'ko', language: 'Korean', greeting: '안녕하세요', romanization: 'Annyeonghaseyo', pronunciation: 'ahn-nyuhng-hah-seh-yo' },
+    { code: 'zh', language: 'Chinese', greeting: '你好', romanization: 'Nǐ hǎo', pronunciation: 'nee how' },
+    { code: 'ar', language: 'Arabic', greeting: 'مرحبا', romanization: 'Marhaban', pronunciation: 'MAR-ha-ban' },
+    { code: 'hi', language: 'Hindi', greeting: 'नमस्ते', romanization: 'Namaste', pronunciation: 'nuh-muh-STAY' },
+    { code: 'nl', language: 'Dutch', greeting: 'Hallo', pronunciation: 'HAH-loh' },
+    { code: 'sv', language: 'Swedish', greeting: 'Hej', pronunciation: 'HAY' },
+    { code: 'no', language: 'Norwegian', greeting: 'Hei', pronunciation: 'HAY' },
+    { code: 'fi', language: 'Finnish', greeting: 'Hei', pronunciation: 'HAY' },
+    { code: 'el', language: 'Greek', greeting: 'Γεια σας', romanization: 'Geia sas', pronunciation: 'YAH-sahs' },
+    { code: 'tr', language: 'Turkish', greeting: 'Merhaba', pronunciation: 'MEHR-hah-bah' },
+    { code: 'pl', language: 'Polish', greeting: 'Cześć', pronunciation: 'cheshch' },
+    { code: 'cs', language: 'Czech', greeting: 'Ahoj', pronunciation: 'AH-hoy' }
+];
+
+/**
+ * Get a random "Hello" translation
+ * @returns {Object} Translation object with language and greeting
+ */
+function getRandomHelloTranslation() {
+    const randomIndex = Math.floor(Math.random() * HELLO_TRANSLATIONS.length);
+    return HELLO_TRANSLATIONS[randomIndex];
+}
+
+/**
+ * Create enhanced greeting with translation and quote
+ * @param {string} name - User's name
+ * @param {Object} translation - Translation object
+ * @param {Object} quote - Quote object
+ * @param {Object} [options] - Rendering options
+ * @param {boolean} [options.guest] - Greeting someone other than the active
+ *   profile, so leave out its visits, streak, birthday and time zone
+ * @returns {HTMLElement} Enhanced greeting element
+ */
+function createEnhancedGreeting(name, translation, quote, { guest = false } = {}) {
+    const userData = guest ? { visitCount: 0 } : getStoredUserData();
+    const isReturning = !guest && isReturningUser() && userData.visitCount > 1;
+    
+    const languageName = getLanguageDisplayName(translation.code, translation.language);
+    const now = new Date();
+    // The recipient's zone applies whoever is being greeted
+    const timeZone = getRecipientTimeZone();
+    const date = timeZone ? getZonedDate(now, timeZone) : now;
+    const mainGreeting = composeGreeting({
+        hello: translation.greeting,
+        name,
+        language: languageName,
+        visitCount: userData.visitCount,
+        returning: isReturning,
+        date,
+        birthday: !guest && isBirthday(date)
+    });
+    const isLearning = getGreetingLanguageSettings().mode === 'learn';
+    const daysSinceLastSeen = guest ? null : getDaysSinceLastSeen();
+    const streak = guest ? { current: 0 } : getStreak();
+    
+    // Every dynamic value goes in as text, never as markup
+    return createElement('div', { className: 'enhanced-greeting' },
+        createElement('div', { className: 'main-greeting' }, mainGreeting),
+        timeZone &&
+            createElement('div', { className: 'recipient-time' }, t('greeting.recipientTime', {
+                time: new Intl.DateTimeFormat(currentLocale, { timeStyle: 'short', timeZone }).format(now),
+                place: getTimeZoneLabel(timeZone)
+            })),
+        daysSinceLastSeen > 0 &&
+            createElement('div', { className: 'last-seen' }, t('greeting.lastSeen', { count: daysSinceLastSeen })),
+        streak.current > 1 &&
+            createElement('div', { className: 'streak-badge' }, t('greeting.streak', { count: streak.current })),
+        isLearning
+            ? createLearnCard(translation, languageName)
+            : createElement('div', { className: 'translation-info' }, t('greeting.translationInfo', { language: languageName })),
+        createQuoteSection(quote)
+    );
+}
+
+/**
+ * Create the quote block shown under a greeting
+ * @param {Object} quote - Quote with text and author
+ * @returns {HTMLElement} Quote element
+ */
+function createQuoteSection(quote) {
+    return createElement('div', { className: 'quote-section' },
+        createElement('div', { className: 'quote-text' }, `"${quote.text}"`),
+        createElement('div', { className: 'quote-author' }, `— ${quote.author}`)
+    );
+}
+
+// ===== GREETING LANGUAGE SELECTION =====
+
+/**
+ * How the "Hello" language is chosen for each greeting
+ */
+const GREETING_LANGUAGE_MODES = ['random', 'fixed', 'rotate', 'learn'];
+
+/**
+ * Get the stored greeting language settings, with defaults for anything missing
+ * @returns {Object} Settings with mode, code, rotateIndex and speak
+ */
+function getGreetingLanguageSettings() {
+    const stored = loadFromStorage(STORAGE_KEYS.GREETING_LANGUAGE, {}) || {};
+    return {
+        mode: GREETING_LANGUAGE_MODES.includes(stored.mode) ? stored.mode : 'random',
+        code: findHelloTranslation(stored.code) ? stored.code : 'en',
+        rotateIndex: Number.isInteger(stored.rotateIndex) ? stored.rotateIndex : 0,
+        speak: stored.speak === true
+    };
+}
+
+/**
+ * Update and persist greeting language settings
+ * @param {Object} changes - Settings to change
+ * @returns {Object} The full updated settings
+ */
+function saveGreetingLanguageSettings(changes) {
+    const settings = { ...getGreetingLanguageSettings(), ...changes };
+    saveToStorage(STORAGE_KEYS.GREETING_LANGUAGE, settings);
+    return settings;
+}
+
+/**
+ * Find a "Hello" translation by language code
+ * @param {string} code - Language code
+ * @returns {Object|undefined} Translation object
+ */
+function findHelloTranslation(code) {
+    return HELLO_TRANSLATIONS.find((translation) => translation.code === code);
+}
+
+/**
+ * Choose the "Hello" translation according to the user's language mode
+ * @returns {Object} Translation object with language and greeting
+ */
+function selectHelloTranslation() {
+    const settings = getGreetingLanguageSettings();
+
+    switch (settings.mode) {
+        case 'fixed':
+        case 'learn':
+            return findHelloTranslation(settings.code);
+        case 'rotate': {
+            const index = settings.rotateIndex % HELLO_TRANSLATIONS.length;
+            saveGreetingLanguageSettings({ rotateIndex: index + 1 });
+            return HELLO_TRANSLATIONS[index];
+        }
+        default:
+            return getRandomHelloTranslation();
+    }
+}
+
+/**
+ * Build the learn-mode card with pronunciation hints
+ * @param {Object} translation - Translation object
+ * @param {string} languageName - Localized language name
+ * @returns {HTMLElement} Learn card element
+ */
+function createLearnCard(translation, languageName) {
+    return createElement('div', { className: 'learn-card' },
+        createElement('div', { className: 'learn-greeting', lang: translation.code }, translation.greeting),
+        createElement('div', { className: 'learn-language' }, languageName),
+        translation.romanization &&
+            createElement('div', { className: 'learn-romanization' }, t('learn.romanization', { romanization: translation.romanization })),
+        createElement('div', { className: 'learn-pronunciation' }, t('learn.pronunciation', { pronunciation: translation.pronunciation }))
+    );
+}
+
+/**
+ * Speak a greeting aloud with the Web Speech API, if available
+ * @param {Object} translation - Translation object
+ */
+function speakGreeting(translation) {
+    if (!('speechSynthesis' in window) || typeof SpeechSynthesisUtterance === 'undefined') {
+        return;
+    }
+    try {
+        const { volume, muted } = getSoundSettings();
+        if (muted) return;
+        const utterance = new SpeechSynthesisUtterance(translation.greeting);
+        utterance.lang = translation.code;
+        utterance.volume = volume;
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
+    } catch (error) {
+        console.warn('Speech synthesis failed:', error);
+    }
+}
+
+/**
+ * Fill the language picker with localized language names
+ */
+function renderGreetingLanguageOptions() {
+    const { greetingLanguageSelect } = getElements();
+    if (!greetingLanguageSelect) return;
+
+    const selectedCode = getGreetingLanguageSettings().code;
+    renderContent(greetingLanguageSelect, HELLO_TRANSLATIONS.map((translation) =>
+        createElement('option', { value: translation.code },
+            `${getLanguageDisplayName(translation.code, translation.language)} — ${translation.greeting}`)
+    ));
+    greetingLanguageSelect.value = selectedCode;
+}
+
+/**
+ * Show only the controls that apply to the current mode
+ * @param {string} mode - Greeting language mode
+ */
+function updateGreetingLanguageControls(mode) {
+    const { greetingLanguageSelect, speakOption } = getElements();
+    greetingLanguageSelect.hidden = mode !== 'fixed' && mode !== 'learn';
+    speakOption.hidden = mode !== 'learn';
+}
+
+/**
+ * Set the greeting language controls from stored settings
+ */
+function syncGreetingLanguageControls() {
+    const { greetingModeSelect, speakToggle } = getElements();
+    if (!greetingModeSelect) return;
+
+    const settings = getGreetingLanguageSettings();
+    renderGreetingLanguageOptions();
+    greetingModeSelect.value = settings.mode;
+    speakToggle.checked = settings.speak;
+    updateGreetingLanguageControls(settings.mode);
+}
+
+/**
+ * Wire up the greeting language controls
+ */
+function initializeGreetingLanguageControls() {
+    const { greetingModeSelect, greetingLanguageSelect, speakToggle } = getElements();
+    if (!greetingModeSelect) return;
+
+    syncGreetingLanguageControls();
+
+    greetingModeSelect.addEventListener('change', () => {
+        saveGreetingLanguageSettings({ mode: greetingModeSelect.value });
+        updateGreetingLanguageControls(greetingModeSelect.value);
+    });
+    greetingLanguageSelect.addEventListener('change', () => {
+        saveGreetingLanguageSettings({ code: greetingLanguageSelect.value });
+    });
+    speakToggle.addEventListener('change', () => {
+        saveGreetingLanguageSettings({ speak: speakToggle.checked });
+    });
+}
+
+// ===== CALENDAR =====
+
+/**
+ * Holidays greeted in each UI locale. Rules work offline:
+ *   { month, day }                 fixed date
+ *   { month, weekday, nth }        nth weekday of the month; nth -1 is the last
+ *   { easter }                     days after Easter Sunday
+ *   { calendar, month, day }       fixed date in another calendar (via Intl)
+ */
+const HOLIDAYS = [
+    { id: 'newYear', locales: ['en', 'es', 'fr', 'de', 'ja', 'ar'], rule: { month: 1, day: 1 } },
+    { id: 'epiphany', locales: ['es'], rule: { month: 1, day: 6 } },
+    { id: 'comingOfAgeDay', locales: ['ja'], rule: { month: 1, weekday: 'mon', nth: 2 } },
+    { id: 'valentinesDay', locales: ['en'], rule: { month: 2, day: 14 } },
+    { id: 'easter', locales: ['en', 'es', 'fr', 'de'], rule: { easter: 0 } },
+    { id: 'mothersDay', locales: ['de'], rule: { month: 5, weekday: 'sun', nth: 2 } },
+    { id: 'childrensDay', locales: ['ja'], rule: { month: 5, day: 5 } },
+    { id: 'bastilleDay', locales: ['fr'], rule: { month: 7, day: 14 } },
+    { id: 'respectForTheAgedDay', locales: ['ja'], rule: { month: 9, weekday: 'mon', nth: 3 } },
+    { id: 'unityDay', locales: ['de'], rule: { month: 10, day: 3 } },
+    { id: 'halloween', locales: ['en'], rule: { month: 10, day: 31 } },
+    { id: 'thanksgiving', locales: ['en'], rule: { month: 11, weekday: 'thu', nth: 4 } },
+    { id: 'christmas', locales: ['en', 'es', 'fr', 'de'], rule: { month: 12, day: 25 } },
+    { id: 'islamicNewYear', locales: ['ar'], rule: { calendar: 'islamic-umalqura', month: 1, day: 1 } },
+    { id: 'eidAlFitr', locales: ['ar'], rule: { calendar: 'islamic-umalqura', month: 10, day: 1 } },
+    { id: 'eidAlAdha', locales: ['ar'], rule: { calendar: 'islamic-umalqura', month: 12, day: 10 } }
+];
+
+/**
+ * Compute Easter Sunday (Gregorian calendar, anonymous algorithm)
+ * @param {number} year - Full year
+ * @returns {Date} Easter Sunday at local midnight
+ */
+function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Get the month and day of a date in another calendar
+ * @param {Date} date - The date
+ * @param {string} calendar - Unicode calendar id, e.g. 'islamic-umalqura'
+ * @returns {Object|null} { month, day }, or null if the browser lacks the calendar
+ */
+function getCalendarDate(date, calendar) {
+    const format = new Intl.DateTimeFormat(`en-u-ca-${calendar}`, { month: 'numeric', day: 'numeric' });
+    if (format.resolvedOptions().calendar !== calendar) return null;
+
+    const parts = Object.fromEntries(format.formatToParts(date).map(({ type, value }) => [type, value]));
+    return { month: parseInt(parts.month, 10), day: parseInt(parts.day, 10) };
+}
+
+/**
+ * Check whether a date falls on a holiday rule
+ * @param {Object} rule - Rule from HOLIDAYS
+ * @param {Date} date - The date
+ * @returns {boolean} True on the holiday
+ */
+function matchesHolidayRule(rule, date) {
+    if (rule.easter !== undefined) {
+        const easter = getEasterSunday(date.getFullYear());
+        easter.setDate(easter.getDate() + rule.easter);
+        return getDateKey(easter) === getDateKey(date);
+    }
+    if (rule.calendar) {
+        const calendarDate = getCalendarDate(date, rule.calendar);
+        return Boolean(calendarDate) && calendarDate.month === rule.month && calendarDate.day === rule.day;
+    }
+    if (date.getMonth() + 1 !== rule.month) return false;
+    if (rule.day !== undefined) return date.getDate() === rule.day;
+    if (WEEKDAYS[date.getDay()] !== rule.weekday) return false;
+
+    if (rule.nth === -1) {
+        const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+        return date.getDate() + 7 > daysInMonth;
+    }
+    return Math.ceil(date.getDate() / 7) === rule.nth;
+}
+
+/**
+ * Find the holiday on a date for the UI locale
+ * @param {Date} date - The date
+ * @returns {string|null} Holiday id, or null on ordinary days
+ */
+function getHoliday(date) {
+    const holiday = HOLIDAYS.find(({ locales, rule }) => locales.includes(currentLocale) && matchesHolidayRule(rule, date));
+    return holiday ? holiday.id : null;
+}
+
+/**
+ * Get the weekend days for the user's region, Saturday and Sunday if unknown
+ * @returns {Array<number>} Day numbers as returned by Date#getDay
+ */
+function getWeekendDays() {
+    try {
+        const locale = new Intl.Locale(navigator.language || currentLocale);
+        const weekInfo = typeof locale.getWeekInfo === 'function' ? locale.getWeekInfo() : locale.weekInfo;
+        if (weekInfo && Array.isArray(weekInfo.weekend)) {
+            // Intl numbers days 1 (Monday) to 7 (Sunday)
+            return weekInfo.weekend.map((day) => day % 7);
+        }
+    } catch (error) {
+        console.warn('Week info unavailable:', error);
+    }
+    return [6, 0];
+}
+
+/**
+ * Classify a date as a weekday or a weekend day
+ * @param {Date} date - The date
+ * @returns {string} 'weekday' or 'weekend'
+ */
+function getDayType(date) {
+    return getWeekendDays().includes(date.getDay()) ? 'weekend' : 'weekday';
+}
+
+/**
+ * Check that a string is an IANA time zone the browser knows
+ * @param {any} timeZone - Candidate zone, e.g. 'Asia/Tokyo'
+ * @returns {boolean} True if usable with Intl
+ */
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone === '') return false;
+    try {
+        new Intl.DateTimeFormat('en', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Get the time zone of the person being greeted
+ * @returns {string|null} IANA zone, or null to use the viewer's own
+ */
+function getRecipientTimeZone() {
+    const timeZone = loadFromStorage(STORAGE_KEYS.RECIPIENT_TIME_ZONE, null);
+    return isValidTimeZone(timeZone) ? timeZone : null;
+}
+
+/**
+ * Shift a moment to the wall-clock time of another zone. The result's
+ * local getters (getHours, getDay...) read as the time in that zone, so
+ * every calendar rule works unchanged.
+ * @param {Date} date - The moment
+ * @param {string} timeZone - IANA zone
+ * @returns {Date} Date whose local fields match the zone's wall clock
+ */
+function getZonedDate(date, timeZone) {
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    });
+    const parts = Object.fromEntries(format.formatToParts(date).map(({ type, value }) => [type, parseInt(value, 10)]));
+    return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * Turn an IANA zone id into a readable place, e.g. 'America/New_York' → 'New York'
+ * @param {string} timeZone - IANA zone
+ * @returns {string} Place name
+ */
+function getTimeZoneLabel(timeZone) {
+    return timeZone.split('/').pop().replace(/_/g, ' ');
+}
+
+/**
+ * Fill the recipient time zone picker
+ */
+function renderTimeZoneOptions() {
+    const { timeZoneSelect } = getElements();
+    if (!timeZoneSelect) return;
+
+    const timeZones = typeof Intl.supportedValuesOf === 'function'
+        ? Intl.supportedValuesOf('timeZone')
+        : ['UTC', 'America/Los_Angeles', 'America/New_York', 'Europe/London', 'Europe/Berlin', 'Asia/Dubai', 'Asia/Kolkata', 'Asia/Tokyo', 'Australia/Sydney'];
+    renderContent(timeZoneSelect,
+        createElement('option', { value: '' }, t('timeZone.local')),
+        timeZones.map((timeZone) => createElement('option', { value: timeZone }, timeZone.replace(/_/g, ' ')))
+    );
+    timeZoneSelect.value = getRecipientTimeZone() || '';
+}
+
+/**
+ * Wire up the recipient time zone picker
+ */
+function initializeTimeZonePicker() {
+    const { timeZoneSelect } = getElements();
+    if (!timeZoneSelect) return;
+
+    timeZoneSelect.addEventListener('change', () => {
+        if (timeZoneSelect.value) {
+            saveToStorage(STORAGE_KEYS.RECIPIENT_TIME_ZONE, timeZoneSelect.value);
+        } else {
+            removeFromStorage(STORAGE_KEYS.RECIPIENT_TIME_ZONE);
+        }
+    });
+}
+
+/**
+ * Get the active profile's birthday
+ * @returns {string|null} Date as YYYY-MM-DD, or null if not set
+ */
+function getBirthday() {
+    const birthday = loadFromStorage(STORAGE_KEYS.BIRTHDAY, null);
+    return typeof birthday === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(birthday) ? birthday : null;
+}
+
+/**
+ * Check whether a date is the active profile's birthday. A 29 February
+ * birthday is celebrated on the 28th in other years.
+ * @param {Date} date - The date
+ * @returns {boolean} True on the birthday
+ */
+function isBirthday(date) {
+    const birthday = getBirthday();
+    if (!birthday) return false;
+
+    const [, month, day] = birthday.split('-').map(Number);
+    const isLeapYear = new Date(date.getFullYear(), 1, 29).getMonth() === 1;
+    const celebratedDay = month === 2 && day === 29 && !isLeapYear ? 28 : day;
+    return date.getMonth() + 1 === month && date.getDate() === celebratedDay;
+}
+
+/**
+ * Wire up the birthday field in the settings dialog
+ */
+function initializeBirthdayControl() {
+    const { birthdayInput } = getElements();
+    if (!birthdayInput) return;
+
+    birthdayInput.addEventListener('change', () => {
+        if (birthdayInput.value) {
+            saveToStorage(STORAGE_KEYS.BIRTHDAY, birthdayInput.value);
+        } else {
+            removeFromStorage(STORAGE_KEYS.BIRTHDAY);
+        }
+    });
+}
+
+// ===== GREETING CATALOG =====
+
+/*
+ * Greeting text comes from packs: JSON documents of this shape.
+ *
+ *   {
+ *     "name": "Office greetings",
+ *     "greetings": [
+ *       { "text": "Morning {name}! Coffee is on the third floor.",
+ *         "when": { "timeOfDay": "morning", "dayType": "weekday" } },
+ *       { "text": "Happy Friday, {name}!", "when": { "weekday": "fri" } },
+ *       { "text": { "en": "Welcome back, {name}!", "es": "¡Hola otra vez, {name}!" },
+ *         "when": { "returning": true }, "weight": 2 }
+ *     ]
+ *   }
+ *
+ * `text` is one string, or one string per UI locale, and may use the
+ * {hello}, {name}, {language}, {visitCount} and {holiday} placeholders.
+ * A greeting is only picked when every condition in `when` holds; `weight`
+ * makes it more likely than the others that match. Greetings for an
+ * occasion (a birthday or holiday) win over everyday ones on that day.
+ */
+
+/**
+ * Id of the pack that ships with the app
+ */
+const BUILT_IN_PACK_ID = 'built-in';
+
+/**
+ * Time-of-day buckets, each running until the given hour
+ */
+const TIME_OF_DAY_BUCKETS = [
+    { id: 'lateNight', until: 5 },
+    { id: 'earlyMorning', until: 8 },
+    { id: 'morning', until: 12 },
+    { id: 'afternoon', until: 18 },
+    { id: 'evening', until: 22 },
+    { id: 'night', until: 24 }
+];
+
+/**
+ * Values accepted by the timeOfDay, weekday and dayType conditions
+ */
+const TIMES_OF_DAY = TIME_OF_DAY_BUCKETS.map(({ id }) => id);
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_TYPES = ['weekday', 'weekend'];
+
+/**
+ * Conditions that mark a greeting as being for an occasion
+ */
+const OCCASION_CONDITIONS = ['birthday', 'holiday'];
+
+/**
+ * Size limits for imported packs
+ */
+const GREETING_PACK_LIMITS = { name: 60, text: 300, greetings: 500, weight: 100 };
+
+/**
+ * The built-in greetings
+ */
+const DEFAULT_GREETING_PACK = {
+    id: BUILT_IN_PACK_ID,
+    name: 'Built-in greetings',
+    greetings: [
+        {
+            when: { returning: true },
+            text: {
+                en: '{hello}, {name}! Welcome back! Great to see you again! 🎉',
+                es: '¡{hello}, {name}! ¡Bienvenido de nuevo! ¡Qué alegría volver a verte! 🎉',
+                fr: '{hello}, {name} ! Bon retour ! Ravi de vous revoir ! 🎉',
+                de: '{hello}, {name}! Willkommen zurück! Schön, dich wiederzusehen! 🎉',
+                ja: '{hello}、{name}さん！おかえりなさい！また会えてうれしいです！🎉',
+                ar: '{hello} يا {name}! أهلًا بعودتك! سعداء برؤيتك مجددًا! 🎉'
+            }
+        },
+        {
+            when: { returning: true },
+            text: {
+                en: "{hello}, {name}! You're back! Hope you're having an amazing day! ✨",
+                es: '¡{hello}, {name}! ¡Has vuelto! ¡Espero que tengas un día increíble! ✨',
+                fr: '{hello}, {name} ! Vous êtes de retour ! Passez une journée formidable ! ✨',
+                de: '{hello}, {name}! Du bist zurück! Hab einen großartigen Tag! ✨',
+                ja: '{hello}、{name}さん！おかえり！素晴らしい一日を！✨',
+                ar: '{hello} يا {name}! لقد عدت! نتمنى لك يومًا مذهلًا! ✨'
+            }
+        },
+        {
+            when: { returning: true },
+            text: {
+                en: '{hello}, {name}! Welcome back to the party! 🎊',
+                es: '¡{hello}, {name}! ¡Bienvenido de nuevo a la fiesta! 🎊',
+                fr: '{hello}, {name} ! Bon retour à la fête ! 🎊',
+                de: '{hello}, {name}! Willkommen zurück auf der Party! 🎊',
+                ja: '{hello}、{name}さん！パーティーにおかえりなさい！🎊',
+                ar: '{hello} يا {name}! مرحبًا بعودتك إلى الحفلة! 🎊'
+            }
+        },
+        {
+            when: { returning: true },
+            text: {
+                en: '{hello}, {name}! So good to see you return! Ready for more fun? 🚀',
+                es: '¡{hello}, {name}! ¡Qué bien que vuelvas! ¿Listo para más diversión? 🚀',
+                fr: '{hello}, {name} ! Content de vous revoir ! Prêt pour encore plus de fun ? 🚀',
+                de: '{hello}, {name}! Schön, dass du wieder da bist! Bereit für mehr Spaß? 🚀',
+                ja: '{hello}、{name}さん！戻ってきてくれてうれしい！もっと楽しみましょう！🚀',
+                ar: '{hello} يا {name}! سعداء بعودتك! مستعد لمزيد من المرح؟ 🚀'
+            }
+        },
+        {
+            when: { timeOfDay: 'morning', dayType: 'weekday', returning: false },
+            text: {
+                en: "{hello}, {name}! Let's have a great day.",
+                es: '¡{hello}, {name}! Que tengas un gran día.',
+                fr: '{hello}, {name} ! Passez une excellente journée.',
+                de: '{hello}, {name}! Hab einen tollen Tag.',
+                ja: '{hello}、{name}さん！素敵な一日を。',
+                ar: '{hello} يا {name}! نتمنى لك يومًا رائعًا.'
+            }
+        },
+        {
+            when: { timeOfDay: 'afternoon', dayType: 'weekday', returning: false },
+            text: {
+                en: "{hello}, {name}! Hope you're having a productive day.",
+                es: '¡{hello}, {name}! Espero que estés teniendo un día productivo.',
+                fr: "{hello}, {name} ! J'espère que votre journée est productive.",
+                de: '{hello}, {name}! Ich hoffe, dein Tag ist produktiv.',
+                ja: '{hello}、{name}さん！充実した一日になりますように。',
+                ar: '{hello} يا {name}! نتمنى أن يكون يومك مثمرًا.'
+            }
+        },
+        {
+            when: { timeOfDay: 'evening', returning: false },
+            text: {
+                en: '{hello}, {name}! Time to unwind.',
+                es: '¡{hello}, {name}! Es hora de relajarse.',
+                fr: "{hello}, {name} ! C'est l'heure de se détendre.",
+                de: '{hello}, {name}! Zeit zum Entspannen.',
+                ja: '{hello}、{name}さん！ゆっくり休みましょう。',
+                ar: '{hello} يا {name}! حان وقت الاسترخاء.'
+            }
+        },
+        {
+            when: { timeOfDay: 'lateNight', returning: false },
+            text: {
+                en: '{hello}, {name}! Burning the midnight oil? 🌙',
+                es: '¡{hello}, {name}! ¿Trasnochando? 🌙',
+                fr: '{hello}, {name} ! Encore debout à cette heure ? 🌙',
+                de: '{hello}, {name}! Noch so spät wach? 🌙',
+                ja: '{hello}、{name}さん！夜更かしですか？🌙',
+                ar: '{hello} يا {name}! ساهر حتى هذا الوقت؟ 🌙'
+            }
+        },
+        {
+            when: { timeOfDay: 'earlyMorning', returning: false },
+            text: {
+                en: '{hello}, {name}! Up with the sun, the day is all yours. 🌅',
+                es: '¡{hello}, {name}! Madrugando: el día es todo tuyo. 🌅',
+                fr: '{hello}, {name} ! Levé avec le soleil : la journée est à vous. 🌅',
+                de: '{hello}, {name}! Früh auf den Beinen – der Tag gehört dir. 🌅',
+                ja: '{hello}、{name}さん！早起きですね。今日はあなたのものです。🌅',
+                ar: '{hello} يا {name}! استيقظت مبكرًا، اليوم كله لك. 🌅'
+            }
+        },
+        {
+            when: { timeOfDay: 'morning', dayType: 'weekend', returning: false },
+            text: {
+                en: '{hello}, {name}! Enjoy a slow weekend morning. ☕',
+                es: '¡{hello}, {name}! Disfruta de una mañana tranquila de fin de semana. ☕',
+                fr: "{hello}, {name} ! Profitez d'une matinée tranquille de week-end. ☕",
+                de: '{hello}, {name}! Genieß den ruhigen Wochenendmorgen. ☕',
+                ja: '{hello}、{name}さん！週末の朝をのんびり楽しんでください。☕',
+                ar: '{hello} يا {name}! استمتع بصباح هادئ في عطلة نهاية الأسبوع. ☕'
+            }
+        },
+        {
+            when: { timeOfDay: 'afternoon', dayType: 'weekend', returning: false },
+            text: {
+                en: '{hello}, {name}! Hope your weekend is treating you well.',
+                es: '¡{hello}, {name}! Espero que estés disfrutando del fin de semana.',
+                fr: "{hello}, {name} ! J'espère que votre week-end se passe bien.",
+                de: '{hello}, {name}! Ich hoffe, du genießt dein Wochenende.',
+                ja: '{hello}、{name}さん！素敵な週末をお過ごしですか？',
+                ar: '{hello} يا {name}! نتمنى أن تستمتع بعطلة نهاية الأسبوع.'
+            }
+        },
+        {
+            when: { timeOfDay: 'night', returning: false },
+            text: {
+                en: "{hello}, {name}! Winding down? Don't stay up too late.",
+                es: '¡{hello}, {name}! ¿Terminando el día? No te acuestes muy tarde.',
+                fr: '{hello}, {name} ! La journée touche à sa fin, ne veillez pas trop tard.',
+                de: '{hello}, {name}! Der Tag klingt aus – bleib nicht zu lange wach.',
+                ja: '{hello}、{name}さん！そろそろおやすみの時間。夜更かしはほどほどに。',
+                ar: '{hello} يا {name}! حان وقت الراحة، لا تسهر كثيرًا.'
+            }
+        },
+        {
+            when: { birthday: true },
+            text: {
+                en: '{hello}, {name}! Happy birthday! 🎂 Have a wonderful day.',
+                es: '¡{hello}, {name}! ¡Feliz cumpleaños! 🎂 Que tengas un día maravilloso.',
+                fr: '{hello}, {name} ! Joyeux anniversaire ! 🎂 Passez une merveilleuse journée.',
+                de: '{hello}, {name}! Alles Gute zum Geburtstag! 🎂 Hab einen wunderbaren Tag.',
+                ja: '{hello}、{name}さん！お誕生日おめでとうございます！🎂 素敵な一日を。',
+                ar: '{hello} يا {name}! عيد ميلاد سعيد! 🎂 نتمنى لك يومًا رائعًا.'
+            }
+        },
+        {
+            when: { holiday: true },
+            text: {
+                en: '{hello}, {name}! {holiday}! 🎉',
+                es: '¡{hello}, {name}! ¡{holiday}! 🎉',
+                fr: '{hello}, {name} ! {holiday} ! 🎉',
+                de: '{hello}, {name}! {holiday}! 🎉',
+                ja: '{hello}、{name}さん！{holiday}！🎉',
+                ar: '{hello} يا {name}! {holiday}! 🎉'
+            }
+        }
+    ]
+};
+
+/**
+ * Wrap a single condition value in a list
+ * @param {any} value - A value or a list of values
+ * @returns {Array} The values
+ */
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Conditions a greeting can set in `when`, each with a validator for pack
+ * files and a matcher against the greeting context
+ */
+const GREETING_CONDITIONS = {
+    timeOfDay: {
+        isValid: (value) => toList(value).length > 0 && toList(value).every((entry) => TIMES_OF_DAY.includes(entry)),
+        matches: (value, context) => toList(value).includes(context.timeOfDay)
+    },
+    weekday: {
+        isValid: (value) => toList(value).length > 0 && toList(value).every((entry) => WEEKDAYS.includes(entry)),
+        matches: (value, context) => toList(value).includes(context.weekday)
+    },
+    dayType: {
+        isValid: (value) => DAY_TYPES.includes(value),
+        matches: (value, context) => value === context.dayType
+    },
+    returning: {
+        isValid: (value) => typeof value === 'boolean',
+        matches: (value, context) => value === context.returning
+    },
+    birthday: {
+        isValid: (value) => typeof value === 'boolean',
+        matches: (value, context) => value === context.birthday
+    },
+    holiday: {
+        // true for any holiday, false for none, or a list of holiday ids
+        isValid: (value) => typeof value === 'boolean' ||
+            (toList(value).length > 0 && toList(value).every((id) => HOLIDAYS.some((holiday) => holiday.id === id))),
+        matches: (value, context) => (typeof value === 'boolean'
+            ? value === Boolean(context.holiday)
+            : toList(value).includes(context.holiday))
+    },
+    minVisits: {
+        isValid: (value) => Number.isInteger(value) && value >= 1,
+        matches: (value, context) => context.visitCount >= value
+    }
+};
+
+/**
+ * Check greeting text: a string, or an object of strings keyed by locale
+ * @param {any} text - Candidate text
+ * @returns {boolean} True if usable
+ */
+function isValidGreetingText(text) {
+    const isValidString = (value) => typeof value === 'string' && value.trim() !== '' && value.length <= GREETING_PACK_LIMITS.text;
+    if (isPlainObject(text)) {
+        const values = Object.values(text);
+        return values.length > 0 && values.every(isValidString);
+    }
+    return isValidString(text);
+}
+
+/**
+ * Validate one greeting from a pack
+ * @param {any} entry - Candidate greeting
+ * @returns {Object|null} Greeting with text, when and weight, or null if invalid
+ */
+function normalizeGreetingEntry(entry) {
+    if (!isPlainObject(entry) || !isValidGreetingText(entry.text)) return null;
+
+    const when = entry.when === undefined ? {} : entry.when;
+    const conditionsValid = isPlainObject(when) && Object.entries(when).every(([key, value]) =>
+        hasOwn(GREETING_CONDITIONS, key) && GREETING_CONDITIONS[key].isValid(value)
+    );
+    const weight = entry.weight === undefined ? 1 : entry.weight;
+    if (!conditionsValid || typeof weight !== 'number' || !(weight > 0) || weight > GREETING_PACK_LIMITS.weight) {
+        return null;
+    }
+    return { text: entry.text, when, weight };
+}
+
+/**
+ * Parse and validate a greeting pack file
+ * @param {string} json - Pack file content
+ * @returns {Object} Pack with a fresh id, name and greetings
+ * @throws {Error} With a user-facing message when the pack is invalid
+ */
+function parseGreetingPack(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error(t('greetingPacks.notJson'));
+    }
+
+    const { name: maxName, greetings: maxGreetings } = GREETING_PACK_LIMITS;
+    if (!isPlainObject(data) || typeof data.name !== 'string' || data.name.trim() === '' || data.name.length > maxName) {
+        throw new Error(t('greetingPacks.invalidName', { max: maxName }));
+    }
+    if (!Array.isArray(data.greetings) || data.greetings.length === 0 || data.greetings.length > maxGreetings) {
+        throw new Error(t('greetingPacks.invalidList', { max: maxGreetings }));
+    }
+
+    const greetings = data.greetings.map(normalizeGreetingEntry);
+    const invalidIndex = greetings.indexOf(null);
+    if (invalidIndex !== -1) {
+        throw new Error(t('greetingPacks.invalidEntry', { index: invalidIndex + 1 }));
+    }
+    return {
+        id: `pack-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name: data.name.trim(),
+        greetings
+    };
+}
+
+/**
+ * Get the stored custom packs and the ids of disabled packs
+ * @returns {Object} State with custom and disabled lists
+ */
+function getGreetingPackState() {
+    const stored = loadFromStorage(STORAGE_KEYS.GREETING_PACKS, {}) || {};
+    const custom = (Array.isArray(stored.custom) ? stored.custom : [])
+        .filter((pack) => isPlainObject(pack) && typeof pack.id === 'string' && typeof pack.name === 'string' && Array.isArray(pack.greetings))
+        .map((pack) => ({ id: pack.id, name: pack.name, greetings: pack.greetings.map(normalizeGreetingEntry).filter(Boolean) }));
+    const disabled = (Array.isArray(stored.disabled) ? stored.disabled : []).filter((id) => typeof id === 'string');
+    return { custom, disabled };
+}
+
+/**
+ * Get every greeting pack, built-in first
+ * @returns {Array<Object>} Packs with id, name, greetings and enabled
+ */
+function getGreetingPacks() {
+    const { custom, disabled } = getGreetingPackState();
+    return [DEFAULT_GREETING_PACK, ...custom].map((pack) => ({ ...pack, enabled: !disabled.includes(pack.id) }));
+}
+
+/**
+ * Store an imported pack
+ * @param {Object} pack - Pack from parseGreetingPack
+ */
+function addGreetingPack(pack) {
+    const state = getGreetingPackState();
+    saveToStorage(STORAGE_KEYS.GREETING_PACKS, { ...state, custom: [...state.custom, pack] });
+}
+
+/**
+ * Delete an imported pack
+ * @param {string} id - Pack id
+ */
+function removeGreetingPack(id) {
+    const state = getGreetingPackState();
+    saveToStorage(STORAGE_KEYS.GREETING_PACKS, {
+        custom: state.custom.filter((pack) => pack.id !== id),
+        disabled: state.disabled.filter((entry) => entry !== id)
+    });
+}
+
+/**
+ * Turn a pack on or off without deleting it
+ * @param {string} id - Pack id
+ * @param {boolean} enabled - Whether its greetings can be picked
+ */
+function setGreetingPackEnabled(id, enabled) {
+    const state = getGreetingPackState();
+    const disabled = state.disabled.filter((entry) => entry !== id);
+    saveToStorage(STORAGE_KEYS.GREETING_PACKS, { ...state, disabled: enabled ? disabled : [...disabled, id] });
+}
+
+/**
+ * Get a greeting's text for the UI locale, falling back to English
+ * @param {string|Object} text - Greeting text
+ * @returns {string|undefined} Template, if there is one for this locale
+ */
+function getGreetingText(text) {
+    if (typeof text === 'string') return text;
+    return text[currentLocale] || text[DEFAULT_LOCALE];
+}
+
+/**
+ * Pick a greeting from the enabled packs and fill in its placeholders
+ * @param {Object} params - Greeting details
+ * @param {string} params.hello - "Hello" in the chosen language
+ * @param {string} params.name - User's name
+ * @param {string} params.language - Display name of the "Hello" language
+ * @param {number} params.visitCount - Number of visits so far
+ * @param {boolean} params.returning - Whether this is a returning user
+ * @param {Date} [params.date] - Moment of the greeting
+ * @param {boolean} [params.birthday] - Whether it is the person's birthday;
+ *   defaults to checking the active profile
+ * @returns {string} The greeting
+ */
+function composeGreeting({ hello, name, language, visitCount, returning, date = new Date(), birthday = isBirthday(date) }) {
+    const context = {
+        timeOfDay: getTimeOfDay(date),
+        weekday: WEEKDAYS[date.getDay()],
+        dayType: getDayType(date),
+        holiday: getHoliday(date),
+        birthday,
+        returning,
+        visitCount
+    };
+    const matching = getGreetingPacks()
+        .filter((pack) => pack.enabled)
+        .flatMap((pack) => pack.greetings)
+        .filter(({ when }) => Object.entries(when).every(([key, value]) => GREETING_CONDITIONS[key].matches(value, context)))
+        .map(({ text, when, weight }) => ({ template: getGreetingText(text), when, weight }))
+        .filter(({ template }) => template);
+    const occasions = matching.filter(({ when }) => OCCASION_CONDITIONS.some((key) => when[key]));
+    const candidates = occasions.length > 0 ? occasions : matching;
+
+    const holidayName = context.holiday ? t(`holiday.${context.holiday}`) : '';
+    const params = { hello, name, language, visitCount, holiday: holidayName };
+    if (candidates.length === 0) {
+        return t('greeting.fallback', params);
+    }
+
+    // Weighted random pick
+    let roll = Math.random() * candidates.reduce((total, { weight }) => total + weight, 0);
+    const chosen = candidates.find(({ weight }) => (roll -= weight) < 0) || candidates[candidates.length - 1];
+    return interpolate(chosen.template, params);
+}
+
+/**
+ * Show the packs with their on/off switches in the settings dialog
+ */
+function renderGreetingPackList() {
+    const { greetingPackList } = getElements();
+    if (!greetingPackList) return;
+
+    renderContent(greetingPackList, getGreetingPacks().map((pack) => {
+        const isBuiltIn = pack.id === BUILT_IN_PACK_ID;
+        const name = isBuiltIn ? t('greetingPacks.builtIn') : pack.name;
+        return createElement('li', { className: 'pack-entry' },
+            createElement('label', {},
+                createElement('input', {
+                    type: 'checkbox',
+                    checked: pack.enabled,
+                    onChange: (event) => setGreetingPackEnabled(pack.id, event.target.checked)
+                }),
+                createElement('span', {}, name),
+                createElement('span', { className: 'pack-count' }, t('greetingPacks.count', { count: pack.greetings.length }))
+            ),
+            !isBuiltIn && createElement('button', {
+                type: 'button',
+                className: 'secondary-button',
+                onClick: () => {
+                    if (window.confirm(t('greetingPacks.removeConfirm', { name }))) {
+                        removeGreetingPack(pack.id);
+                        renderGreetingPackList();
+                    }
+                }
+            }, t('greetingPacks.remove'))
+        );
+    }));
+}
+
+/**
+ * Import a greeting pack from a chosen JSON file
+ * @param {File} file - The pack file
+ */
+async function handleImportGreetingPack(file) {
+    if (!file) return;
+    const { greetingPackStatus } = getElements();
+    try {
+        const pack = parseGreetingPack(await file.text());
+        addGreetingPack(pack);
+        greetingPackStatus.textContent = t('greetingPacks.imported', { name: pack.name, count: pack.greetings.length });
+        renderGreetingPackList();
+    } catch (error) {
+        console.warn('Failed to import greeting pack:', error);
+        greetingPackStatus.textContent = error.message;
+    }
+}
+
+/**
+ * Wire up the greeting pack import button
+ */
+function initializeGreetingPacks() {
+    const { importPackButton, importPackInput } = getElements();
+    if (!importPackButton) return;
+
+    importPackButton.addEventListener('click', () => importPackInput.click());
+    importPackInput.addEventListener('change', () => {
+        handleImportGreetingPack(importPackInput.files[0]);
+        importPackInput.value = '';
+    });
+}
+
+// ===== QUOTE PROVIDERS =====
+
+/**
+ * Last-resort quotes used when every provider fails (e.g. offline on first run)
+ */
+const FALLBACK_QUOTES = [
+    { text: "The only way to do great work is to love what you do.", author: "Steve Jobs" },
+    { text: "Innovation distinguishes between a leader and a follower.", author: "Steve Jobs" },
+    { text: "Life is what happens to you while you're busy making other plans.", author: "John Lennon" },
+    { text: "The future belongs to those who believe in the beauty of their dreams.", author: "Eleanor Roosevelt" },
+    { text: "It is during our darkest moments that we must focus to see the light.", author: "Aristotle" }
+];
+
+/*
+ * A quote provider is an object of the shape
+ *   { id: string, getQuote({ mode, dateKey, signal }): Promise<{ text, author }> }
+ * Providers are tried in order by fetchQuoteOfTheDay until one succeeds.
+ */
+
+/**
+ * Check that a value looks like a usable quote
+ * @param {any} quote - Candidate quote
+ * @returns {boolean} True if the quote has non-empty text and author strings
+ */
+function isValidQuote(quote) {
+    return Boolean(quote) &&
+        typeof quote.text === 'string' && quote.text.trim() !== '' &&
+        typeof quote.author === 'string' && quote.author.trim() !== '';
+}
+
+/**
+ * Get a stable key for a calendar day in the user's local time
+ * @param {Date} date - The date
+ * @returns {string} Date key in YYYY-MM-DD form
+ */
+function getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Hash a string to a non-negative integer (djb2)
+ * @param {string} value - String to hash
+ * @returns {number} Hash value
+ */
+function hashString(value) {
+    let hash = 5381;
+    for (let i = 0; i < value.length; i++) {
+        hash = ((hash << 5) + hash + value.charCodeAt(i)) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Pick a quote from a list, deterministically per day in daily mode
+ * @param {Array<Object>} quotes - Candidate quotes
+ * @param {string} mode - 'daily' or 'random'
+ * @param {string} dateKey - Day key from getDateKey
+ * @returns {Object} The chosen quote
+ */
+function pickQuote(quotes, mode, dateKey) {
+    const validQuotes = quotes.filter(isValidQuote);
+    if (validQuotes.length === 0) {
+        throw new Error('No valid quotes available');
+    }
+    const index = mode === 'daily'
+        ? hashString(dateKey) % validQuotes.length
+        : Math.floor(Math.random() * validQuotes.length);
+    return validQuotes[index];
+}
+
+/**
+ * Run a task with an abort signal that fires after a timeout
+ * @param {Function} task - Receives an AbortSignal and returns a promise
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<any>} Task result
+ */
+async function withTimeout(task, timeout) {
+    const controller = new AbortController();
+    let timeoutId;
+    const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => {
+            controller.abort();
+            reject(new Error(`Timed out after ${timeout}ms`));
+        }, timeout);
+    });
+
+    try {
+        return await Promise.race([task(controller.signal), timeoutPromise]);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Create a provider that fetches a single quote from a remote JSON endpoint
+ * @param {string} url - Endpoint URL
+ * @param {Function} mapResponse - Maps the JSON body to { text, author }
+ * @returns {Object} Quote provider
+ */
+function createRemoteQuoteProvider(url, mapResponse = (data) => ({ text: data.content, author: data.author })) {
+    return {
+        id: 'remote',
+        async getQuote({ signal }) {
+            const response = await fetch(url, { signal });
+            if (!response.ok) {
+                throw new Error('Quote API request failed');
+            }
+            return mapResponse(await response.json());
+        }
+    };
+}
+
+/**
+ * Create a provider backed by the bundled JSON corpus
+ * @param {string} url - Corpus URL
+ * @returns {Object} Quote provider
+ */
+function createCorpusQuoteProvider(url) {
+    let corpus = null;
+    return {
+        id: 'corpus',
+        async getQuote({ mode, dateKey, signal }) {
+            if (!corpus) {
+                const response = await fetch(url, { signal });
+                if (!response.ok) {
+                    throw new Error('Quote corpus request failed');
+                }
+                corpus = await response.json();
+            }
+            return pickQuote(corpus, mode, dateKey);
+        }
+    };
+}
+
+/**
+ * Create a provider over an in-memory list of quotes
+ * @param {string} id - Provider id
+ * @param {Function} getQuotes - Returns the current list of quotes
+ * @returns {Object} Quote provider
+ */
+function createListQuoteProvider(id, getQuotes) {
+    return {
+        id,
+        async getQuote({ mode, dateKey }) {
+            return pickQuote(getQuotes(), mode, dateKey);
+        }
+    };
+}
+
+/**
+ * Get user-supplied quotes
+ * @returns {Array<Object>} Stored custom quotes
+ */
+function getCustomQuotes() {
+    const quotes = loadFromStorage(STORAGE_KEYS.CUSTOM_QUOTES, []);
+    return Array.isArray(quotes) ? quotes.filter(isValidQuote) : [];
+}
+
+/**
+ * Save user-supplied quotes, dropping invalid entries
+ * @param {Array<Object>} quotes - Quotes with text and author
+ * @returns {number} Number of quotes saved
+ */
+function saveCustomQuotes(quotes) {
+    const validQuotes = (Array.isArray(quotes) ? quotes : [])
+        .filter(isValidQuote)
+        .map(({ text, author }) => ({ text: text.trim(), author: author.trim() }));
+    saveToStorage(STORAGE_KEYS.CUSTOM_QUOTES, validQuotes);
+    // Let the new list take effect today rather than tomorrow
+    removeFromStorage(STORAGE_KEYS.DAILY_QUOTE);
+    return validQuotes.length;
+}
+
+/**
+ * Limits on the custom quote list entered in the settings dialog
+ */
+const CUSTOM_QUOTE_LIMITS = { quotes: 200, text: 300, author: 100 };
+
+/**
+ * Parse the custom quote list, one "quote — author" per line. The last
+ * dash on a line separates the author, so quotes may contain dashes.
+ * @param {string} text - Text from the custom quotes box
+ * @returns {Object} The quotes and any errors (a message key and its parameters)
+ */
+function parseCustomQuotes(text) {
+    const quotes = [];
+    const errors = [];
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (line === '') return;
+
+        const match = line.match(/^(.+)(?:\s*[—–]\s*|\s+-\s+)(.+)$/);
+        const quote = match && {
+            text: match[1].trim().replace(/^["“„«]\s*|\s*["”»]$/g, ''),
+            author: match[2].trim()
+        };
+        if (!isValidQuote(quote)) {
+            errors.push({ key: 'customQuotes.invalidLine', params: { line: index + 1 } });
+        } else if (quote.text.length > CUSTOM_QUOTE_LIMITS.text || quote.author.length > CUSTOM_QUOTE_LIMITS.author) {
+            errors.push({ key: 'customQuotes.tooLong', params: { line: index + 1, max: CUSTOM_QUOTE_LIMITS.text } });
+        } else {
+            quotes.push(quote);
+        }
+    });
+
+    if (quotes.length > CUSTOM_QUOTE_LIMITS.quotes) {
+        errors.push({ key: 'customQuotes.tooMany', params: { max: CUSTOM_QUOTE_LIMITS.quotes } });
+    }
+    return { quotes, errors };
+}
+
+/**
+ * Write quotes back in the format parseCustomQuotes reads
+ * @param {Array<Object>} quotes - Quotes with text and author
+ * @returns {string} One "quote — author" per line
+ */
+function formatCustomQuotes(quotes) {
+    return quotes.map(({ text, author }) => `${text} — ${author}`).join('\n');
+}
+
+/**
+ * Every quote provider, most preferred first. Built once, so the corpus
+ * provider keeps the downloaded corpus for the rest of the session.
+ */
+const QUOTE_PROVIDERS = [
+    createListQuoteProvider('custom', getCustomQuotes),
+    createRemoteQuoteProvider(CONFIG.QUOTES.API_URL),
+    createCorpusQuoteProvider(CONFIG.QUOTES.CORPUS_URL),
+    createListQuoteProvider('fallback', () => FALLBACK_QUOTES)
+];
+
+/**
+ * Get the provider chain, leaving out the custom list while it is empty
+ * @returns {Array<Object>} Quote providers
+ */
+function getQuoteProviders() {
+    const hasCustomQuotes = getCustomQuotes().length > 0;
+    return QUOTE_PROVIDERS.filter(({ id }) => id !== 'custom' || hasCustomQuotes);
+}
+
+/**
+ * Ask each provider in turn for a quote until one succeeds
+ * @param {Array<Object>} providers - Quote providers
+ * @param {Object} options - Mode and date key passed to providers
+ * @param {Function} [onError] - Called with each provider that failed
+ * @returns {Promise<Object>} The first valid quote
+ */
+async function getQuoteFromChain(providers, options, onError = () => {}) {
+    for (const provider of providers) {
+        try {
+            const quote = await withTimeout(
+                (signal) => provider.getQuote({ ...options, signal }),
+                CONFIG.QUOTES.TIMEOUT
+            );
+            if (isValidQuote(quote)) {
+                return { text: quote.text, author: quote.author };
+            }
+            throw new Error('Provider returned an invalid quote');
+        } catch (error) {
+            console.warn(`Quote provider "${provider.id}" failed:`, error);
+            onError(provider);
+        }
+    }
+    return FALLBACK_QUOTES[0];
+}
+
+/**
+ * Get the quote of the day, cached so every greeting today shows the same one
+ * @param {Object} [options] - Overrides for mode and date
+ * @returns {Promise<Object>} Quote object with text and author
+ */
+async function fetchQuoteOfTheDay({ mode = CONFIG.QUOTES.MODE, date = new Date() } = {}) {
+    const dateKey = getDateKey(date);
+
+    if (mode === 'daily') {
+        const cached = loadFromStorage(STORAGE_KEYS.DAILY_QUOTE);
+        if (cached && cached.dateKey === dateKey && isValidQuote(cached.quote)) {
+            return cached.quote;
+        }
+    }
+
+    const quote = await getQuoteFromChain(getQuoteProviders(), { mode, dateKey }, (provider) => {
+        // Only the quote of the day outlives this greeting, so only it is worth fetching again later
+        if (provider.id === 'remote' && mode === 'daily') {
+            queueRequest({ kind: 'quote', key: `quote:${dateKey}`, url: CONFIG.QUOTES.API_URL, method: 'GET', dateKey });
+        }
+    });
+
+    if (mode === 'daily') {
+        saveToStorage(STORAGE_KEYS.DAILY_QUOTE, { dateKey, quote });
+    }
+    return quote;
+}
+
+/**
+ * Fill the custom quotes box in the settings dialog from storage
+ */
+function renderCustomQuotes() {
+    const { customQuotesInput, customQuotesStatus } = getElements();
+    if (!customQuotesInput) return;
+
+    customQuotesInput.value = formatCustomQuotes(getCustomQuotes());
+    customQuotesInput.removeAttribute('aria-invalid');
+    customQuotesStatus.textContent = '';
+}
+
+/**
+ * Validate the custom quotes box and save it if every line is usable
+ */
+function handleSaveCustomQuotes() {
+    const { customQuotesInput, customQuotesStatus } = getElements();
+    const { quotes, errors } = parseCustomQuotes(customQuotesInput.value);
+
+    customQuotesInput.setAttribute('aria-invalid', String(errors.length > 0));
+    if (errors.length > 0) {
+        customQuotesStatus.textContent = errors.map(({ key, params }) => t(key, params)).join(' ');
+        customQuotesInput.focus();
+        return;
+    }
+
+    const count = saveCustomQuotes(quotes);
+    customQuotesInput.value = formatCustomQuotes(quotes);
+    customQuotesStatus.textContent = count > 0 ? t('customQuotes.saved', { count }) : t('customQuotes.cleared');
+}
+
+/**
+ * Wire up the custom quotes box in the settings dialog
+ */
+function initializeCustomQuotes() {
+    const { saveCustomQuotesButton } = getElements();
+    if (!saveCustomQuotesButton) return;
+
+    saveCustomQuotesButton.addEventListener('click', handleSaveCustomQuotes);
+}
+
+// ===== MAIN FUNCTIONS =====
+
+/**
+ * Main greeting function that handles user interaction
+ */
+async function greetUser() {
+    if (isProcessing || groupSession) return; // Prevent multiple simultaneous executions
+    
+    isProcessing = true;
+    try {
+        const elements = getElements();
+        const name = validateInput(elements.nameInput.value);
+
+        if (name === null) {
+            elements.nameInput.focus();
+            isProcessing = false;
+            return;
+        }
+
+        setButtonLoading(elements.greetButton, true);
+        
+        // A countdown from the previous greeting must not destroy this one
+        cancelSelfDestruct();
+        
+        // A name with a profile switches to it; anyone else is greeted as a
+        // guest, leaving the active profile and its log untouched
+        const previousProfile = getActiveProfile();
+        const effectPreference = getSelectedEffect();
+        const profile = selectProfileForName(name);
+        const guest = !profile;
+        if (profile) {
+            saveUserPreferences(name, effectPreference);
+            if (profile !== previousProfile) {
+                applyActiveProfile();
+            }
+        }
+        
+        // Show loading message while fetching data
+        showMessage(t('status.connecting'), 'loading');
+        
+        // Fetch quote and translation simultaneously
+        const [quote, translation] = await Promise.all([
+            fetchQuoteOfTheDay(),
+            Promise.resolve(takeLaunchTranslation() || selectHelloTranslation())
+        ]);
+        
+        const celebration = resolveEffectId(effectPreference);
+        const effect = isCalmMode() ? CALM_EFFECT : celebration;
+        if (!guest) {
+            recordGreeting({ language: translation.code, quote, effect });
+        }
+        reportGreeting({ name, language: translation.code, quote, effect });
+        postToServiceWorker({ type: 'REMINDER_DONE' });
+        
+        const enhancedGreeting = createEnhancedGreeting(name, translation, quote, { guest });
+        enhancedGreeting.appendChild(createShareActions({
+            name,
+            code: translation.code,
+            quote,
+            effect: celebration,
+            message: enhancedGreeting.querySelector('.main-greeting').textContent
+        }));
+        
+        showEnhancedMessage(enhancedGreeting, 'success');
+        
+        const languageSettings = getGreetingLanguageSettings();
+        if (languageSettings.mode === 'learn' && languageSettings.speak) {
+            speakGreeting(translation);
+        }
+        triggerEffect(effect);
+        startSelfDestruct();
+        
+        elements.nameInput.value = '';
+
+        setTimeout(() => {
+            setButtonLoading(elements.greetButton, false);
+            isProcessing = false;
+        }, CONFIG.BUTTON_DISABLE_DURATION);
+        
+    } catch (error) {
+        console.error('Error in greetUser:', error);
+        showMessage(t('status.error'), 'error');
+        isProcessing = false;
+    }
+}
+
+function handleKeyPress(event) {
+    if (event.key === 'Enter') {
+        greetUser();
+    }
+}
+
+// ===== NAME VALIDATION =====
+
+/**
+ * Words rejected in names, loaded from CONFIG.NAMES.PROFANITY_LIST_URL
+ */
+let profanityWords = new Set();
+
+/**
+ * Lower-case name particles, kept lower case unless they start the name
+ */
+const NAME_PARTICLES = ['al', 'bin', 'da', 'de', 'del', 'della', 'den', 'der', 'di', 'du', 'ibn', 'la', 'le', 'ten', 'ter', 'van', 'von', 'y', 'zu'];
+
+/**
+ * Digits and symbols used to disguise letters, undone before matching words
+ */
+const LOOKALIKE_LETTERS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+/**
+ * Validation rules, checked in order against the normalized name. Each
+ * returns an error (a message key and its parameters) or null.
+ */
+const NAME_RULES = [
+    (name) => (name === '' ? { key: 'validation.empty' } : null),
+    (name) => (countCharacters(name) > CONFIG.NAMES.MAX_LENGTH
+        ? { key: 'validation.tooLong', params: { max: CONFIG.NAMES.MAX_LENGTH } }
+        : null),
+    // Zero-width joiners are part of emoji and of some scripts' spelling
+    (name) => (/[\p{Cc}\p{Cs}\p{Co}\p{Cn}]|(?![\u200c\u200d])\p{Cf}/u.test(name) ? { key: 'validation.invalidCharacters' } : null),
+    (name) => (name !== '' && !/\p{L}/u.test(name) ? { key: 'validation.noLetters' } : null),
+    (name) => (containsProfanity(name) ? { key: 'validation.profanity' } : null)
+];
+
+/**
+ * Count user-perceived characters, so an emoji or an accented letter
+ * counts once
+ * @param {string} text - The text
+ * @returns {number} Number of characters
+ */
+function countCharacters(text) {
+    if (typeof Intl.Segmenter === 'function') {
+        return Array.from(new Intl.Segmenter(currentLocale, { granularity: 'grapheme' }).segment(text)).length;
+    }
+    return Array.from(text).length;
+}
+
+/**
+ * Normalize a typed name: NFC, no invisible spaces, single inner spaces
+ * @param {string} value - The raw input
+ * @returns {string} Normalized name
+ */
+function normalizeName(value) {
+    return value
+        .normalize('NFC')
+        .replace(/[\u200b\ufeff]/g, '')
+        .replace(/\s+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Capitalize one word of a name, including the parts after hyphens and
+ * apostrophes ("o'neil" → "O'Neil", "jean-luc" → "Jean-Luc")
+ * @param {string} word - Lower-case word
+ * @returns {string} Capitalized word
+ */
+function capitalizeNameWord(word) {
+    return word
+        .replace(/(^|[-'’])(\p{L})/gu, (match, separator, letter) => separator + letter.toLocaleUpperCase())
+        .replace(/^Mc(\p{L})/u, (match, letter) => `Mc${letter.toLocaleUpperCase()}`);
+}
+
+/**
+ * Fix the capitalization of a name typed all in lower or upper case.
+ * Mixed case is left alone, since "DeShawn" or "van Gogh" are deliberate.
+ * @param {string} name - Normalized name
+ * @returns {string} Capitalized name
+ */
+function capitalizeName(name) {
+    const lower = name.toLocaleLowerCase();
+    const isUniformCase = name === lower || name === name.toLocaleUpperCase();
+    if (!CONFIG.NAMES.CAPITALIZE || !isUniformCase || lower === name.toLocaleUpperCase()) {
+        return name;
+    }
+
+    return lower.split(' ').map((word, index) =>
+        index > 0 && NAME_PARTICLES.includes(word) ? word : capitalizeNameWord(word)
+    ).join(' ');
+}
+
+/**
+ * Check a name against the profanity list, whole words only so that
+ * innocent names containing a listed word still pass
+ * @param {string} name - Normalized name
+ * @returns {boolean} True if a word in the name is on the list
+ */
+function containsProfanity(name) {
+    if (!CONFIG.NAMES.PROFANITY_FILTER || profanityWords.size === 0) return false;
+
+    const folded = name
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLocaleLowerCase()
+        .replace(/ß/g, 'ss')
+        .replace(/[013457@$]/g, (character) => LOOKALIKE_LETTERS[character]);
+    return folded.split(/[^\p{L}]+/u).some((word) => profanityWords.has(word));
+}
+
+/**
+ * Load the profanity word list
+ */
+async function loadProfanityList() {
+    if (!CONFIG.NAMES.PROFANITY_FILTER) return;
+    try {
+        const response = await fetch(CONFIG.NAMES.PROFANITY_LIST_URL);
+        if (!response.ok) {
+            throw new Error('Profanity list request failed');
+        }
+        const { words } = await response.json();
+        profanityWords = new Set(words.map((word) => word.toLocaleLowerCase()));
+    } catch (error) {
+        console.warn('Profanity filter unavailable:', error);
+    }
+}
+
+/**
+ * Normalize a name and check it against every rule
+ * @param {string} value - The raw input
+ * @returns {Object} The cleaned-up name and the errors found, if any
+ */
+function validateName(value) {
+    const normalized = normalizeName(value);
+    const errors = NAME_RULES.map((rule) => rule(normalized)).filter(Boolean);
+    return { name: errors.length === 0 ? capitalizeName(normalized) : normalized, errors };
+}
+
+/**
+ * Show a name's errors next to the name input
+ * @param {Array<Object>} errors - Errors from validateName
+ */
+function renderNameErrors(errors) {
+    const { nameInput, nameErrors } = getElements();
+    if (!nameErrors) return;
+
+    renderContent(nameErrors, errors.map(({ key, params }) => createElement('li', {}, t(key, params))));
+    nameErrors.hidden = errors.length === 0;
+    nameInput.setAttribute('aria-invalid', String(errors.length > 0));
+}
+
+/**
+ * Re-check the name while the user fixes it, once errors are showing
+ */
+function initializeNameValidation() {
+    const { nameInput, nameErrors } = getElements();
+    if (!nameErrors) return;
+
+    nameInput.addEventListener('input', () => {
+        if (!nameErrors.hidden) {
+            renderNameErrors(validateName(nameInput.value).errors);
+        }
+    });
+    loadProfanityList();
+}
+
+// ===== UTILITY FUNCTIONS =====
+
+/**
+ * Check that a registry has its own entry for a key. Keys read from URLs
+ * and storage can't then pick up inherited names such as `constructor`.
+ * @param {Object} object - Registry to look in
+ * @param {any} key - Key to look up
+ * @returns {boolean} True if the key is the object's own
+ */
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Get all required DOM elements
  * @returns {Object} Object containing all DOM elements
  */
-function getElements() {
+function getElements() {
+    return {
+        nameInput: document.getElementById('nameInput'),
+        greetButton: document.getElementById('greetButton'),
+        effectOptions: document.getElementById('effectOptions'),
+        greetingModeSelect: document.getElementById('greetingModeSelect'),
+        greetingLanguageSelect: document.getElementById('greetingLanguageSelect'),
+        speakOption: document.getElementById('speakOption'),
+        speakToggle: document.getElementById('speakToggle'),
+        calmModeToggle: document.getElementById('calmModeToggle'),
+        muteButton: document.getElementById('muteButton'),
+        volumeSlider: document.getElementById('volumeSlider'),
+        soundPackSelect: document.getElementById('soundPackSelect'),
+        selfDestructToggle: document.getElementById('selfDestructToggle'),
+        selfDestructDelayInput: document.getElementById('selfDestructDelayInput'),
+        selfDestructDurationInput: document.getElementById('selfDestructDurationInput'),
+        reminderToggle: document.getElementById('reminderToggle'),
+        reminderTimeInput: document.getElementById('reminderTimeInput'),
+        reminderStatus: document.getElementById('reminderStatus'),
+        onboardingDialog: document.getElementById('onboardingDialog'),
+        onboardingForm: document.getElementById('onboardingForm'),
+        onboardingNameInput: document.getElementById('onboardingNameInput'),
+        onboardingEffectSelect: document.getElementById('onboardingEffectSelect'),
+        onboardingError: document.getElementById('onboardingError'),
+        onboardingInstall: document.getElementById('onboardingInstall'),
+        skipOnboardingButton: document.getElementById('skipOnboardingButton'),
+        settingsButton: document.getElementById('settingsButton'),
+        themeSelect: document.getElementById('themeSelect'),
+        birthdayInput: document.getElementById('birthdayInput'),
+        timeZoneSelect: document.getElementById('timeZoneSelect'),
+        greetingPackList: document.getElementById('greetingPackList'),
+        greetingPackStatus: document.getElementById('greetingPackStatus'),
+        importPackButton: document.getElementById('importPackButton'),
+        importPackInput: document.getElementById('importPackInput'),
+        customQuotesInput: document.getElementById('customQuotesInput'),
+        customQuotesStatus: document.getElementById('customQuotesStatus'),
+        saveCustomQuotesButton: document.getElementById('saveCustomQuotesButton'),
+        settingsDialog: document.getElementById('settingsDialog'),
+        settingsFields: document.getElementById('settingsFields'),
+        resetSettingsButton: document.getElementById('resetSettingsButton'),
+        closeSettingsButton: document.getElementById('closeSettingsButton'),
+        historyButton: document.getElementById('historyButton'),
+        historyDialog: document.getElementById('historyDialog'),
+        historySummary: document.getElementById('historySummary'),
+        historyList: document.getElementById('historyList'),
+        clearHistoryButton: document.getElementById('clearHistoryButton'),
+        closeHistoryButton: document.getElementById('closeHistoryButton'),
+        profileSelect: document.getElementById('profileSelect'),
+        deleteProfileButton: document.getElementById('deleteProfileButton'),
+        exportDataButton: document.getElementById('exportDataButton'),
+        importDataButton: document.getElementById('importDataButton'),
+        importDataInput: document.getElementById('importDataInput'),
+        groupNamesInput: document.getElementById('groupNamesInput'),
+        startGroupButton: document.getElementById('startGroupButton'),
+        importGroupButton: document.getElementById('importGroupButton'),
+        importGroupInput: document.getElementById('importGroupInput'),
+        groupStatus: document.getElementById('groupStatus'),
+        groupControls: document.getElementById('groupControls'),
+        groupProgress: document.getElementById('groupProgress'),
+        pauseGroupButton: document.getElementById('pauseGroupButton'),
+        nextGroupButton: document.getElementById('nextGroupButton'),
+        skipGroupButton: document.getElementById('skipGroupButton'),
+        stopGroupButton: document.getElementById('stopGroupButton'),
+        nameErrors: document.getElementById('nameErrors'),
+        greetingMessage: document.getElementById('greetingMessage')
+    };
+}
+
+/**
+ * Validate the typed name, showing any problems next to the input
+ * @param {string} value - The raw input
+ * @returns {string|null} The cleaned-up name, or null if invalid
+ */
+function validateInput(value) {
+    const { name, errors } = validateName(value);
+    renderNameErrors(errors);
+    return errors.length === 0 ? name : null;
+}
+
+/**
+ * Set button loading state
+ * @param {HTMLElement} button - The button element
+ * @param {boolean} isLoading - Whether to show loading state
+ */
+function setButtonLoading(button, isLoading) {
+    if (isLoading) {
+        button.disabled = true;
+        renderContent(button, createElement('div', { className: 'spinner' }));
+    } else {
+        button.disabled = false;
+        renderContent(button, t('button.greet'));
+    }
+}
+
+/**
+ * Get the time-of-day bucket for an hour
+ * @param {Date} [date] - Moment to classify, defaults to now
+ * @returns {string} Bucket id from TIME_OF_DAY_BUCKETS, e.g. 'lateNight'
+ */
+function getTimeOfDay(date = new Date()) {
+    const currentHour = date.getHours();
+    return TIME_OF_DAY_BUCKETS.find(({ until }) => currentHour < until).id;
+}
+
+/**
+ * Trigger a celebration effect
+ * @param {string} effectId - Effect id from EFFECTS, 'random' or 'calm'
+ */
+function triggerEffect(effectId) {
+    if (effectId === CALM_EFFECT) {
+        triggerGentleFade();
+        return;
+    }
+    EFFECTS[resolveEffectId(effectId)].run();
+}
+
+/**
+ * Display a message to the user
+ * @param {string} message - The message to display
+ * @param {string} type - The message type ('success', 'error', or 'loading')
+ */
+function showMessage(message, type = 'success') {
+    const messageElement = document.getElementById('greetingMessage');
+    messageElement.textContent = message;
+    messageElement.className = `message visible ${type}`;
+    
+    // Reset animation by briefly removing and re-adding the class
+    setTimeout(() => {
+        messageElement.classList.remove('visible');
+        setTimeout(() => {
+            messageElement.classList.add('visible');
+        }, 10);
+    }, 0);
+}
+
+/**
+ * Display enhanced message built from DOM nodes
+ * @param {Node} content - The content node to display
+ * @param {string} type - The message type
+ */
+function showEnhancedMessage(content, type = 'success') {
+    const messageElement = document.getElementById('greetingMessage');
+    renderContent(messageElement, content);
+    messageElement.className = `message visible ${type} enhanced`;
+    
+    // Reset animation by briefly removing and re-adding the class
+    setTimeout(() => {
+        messageElement.classList.remove('visible');
+        setTimeout(() => {
+            messageElement.classList.add('visible');
+        }, 10);
+    }, 0);
+}
+
+// ===== PARTICLE ENGINE =====
+
+/**
+ * Shared state for the canvas particle system. One canvas and one
+ * requestAnimationFrame loop serve every effect; dead particles go back
+ * to a pool instead of being garbage collected.
+ */
+const particleSystem = {
+    canvas: null,
+    context: null,
+    particles: [],
+    pool: [],
+    frameId: null,
+    lastTimestamp: null,
+    averageFrameTime: 1000 / 60,
+    budget: CONFIG.PARTICLES.MAX_COUNT
+};
+
+/**
+ * Default values every spawned particle starts from
+ */
+const PARTICLE_DEFAULTS = {
+    x: 0,
+    y: 0,
+    vx: 0,
+    vy: 0,
+    gravity: 0,
+    drag: 0,
+    size: 4,
+    color: '#ffffff',
+    shape: 'circle',
+    rotation: 0,
+    spin: 0,
+    alpha: 1,
+    age: 0,
+    life: 1,
+    delay: 0,
+    fadeStart: 0, // Fraction of life after which the particle fades out
+    shrink: false,
+    glow: false,
+    wobble: 0, // Sideways sway amplitude in px/s
+    wobbleSpeed: 2,
+    text: '',
+    onExpire: null
+};
+
+/**
+ * Drawing routines per particle shape. Each receives the context, the
+ * particle and its current size, with the context already scaled.
+ */
+const PARTICLE_SHAPES = {
+    circle(context, particle, size) {
+        context.beginPath();
+        context.arc(particle.x, particle.y, Math.max(0, size), 0, Math.PI * 2);
+        context.fill();
+    },
+    rect(context, particle, size) {
+        // Squash one axis with the rotation for a cheap 3D tumble
+        const cos = Math.cos(particle.rotation);
+        const sin = Math.sin(particle.rotation);
+        context.save();
+        context.transform(cos, sin, -sin, cos, particle.x, particle.y);
+        context.fillRect(-size / 2, -size / 2 * Math.abs(cos), size, size * Math.abs(cos));
+        context.restore();
+    },
+    emoji(context, particle, size) {
+        context.save();
+        context.translate(particle.x, particle.y);
+        context.rotate(particle.rotation);
+        context.font = `${size}px sans-serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(particle.text, 0, 0);
+        context.restore();
+    },
+    balloon(context, particle, size) {
+        context.beginPath();
+        context.ellipse(particle.x, particle.y, size * 0.8, size, 0, 0, Math.PI * 2);
+        context.fill();
+        context.strokeStyle = particle.color;
+        context.lineWidth = 1;
+        context.beginPath();
+        context.moveTo(particle.x, particle.y + size);
+        context.quadraticCurveTo(particle.x - size * 0.3, particle.y + size * 1.8, particle.x, particle.y + size * 2.6);
+        context.stroke();
+    },
+    beam(context, particle, size) {
+        // A full-height beam leaning by `rotation` radians
+        const height = window.innerHeight;
+        const lean = Math.tan(particle.rotation) * height;
+        context.lineWidth = size;
+        context.strokeStyle = particle.color;
+        context.beginPath();
+        context.moveTo(particle.x - lean / 2, 0);
+        context.lineTo(particle.x + lean / 2, height);
+        context.stroke();
+    }
+};
+
+/**
+ * Get the effects canvas, creating it on first use
+ * @returns {CanvasRenderingContext2D} The 2D drawing context
+ */
+function getParticleContext() {
+    if (!particleSystem.canvas) {
+        const canvas = createElement('canvas', { className: 'effects-canvas', 'aria-hidden': 'true' });
+        document.body.appendChild(canvas);
+        particleSystem.canvas = canvas;
+        particleSystem.context = canvas.getContext('2d');
+        resizeParticleCanvas();
+        window.addEventListener('resize', resizeParticleCanvas);
+    }
+    return particleSystem.context;
+}
+
+/**
+ * Match the canvas backing store to the viewport and pixel ratio
+ */
+function resizeParticleCanvas() {
+    const { canvas, context } = particleSystem;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(window.innerWidth * ratio);
+    canvas.height = Math.round(window.innerHeight * ratio);
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+}
+
+/**
+ * Add a particle, reusing a pooled object when possible
+ * @param {Object} properties - Overrides for PARTICLE_DEFAULTS
+ * @returns {Object|null} The particle, or null if over the frame budget
+ */
+function spawnParticle(properties) {
+    if (particleSystem.particles.length >= particleSystem.budget) {
+        return null;
+    }
+    const particle = particleSystem.pool.pop() || {};
+    Object.assign(particle, PARTICLE_DEFAULTS, properties);
+    particleSystem.particles.push(particle);
+    startParticleLoop();
+    return particle;
+}
+
+/**
+ * Start the animation loop if it isn't running
+ */
+function startParticleLoop() {
+    if (particleSystem.frameId === null) {
+        getParticleContext();
+        particleSystem.lastTimestamp = null;
+        particleSystem.frameId = requestAnimationFrame(renderParticleFrame);
+    }
+}
+
+/**
+ * Adapt the particle budget to the measured frame time so slow devices
+ * shed particles instead of dropping frames
+ * @param {number} frameTime - Duration of the last frame in milliseconds
+ */
+function updateParticleBudget(frameTime) {
+    const { TARGET_FRAME_TIME, MIN_COUNT, MAX_COUNT } = CONFIG.PARTICLES;
+    particleSystem.averageFrameTime = particleSystem.averageFrameTime * 0.9 + frameTime * 0.1;
+
+    if (particleSystem.averageFrameTime > TARGET_FRAME_TIME * 1.2) {
+        particleSystem.budget = Math.max(MIN_COUNT, Math.floor(particleSystem.budget * 0.9));
+    } else if (particleSystem.averageFrameTime < TARGET_FRAME_TIME * 0.8) {
+        particleSystem.budget = Math.min(MAX_COUNT, Math.ceil(particleSystem.budget * 1.02));
+    }
+}
+
+/**
+ * Advance one particle by a time step
+ * @param {Object} particle - The particle
+ * @param {number} dt - Time step in seconds
+ * @returns {boolean} False once the particle has expired
+ */
+function stepParticle(particle, dt) {
+    if (particle.delay > 0) {
+        particle.delay -= dt;
+        return true;
+    }
+
+    particle.age += dt;
+    if (particle.age >= particle.life) {
+        return false;
+    }
+
+    const dragFactor = Math.exp(-particle.drag * dt);
+    particle.vx = particle.vx * dragFactor;
+    particle.vy = particle.vy * dragFactor + particle.gravity * dt;
+    particle.x += (particle.vx + Math.sin(particle.age * particle.wobbleSpeed) * particle.wobble) * dt;
+    particle.y += particle.vy * dt;
+    particle.rotation += particle.spin * dt;
+    return true;
+}
+
+/**
+ * Draw one particle
+ * @param {CanvasRenderingContext2D} context - Drawing context
+ * @param {Object} particle - The particle
+ */
+function drawParticle(context, particle) {
+    const progress = particle.age / particle.life;
+    const fade = progress > particle.fadeStart
+        ? 1 - (progress - particle.fadeStart) / (1 - particle.fadeStart)
+        : 1;
+    const size = particle.shrink ? particle.size * (1 - progress) : particle.size;
+
+    context.globalAlpha = Math.max(0, particle.alpha * fade);
+    context.globalCompositeOperation = particle.glow ? 'lighter' : 'source-over';
+    context.fillStyle = particle.color;
+    (PARTICLE_SHAPES[particle.shape] || PARTICLE_SHAPES.circle)(context, particle, size);
+}
+
+/**
+ * Animation frame: step physics, recycle dead particles and draw the rest
+ * @param {number} timestamp - requestAnimationFrame timestamp
+ */
+function renderParticleFrame(timestamp) {
+    const { canvas, context } = particleSystem;
+    const frameTime = particleSystem.lastTimestamp === null ? 1000 / 60 : timestamp - particleSystem.lastTimestamp;
+    particleSystem.lastTimestamp = timestamp;
+    updateParticleBudget(frameTime);
+
+    // Clamp the step so a background tab doesn't teleport particles
+    const dt = Math.min(frameTime, 50) / 1000;
+    const ratio = window.devicePixelRatio || 1;
+    const expired = [];
+
+    context.clearRect(0, 0, canvas.width / ratio, canvas.height / ratio);
+
+    particleSystem.particles = particleSystem.particles.filter((particle) => {
+        if (!stepParticle(particle, dt)) {
+            expired.push(particle);
+            return false;
+        }
+        if (particle.delay <= 0) {
+            drawParticle(context, particle);
+        }
+        return true;
+    });
+
+    // Expiry callbacks may spawn new particles, so run them after the sweep
+    expired.forEach((particle) => {
+        if (particle.onExpire) particle.onExpire(particle);
+        particle.onExpire = null;
+        particleSystem.pool.push(particle);
+    });
+
+    if (particleSystem.particles.length > 0) {
+        particleSystem.frameId = requestAnimationFrame(renderParticleFrame);
+    } else {
+        particleSystem.frameId = null;
+        context.clearRect(0, 0, canvas.width / ratio, canvas.height / ratio);
+    }
+}
+
+// ===== VISUAL EFFECTS =====
+
+/**
+ * Pick a random item from a list
+ * @param {Array} items - Items to choose from
+ * @returns {any} A random item
+ */
+function pickRandom(items) {
+    return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Create and animate confetti particles
+ */
+function triggerConfetti() {
+    playConfettiSound();
+
+    for (let i = 0; i < CONFIG.CONFETTI.COUNT; i++) {
+        spawnParticle({
+            shape: 'rect',
+            x: Math.random() * window.innerWidth,
+            y: -20,
+            vx: (Math.random() - 0.5) * 120,
+            vy: 60 + Math.random() * 120,
+            gravity: 220,
+            drag: 1.2,
+            size: 10,
+            color: pickRandom(CONFIG.CONFETTI.COLORS),
+            rotation: Math.random() * Math.PI * 2,
+            spin: (Math.random() - 0.5) * 12,
+            delay: Math.random() * 3,
+            life: 5,
+            fadeStart: 0.8
+        });
+    }
+}
+
+/**
+ * Create and animate fireworks
+ */
+function triggerFireworks() {
+    for (let i = 0; i < CONFIG.FIREWORKS.COUNT; i++) {
+        createFirework(CONFIG.FIREWORKS.COLORS, i * CONFIG.FIREWORKS.STAGGER_DELAY / 1000);
+    }
+}
+
+/**
+ * Launch a rocket that bursts into sparks at the top of its climb
+ * @param {Array<string>} colors - Firework color names
+ * @param {number} delay - Launch delay in seconds
+ */
+function createFirework(colors, delay) {
+    const color = pickRandom(colors);
+    const x = Math.random() * window.innerWidth;
+    const burstY = window.innerHeight * 0.2;
+    const climbTime = 0.225; // Timing matches the original explosion point
+
+    spawnParticle({
+        x,
+        y: window.innerHeight,
+        vy: -(window.innerHeight - burstY) / climbTime,
+        size: 6,
+        color,
+        glow: true,
+        delay,
+        life: climbTime,
+        onExpire: (rocket) => {
+            createSparks(rocket.x, rocket.y, color);
+            playExplosionSound();
+        }
+    });
+}
+
+/**
+ * Burst a ring of sparks, followed by a smaller secondary layer
+ * @param {number} x - Burst x position
+ * @param {number} y - Burst y position
+ * @param {string} color - Spark color
+ */
+function createSparks(x, y, color) {
+    const numberOfSparks = CONFIG.FIREWORKS.SPARKS;
+
+    for (let i = 0; i < numberOfSparks; i++) {
+        // Random direction for each spark with more variation
+        const angle = (i / numberOfSparks) * 2 * Math.PI + (Math.random() - 0.5) * 0.5;
+        const speed = (80 + Math.random() * 200) * 2;
+        spawnParticle({
+            x,
+            y,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            gravity: 120,
+            drag: 2,
+            size: 4,
+            color,
+            glow: true,
+            shrink: true,
+            life: 1.5
+        });
+    }
+
+    // Add secondary explosion layer for more dramatic effect
+    createSecondaryExplosion(x, y, color, 0.2);
+}
+
+/**
+ * Burst smaller, fainter particles after a delay
+ * @param {number} x - Burst x position
+ * @param {number} y - Burst y position
+ * @param {string} color - Particle color
+ * @param {number} delay - Delay in seconds
+ */
+function createSecondaryExplosion(x, y, color, delay) {
+    for (let i = 0; i < CONFIG.FIREWORKS.SECONDARY_SPARKS; i++) {
+        const angle = Math.random() * 2 * Math.PI;
+        const speed = (40 + Math.random() * 120) * 2;
+        spawnParticle({
+            x,
+            y,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            gravity: 120,
+            drag: 2.5,
+            size: 3,
+            color,
+            alpha: 0.7,
+            glow: true,
+            shrink: true,
+            delay,
+            life: 1.2
+        });
+    }
+}
+
+/**
+ * Float balloons up from the bottom of the screen
+ */
+function triggerBalloons() {
+    for (let i = 0; i < CONFIG.BALLOONS.COUNT; i++) {
+        spawnParticle({
+            shape: 'balloon',
+            x: Math.random() * window.innerWidth,
+            y: window.innerHeight + 40,
+            vy: -(120 + Math.random() * 80),
+            gravity: -20, // Buoyancy
+            drag: 0.3,
+            size: 18 + Math.random() * 10,
+            color: pickRandom(CONFIG.BALLOONS.COLORS),
+            wobble: 30,
+            wobbleSpeed: 1.5 + Math.random(),
+            delay: Math.random() * 2,
+            life: 7,
+            fadeStart: 0.85
+        });
+    }
+}
+
+/**
+ * Let snowflakes drift down
+ */
+function triggerSnow() {
+    for (let i = 0; i < CONFIG.SNOW.COUNT; i++) {
+        spawnParticle({
+            x: Math.random() * window.innerWidth,
+            y: -10,
+            vy: 40 + Math.random() * 50,
+            size: 2 + Math.random() * 3,
+            color: '#ffffff',
+            alpha: 0.9,
+            wobble: 25,
+            wobbleSpeed: 1 + Math.random() * 2,
+            delay: Math.random() * 4,
+            life: 8,
+            fadeStart: 0.8
+        });
+    }
+}
+
+/**
+ * Rain emoji from the top of the screen
+ */
+function triggerEmojiRain() {
+    for (let i = 0; i < CONFIG.EMOJI_RAIN.COUNT; i++) {
+        spawnParticle({
+            shape: 'emoji',
+            text: pickRandom(CONFIG.EMOJI_RAIN.EMOJIS),
+            x: Math.random() * window.innerWidth,
+            y: -30,
+            vy: 80 + Math.random() * 80,
+            gravity: 250,
+            drag: 1,
+            size: 24 + Math.random() * 12,
+            rotation: (Math.random() - 0.5) * 0.6,
+            spin: (Math.random() - 0.5) * 2,
+            delay: Math.random() * 2.5,
+            life: 4.5,
+            fadeStart: 0.8
+        });
+    }
+}
+
+/**
+ * Sweep security-system laser beams across the screen
+ */
+function triggerLaserSweep() {
+    const { BEAMS, COLOR } = CONFIG.LASER;
+    for (let i = 0; i < BEAMS; i++) {
+        const fromLeft = i % 2 === 0;
+        spawnParticle({
+            shape: 'beam',
+            x: fromLeft ? -50 : window.innerWidth + 50,
+            vx: (fromLeft ? 1 : -1) * (window.innerWidth + 100) / 1.6,
+            size: 3,
+            color: COLOR,
+            glow: true,
+            rotation: (fromLeft ? 1 : -1) * (0.15 + Math.random() * 0.2),
+            delay: i * 0.25,
+            life: 1.6,
+            fadeStart: 0.7
+        });
+    }
+    playCrackleSound();
+}
+
+/**
+ * Burst a ring of rays from the center of the screen
+ */
+function triggerStarburst() {
+    const { RAYS, COLORS } = CONFIG.STARBURST;
+    const x = window.innerWidth / 2;
+    const y = window.innerHeight / 2;
+
+    for (let i = 0; i < RAYS; i++) {
+        const angle = (i / RAYS) * Math.PI * 2;
+        const speed = 300 + Math.random() * 400;
+        spawnParticle({
+            x,
+            y,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            drag: 1.5,
+            gravity: 40,
+            size: 3 + Math.random() * 2,
+            color: pickRandom(COLORS),
+            glow: true,
+            shrink: true,
+            life: 1.4 + Math.random() * 0.4
+        });
+    }
+    playExplosionSound();
+}
+
+// ===== EFFECT REGISTRY =====
+
+/**
+ * Available celebration effects, in picker order
+ */
+const EFFECTS = {
+    fireworks: { icon: '🎆', labelKey: 'effect.fireworks', run: triggerFireworks },
+    confetti: { icon: '🎊', labelKey: 'effect.confetti', run: triggerConfetti },
+    balloons: { icon: '🎈', labelKey: 'effect.balloons', run: triggerBalloons },
+    snow: { icon: '❄️', labelKey: 'effect.snow', run: triggerSnow },
+    emojiRain: { icon: '😎', labelKey: 'effect.emojiRain', run: triggerEmojiRain },
+    laser: { icon: '🔴', labelKey: 'effect.laser', run: triggerLaserSweep },
+    starburst: { icon: '✴️', labelKey: 'effect.starburst', run: triggerStarburst }
+};
+
+const DEFAULT_EFFECT = 'fireworks';
+const RANDOM_EFFECT = 'random';
+
+/**
+ * Turn a stored preference into a concrete effect id
+ * @param {string} effectId - Effect id or 'random'
+ * @returns {string} A key of EFFECTS
+ */
+function resolveEffectId(effectId) {
+    if (effectId === RANDOM_EFFECT) {
+        return pickRandom(Object.keys(EFFECTS));
+    }
+    return hasOwn(EFFECTS, effectId) ? effectId : DEFAULT_EFFECT;
+}
+
+/**
+ * Render the effect picker grid
+ */
+function renderEffectOptions() {
+    const { effectOptions } = getElements();
+    if (!effectOptions) return;
+
+    const selected = getSelectedEffect();
+    const options = [
+        ...Object.entries(EFFECTS).map(([id, effect]) => ({ id, icon: effect.icon, label: t(effect.labelKey) })),
+        { id: RANDOM_EFFECT, icon: '🎲', label: t('effect.random') }
+    ];
+
+    renderContent(effectOptions, options.map(({ id, icon, label }) =>
+        createElement('label', { className: 'effect-option' },
+            createElement('input', { type: 'radio', name: 'effect', value: id }),
+            createElement('span', { className: 'effect-icon', 'aria-hidden': 'true' }, icon),
+            createElement('span', { className: 'effect-label' }, label)
+        )
+    ));
+    setSelectedEffect(selected);
+}
+
+/**
+ * Get the effect chosen in the picker
+ * @returns {string} Effect id or 'random'
+ */
+function getSelectedEffect() {
+    const checked = document.querySelector('input[name="effect"]:checked');
+    return checked ? checked.value : loadFromStorage(STORAGE_KEYS.EFFECT_PREFERENCE, DEFAULT_EFFECT);
+}
+
+/**
+ * Select an effect in the picker
+ * @param {string} effectId - Effect id or 'random'
+ */
+function setSelectedEffect(effectId) {
+    const id = effectId === RANDOM_EFFECT ? effectId : resolveEffectId(effectId);
+    const input = document.querySelector(`input[name="effect"][value="${id}"]`);
+    if (input) {
+        input.checked = true;
+    }
+}
+
+// ===== AUDIO SYSTEM =====
+
+/**
+ * Default sound settings; stored device-wide since the speaker is shared
+ */
+const DEFAULT_SOUND_SETTINGS = { volume: 0.8, muted: false, pack: 'synth' };
+
+/**
+ * Get the stored sound settings
+ * @returns {Object} Settings with volume (0-1), muted and pack
+ */
+function getSoundSettings() {
+    const stored = loadFromStorage(STORAGE_KEYS.SOUND, {}) || {};
+    return {
+        volume: typeof stored.volume === 'number' ? Math.min(1, Math.max(0, stored.volume)) : DEFAULT_SOUND_SETTINGS.volume,
+        muted: typeof stored.muted === 'boolean' ? stored.muted : DEFAULT_SOUND_SETTINGS.muted,
+        pack: hasOwn(SOUND_PACKS, stored.pack) ? stored.pack : DEFAULT_SOUND_SETTINGS.pack
+    };
+}
+
+/**
+ * Update and persist sound settings, applying them to the master gain
+ * @param {Object} changes - Settings to change
+ * @returns {Object} The full updated settings
+ */
+function saveSoundSettings(changes) {
+    const settings = { ...getSoundSettings(), ...changes };
+    saveToStorage(STORAGE_KEYS.SOUND, settings);
+    applyMasterVolume();
+    return settings;
+}
+
+/**
+ * Initialize audio context with error handling
+ * @returns {AudioContext|null} The audio context or null if unavailable
+ */
+function initAudioContext() {
+    try {
+        if (!audioContext) {
+            audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            masterGain = audioContext.createGain();
+            masterGain.connect(audioContext.destination);
+            applyMasterVolume();
+        }
+        return audioContext;
+    } catch (error) {
+        console.warn('Audio context not supported:', error);
+        return null;
+    }
+}
+
+/**
+ * Set the master gain from the stored volume and mute settings
+ */
+function applyMasterVolume() {
+    if (!masterGain) return;
+    const { volume, muted } = getSoundSettings();
+    masterGain.gain.setValueAtTime(muted ? 0 : volume, audioContext.currentTime);
+}
+
+/**
+ * Get a noise buffer, generating it only the first time it is requested
+ * @param {AudioContext} ctx - Audio context
+ * @param {string} type - 'white' for smooth noise, 'retro' for stepped 8-bit noise
+ * @returns {AudioBuffer} Two seconds of noise
+ */
+function getNoiseBuffer(ctx, type) {
+    if (!noiseBuffers[type]) {
+        const bufferSize = ctx.sampleRate * 2;
+        const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        // Retro noise holds each random value for a few samples, like old sound chips
+        const holdSamples = type === 'retro' ? 24 : 1;
+        let value = 0;
+
+        for (let i = 0; i < bufferSize; i++) {
+            if (i % holdSamples === 0) {
+                value = Math.random() * 2 - 1;
+            }
+            data[i] = value;
+        }
+        noiseBuffers[type] = buffer;
+    }
+    return noiseBuffers[type];
+}
+
+/**
+ * Play a slice of a shared noise buffer through a filter and gain envelope
+ * @param {AudioContext} ctx - Audio context
+ * @param {AudioNode} output - Node to connect to
+ * @param {Object} options - Noise type, filter, peak gain, attack, start and duration
+ */
+function playNoise(ctx, output, { type = 'white', filterType = 'highpass', frequency = 1500, peak = 0.05, attack = 0.02, start = 0, duration }) {
+    const when = ctx.currentTime + start;
+    const source = ctx.createBufferSource();
+    const filter = ctx.createBiquadFilter();
+    const gainNode = ctx.createGain();
+
+    source.buffer = getNoiseBuffer(ctx, type);
+    source.connect(filter);
+    filter.connect(gainNode);
+    gainNode.connect(output);
+
+    filter.type = filterType;
+    filter.frequency.setValueAtTime(frequency, when);
+
+    gainNode.gain.setValueAtTime(0, when);
+    gainNode.gain.linearRampToValueAtTime(peak, when + attack);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, when + duration);
+
+    // Start at a random offset so repeated sounds don't sound identical
+    source.start(when, Math.random() * (source.buffer.duration - duration));
+    source.stop(when + duration);
+}
+
+/**
+ * Play an oscillator with a frequency sweep and gain envelope
+ * @param {AudioContext} ctx - Audio context
+ * @param {AudioNode} output - Node to connect to
+ * @param {Object} options - Wave type, frequencies, optional low-pass sweep, peak gain, start and duration
+ */
+function playTone(ctx, output, { type = 'sine', from, to = from, lowpass = null, peak = 0.2, attack = 0.01, start = 0, duration }) {
+    const when = ctx.currentTime + start;
+    const oscillator = ctx.createOscillator();
+    const gainNode = ctx.createGain();
+    let node = oscillator;
+
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(from, when);
+    if (to !== from) {
+        oscillator.frequency.exponentialRampToValueAtTime(to, when + duration);
+    }
+
+    if (lowpass) {
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(lowpass[0], when);
+        filter.frequency.exponentialRampToValueAtTime(lowpass[1], when + duration);
+        node.connect(filter);
+        node = filter;
+    }
+    node.connect(gainNode);
+    gainNode.connect(output);
+
+    gainNode.gain.setValueAtTime(0, when);
+    gainNode.gain.linearRampToValueAtTime(peak, when + attack);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, when + duration);
+
+    oscillator.start(when);
+    oscillator.stop(when + duration);
+}
+
+/**
+ * Sound packs. Each maps a sound name to a function that schedules it on
+ * the given context and output node; missing sounds are simply skipped.
+ */
+const SOUND_PACKS = {
+    synth: {
+        confetti(ctx, output) {
+            // A clean "pop" followed by a "shhh" rustle
+            playTone(ctx, output, { from: 440, peak: 0.2, attack: 0.001, duration: 0.3 });
+            playNoise(ctx, output, { frequency: 1500, peak: 0.05, attack: 0.1, duration: 1.5 });
+        },
+        explosion(ctx, output) {
+            // Deep boom with a low-pass sweep, then crackling
+            playTone(ctx, output, { type: 'sawtooth', from: 150, to: 30, lowpass: [800, 100], peak: 0.3, duration: 0.5 });
+            SOUND_PACKS.synth.crackle(ctx, output, 0.1);
+        },
+        crackle(ctx, output, start = 0) {
+            playNoise(ctx, output, { frequency: 2000, peak: 0.005, start, duration: 0.3 });
+        },
+        destruction(ctx, output) {
+            playTone(ctx, output, { type: 'sawtooth', from: 200, to: 20, lowpass: [1000, 50], peak: 0.4, attack: 0.02, duration: 0.8 });
+        }
+    },
+    retro: {
+        confetti(ctx, output) {
+            // Rising major arpeggio
+            [523, 659, 784, 1047].forEach((frequency, i) => {
+                playTone(ctx, output, { type: 'square', from: frequency, peak: 0.08, attack: 0.005, start: i * 0.06, duration: 0.08 });
+            });
+        },
+        explosion(ctx, output) {
+            playNoise(ctx, output, { type: 'retro', filterType: 'lowpass', frequency: 3000, peak: 0.2, attack: 0.005, duration: 0.4 });
+        },
+        crackle(ctx, output, start = 0) {
+            playTone(ctx, output, { type: 'square', from: 1800 + Math.random() * 600, peak: 0.03, attack: 0.002, start, duration: 0.05 });
+        },
+        destruction(ctx, output) {
+            playTone(ctx, output, { type: 'square', from: 800, to: 50, peak: 0.12, duration: 0.8 });
+            playNoise(ctx, output, { type: 'retro', filterType: 'lowpass', frequency: 1500, peak: 0.15, start: 0.3, duration: 0.6 });
+        }
+    },
+    silent: {}
+};
+
+/**
+ * Play a named sound from the selected pack through the master gain
+ * @param {string} name - Sound name, e.g. 'explosion'
+ */
+function playSound(name) {
+    const { muted, pack } = getSoundSettings();
+    const sound = SOUND_PACKS[pack][name];
+    if (muted || !sound) return;
+
+    try {
+        const ctx = initAudioContext();
+        if (!ctx) return;
+        sound(ctx, masterGain);
+    } catch (error) {
+        console.warn(`Sound "${name}" failed:`, error);
+    }
+}
+
+function playConfettiSound() {
+    playSound('confetti');
+}
+
+/**
+ * Play explosion sound effect
+ */
+function playExplosionSound() {
+    playSound('explosion');
+}
+
+function playCrackleSound() {
+    playSound('crackle');
+}
+
+/**
+ * Reflect the sound settings in the sound controls
+ */
+function syncSoundControls() {
+    const { muteButton, volumeSlider, soundPackSelect } = getElements();
+    if (!muteButton) return;
+
+    const { volume, muted, pack } = getSoundSettings();
+    muteButton.textContent = muted ? '🔇' : '🔊';
+    muteButton.setAttribute('aria-pressed', String(muted));
+    muteButton.setAttribute('aria-label', t(muted ? 'sound.unmute' : 'sound.mute'));
+    volumeSlider.value = String(Math.round(volume * 100));
+    soundPackSelect.value = pack;
+}
+
+/**
+ * Wire up the mute button, volume slider and sound pack picker
+ */
+function initializeSoundControls() {
+    const { muteButton, volumeSlider, soundPackSelect } = getElements();
+    if (!muteButton) return;
+
+    syncSoundControls();
+    muteButton.addEventListener('click', () => {
+        saveSoundSettings({ muted: !getSoundSettings().muted });
+        syncSoundControls();
+    });
+    volumeSlider.addEventListener('input', () => {
+        saveSoundSettings({ volume: Number(volumeSlider.value) / 100, muted: false });
+        syncSoundControls();
+    });
+    soundPackSelect.addEventListener('change', () => {
+        saveSoundSettings({ pack: soundPackSelect.value });
+        playSound('confetti'); // Preview the new pack
+    });
+}
+
+// ===== CALM MODE =====
+
+/**
+ * Effect id recorded when calm mode replaced the chosen effect
+ */
+const CALM_EFFECT = 'calm';
+
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+/**
+ * Check whether calm mode is active. The default 'auto' setting follows
+ * the prefers-reduced-motion media query.
+ * @returns {boolean} True if motion and flashing should be avoided
+ */
+function isCalmMode() {
+    const setting = loadFromStorage(STORAGE_KEYS.CALM_MODE, 'auto');
+    return setting === 'auto' ? reducedMotionQuery.matches : setting === 'on';
+}
+
+/**
+ * Reflect calm mode on the document and its toggle
+ */
+function applyCalmMode() {
+    const { calmModeToggle } = getElements();
+    document.documentElement.classList.toggle('calm-mode', isCalmMode());
+    if (calmModeToggle) {
+        calmModeToggle.checked = isCalmMode();
+    }
+}
+
+/**
+ * Show a soft glow that fades in and out without any movement
+ */
+function triggerGentleFade() {
+    const glow = createElement('div', { className: 'calm-glow', 'aria-hidden': 'true' });
+    glow.addEventListener('animationend', () => glow.remove());
+    document.body.appendChild(glow);
+}
+
+/**
+ * Add a dismiss button so a calm-mode greeting stays until the user closes it
+ */
+function showDismissButton() {
+    const messageElement = document.getElementById('greetingMessage');
+    messageElement.appendChild(createElement('button', {
+        type: 'button',
+        className: 'secondary-button dismiss-button',
+        onClick: dismissMessage
+    }, t('message.dismiss')));
+}
+
+/**
+ * Quietly clear the greeting message
+ */
+function dismissMessage() {
+    const messageElement = document.getElementById('greetingMessage');
+    messageElement.textContent = '';
+    messageElement.className = 'message';
+}
+
+/**
+ * Wire up the calm mode toggle and follow system changes
+ */
+function initializeCalmMode() {
+    const { calmModeToggle } = getElements();
+    applyCalmMode();
+
+    if (calmModeToggle) {
+        calmModeToggle.addEventListener('change', () => {
+            saveToStorage(STORAGE_KEYS.CALM_MODE, calmModeToggle.checked ? 'on' : 'off');
+            applyCalmMode();
+        });
+    }
+    reducedMotionQuery.addEventListener('change', applyCalmMode);
+}
+
+// ===== JAMES BOND SELF-DESTRUCT SYSTEM =====
+
+/**
+ * Limits for the per-user self-destruct timings, in seconds
+ */
+const SELF_DESTRUCT_LIMITS = {
+    delay: { min: 0, max: 60 },
+    duration: { min: 1, max: 60 }
+};
+
+/**
+ * Clamp a value to a range, falling back when it isn't a finite number
+ * @param {any} value - Candidate value
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @param {number} fallback - Value used when the candidate is not a number
+ * @returns {number} Clamped number
+ */
+function clampNumber(value, min, max, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) && value !== '' && value !== null ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+/**
+ * Get the active profile's self-destruct settings
+ * @returns {Object} Settings with enabled, delay and duration (seconds)
+ */
+function getSelfDestructSettings() {
+    const stored = loadFromStorage(STORAGE_KEYS.SELF_DESTRUCT, {}) || {};
+    const { delay, duration } = SELF_DESTRUCT_LIMITS;
+    return {
+        enabled: stored.enabled !== false,
+        delay: clampNumber(stored.delay, delay.min, delay.max, CONFIG.SELF_DESTRUCT_DELAY / 1000),
+        duration: Math.round(clampNumber(stored.duration, duration.min, duration.max, CONFIG.COUNTDOWN_DURATION))
+    };
+}
+
+/**
+ * Update and persist self-destruct settings
+ * @param {Object} changes - Settings to change
+ * @returns {Object} The full, validated settings
+ */
+function saveSelfDestructSettings(changes) {
+    saveToStorage(STORAGE_KEYS.SELF_DESTRUCT, { ...getSelfDestructSettings(), ...changes });
+    const settings = getSelfDestructSettings();
+    saveToStorage(STORAGE_KEYS.SELF_DESTRUCT, settings);
+    return settings;
+}
+
+/**
+ * Stop any pending or running self-destruct sequence, e.g. when a new
+ * greeting replaces the message
+ */
+function cancelSelfDestruct() {
+    clearTimeout(selfDestructTimers.start);
+    clearInterval(selfDestructTimers.countdown);
+    clearTimeout(selfDestructTimers.cleanup);
+    selfDestructTimers.start = null;
+    selfDestructTimers.countdown = null;
+    selfDestructTimers.cleanup = null;
+
+    const panel = document.querySelector('#greetingMessage .countdown-panel');
+    if (panel) {
+        panel.remove();
+    }
+}
+
+/**
+ * Start the self-destruct countdown sequence. In calm mode, or when the
+ * user has turned it off, the greeting stays until dismissed instead.
+ */
+function startSelfDestruct() {
+    cancelSelfDestruct();
+    const settings = getSelfDestructSettings();
+
+    if (isCalmMode() || !settings.enabled) {
+        showDismissButton();
+        return;
+    }
+    selfDestructTimers.start = setTimeout(() => {
+        showCountdown(settings.duration);
+    }, settings.delay * 1000);
+}
+
+/**
+ * Display countdown with original message
+ * @param {number} duration - Countdown length in seconds
+ */
+function showCountdown(duration) {
+    const messageElement = document.getElementById('greetingMessage');
+    let countdown = duration;
+    
+    // Keep the original greeting nodes and add the countdown below them
+    const countdownText = createElement('div', { className: 'countdown-text' });
+    const renderCountdown = () => {
+        countdownText.textContent = t('countdown.message', { count: countdown });
+    };
+    
+    messageElement.appendChild(createElement('div', { className: 'countdown-panel' },
+        countdownText,
+        createElement('div', { className: 'countdown-actions' },
+            createElement('button', { type: 'button', className: 'secondary-button', onClick: abortSelfDestruct }, t('countdown.abort')),
+            createElement('button', {
+                type: 'button',
+                className: 'secondary-button',
+                onClick: () => {
+                    countdown += CONFIG.COUNTDOWN_EXTENSION;
+                    renderCountdown();
+                }
+            }, t('countdown.extend', { count: CONFIG.COUNTDOWN_EXTENSION })),
+            createElement('button', { type: 'button', className: 'secondary-button', onClick: keepMessage }, t('countdown.keep'))
+        )
+    ));
+    messageElement.className = 'message visible countdown enhanced';
+    renderCountdown();
+    
+    selfDestructTimers.countdown = setInterval(() => {
+        countdown--;
+        
+        if (countdown < 0) {
+            cancelSelfDestruct();
+            destroyMessage();
+        } else {
+            renderCountdown();
+        }
+    }, 1000);
+}
+
+/**
+ * Abort the sequence and clear the message without an explosion
+ */
+function abortSelfDestruct() {
+    cancelSelfDestruct();
+    dismissMessage();
+}
+
+/**
+ * Cancel the sequence and keep the greeting until dismissed
+ */
+function keepMessage() {
+    cancelSelfDestruct();
+    document.getElementById('greetingMessage').className = 'message visible success enhanced';
+    showDismissButton();
+}
+
+/**
+ * Reflect the self-destruct settings in their controls
+ */
+function syncSelfDestructControls() {
+    const { selfDestructToggle, selfDestructDelayInput, selfDestructDurationInput } = getElements();
+    if (!selfDestructToggle) return;
+
+    const settings = getSelfDestructSettings();
+    selfDestructToggle.checked = settings.enabled;
+    selfDestructDelayInput.value = String(settings.delay);
+    selfDestructDurationInput.value = String(settings.duration);
+    selfDestructDelayInput.disabled = !settings.enabled;
+    selfDestructDurationInput.disabled = !settings.enabled;
+}
+
+/**
+ * Wire up the self-destruct settings
+ */
+function initializeSelfDestructControls() {
+    const { selfDestructToggle, selfDestructDelayInput, selfDestructDurationInput } = getElements();
+    if (!selfDestructToggle) return;
+
+    syncSelfDestructControls();
+    selfDestructToggle.addEventListener('change', () => {
+        saveSelfDestructSettings({ enabled: selfDestructToggle.checked });
+        syncSelfDestructControls();
+    });
+    selfDestructDelayInput.addEventListener('change', () => {
+        saveSelfDestructSettings({ delay: selfDestructDelayInput.value });
+        syncSelfDestructControls();
+    });
+    selfDestructDurationInput.addEventListener('change', () => {
+        saveSelfDestructSettings({ duration: selfDestructDurationInput.value });
+        syncSelfDestructControls();
+    });
+}
+
+/**
+ * Execute message destruction sequence
+ */
+function destroyMessage() {
+    const messageElement = document.getElementById('greetingMessage');
+    
+    // Add destruction animation
+    messageElement.textContent = t('countdown.destroyed');
+    messageElement.className = 'message visible destroyed';
+    
+    // Play destruction sound
+    playDestructionSound();
+    
+    // Clear message after destruction animation
+    selfDestructTimers.cleanup = setTimeout(() => {
+        selfDestructTimers.cleanup = null;
+        messageElement.textContent = '';
+        messageElement.className = 'message';
+    }, 2000);
+}
+
+/**
+ * Play dramatic destruction sound effect
+ */
+function playDestructionSound() {
+    playSound('destruction');
+}
+
+// ===== PROFILE SWITCHER =====
+
+/**
+ * Option value for starting a new profile
+ */
+const NEW_PROFILE_OPTION = '__new__';
+
+/**
+ * Fill the profile switcher with the stored profiles
+ */
+function renderProfileOptions() {
+    const { profileSelect, deleteProfileButton } = getElements();
+    if (!profileSelect) return;
+
+    const activeProfile = getActiveProfile();
+    renderContent(profileSelect,
+        !activeProfile && createElement('option', { value: '', disabled: true }, t('profile.none')),
+        getProfiles().map((profile) =>
+            createElement('option', { value: profile.id }, profile.userName || t('profile.guest'))
+        ),
+        createElement('option', { value: NEW_PROFILE_OPTION }, t('profile.new'))
+    );
+    profileSelect.value = activeProfile ? activeProfile.id : '';
+    deleteProfileButton.hidden = !activeProfile;
+}
+
+/**
+ * Refresh every control that reflects per-profile settings
+ */
+function applyActiveProfile() {
+    const elements = getElements();
+    const userData = getStoredUserData();
+
+    currentLocale = detectLocale();
+    applyTranslations();
+    document.getElementById('localeSelect').value = currentLocale;
+    syncGreetingLanguageControls();
+    applyCalmMode();
+    applyTheme();
+    syncSelfDestructControls();
+
+    elements.nameInput.value = userData.name || '';
+    setSelectedEffect(userData.effectPreference);
+}
+
+/**
+ * Remove the active profile after confirmation
+ */
+function handleDeleteProfile() {
+    const profile = getActiveProfile();
+    if (!profile) return;
+
+    const name = profile.userName || t('profile.guest');
+    if (window.confirm(t('profile.deleteConfirm', { name }))) {
+        deleteProfile(profile.id);
+        applyActiveProfile();
+    }
+}
+
+/**
+ * Ask for a name and start a profile for it, or switch to the profile that
+ * already has that name. Cancelling leaves the active profile as it was.
+ */
+function handleNewProfile() {
+    const input = window.prompt(t('profile.namePrompt'));
+    if (input !== null) {
+        const { name, errors } = validateName(input);
+        const existing = errors.length === 0 && findProfileByName(name);
+        if (errors.length > 0) {
+            window.alert(errors.map(({ key, params }) => t(key, params)).join(' '));
+        } else if (existing) {
+            setActiveProfile(existing.id);
+        } else {
+            createProfile(name);
+        }
+    }
+    // Also puts the switcher back on the active profile
+    applyActiveProfile();
+}
+
+/**
+ * Wire up the profile switcher
+ */
+function initializeProfileSwitcher() {
+    const { profileSelect, deleteProfileButton } = getElements();
+    if (!profileSelect) return;
+
+    renderProfileOptions();
+    profileSelect.addEventListener('change', () => {
+        if (profileSelect.value === NEW_PROFILE_OPTION) {
+            handleNewProfile();
+            return;
+        }
+        setActiveProfile(profileSelect.value);
+        applyActiveProfile();
+    });
+    deleteProfileButton.addEventListener('click', handleDeleteProfile);
+}
+
+// ===== SETTINGS =====
+
+/**
+ * Settings users can change from the settings dialog. Each one overrides
+ * the CONFIG value at `path`; number settings carry their allowed range and
+ * colors the theme custom property that supplies their default.
+ */
+const SETTINGS_FIELDS = [
+    { path: 'BUTTON_DISABLE_DURATION', key: 'buttonCooldown', group: 'timing', type: 'number', min: 1000, max: 30000, step: 500 },
+    { path: 'COUNTDOWN_EXTENSION', key: 'countdownExtension', group: 'timing', type: 'number', min: 1, max: 60, step: 1 },
+    { path: 'GROUP.INTERVAL', key: 'groupInterval', group: 'timing', type: 'number', min: 2000, max: 60000, step: 1000 },
+    { path: 'FIREWORKS.COUNT', key: 'fireworksCount', group: 'effects', type: 'number', min: 1, max: 50, step: 1 },
+    { path: 'CONFETTI.COUNT', key: 'confettiCount', group: 'effects', type: 'number', min: 10, max: 500, step: 10 },
+    { path: 'BALLOONS.COUNT', key: 'balloonsCount', group: 'effects', type: 'number', min: 1, max: 60, step: 1 },
+    { path: 'SNOW.COUNT', key: 'snowCount', group: 'effects', type: 'number', min: 10, max: 400, step: 10 },
+    { path: 'EMOJI_RAIN.COUNT', key: 'emojiRainCount', group: 'effects', type: 'number', min: 5, max: 200, step: 5 },
+    { path: 'PARTICLES.MAX_COUNT', key: 'particleLimit', group: 'effects', type: 'number', min: 150, max: 3000, step: 50 },
+    { path: 'FIREWORKS.COLORS', key: 'fireworksColors', group: 'colors', type: 'colors', themeVar: '--fireworks-colors' },
+    { path: 'CONFETTI.COLORS', key: 'confettiColors', group: 'colors', type: 'colors', themeVar: '--confetti-colors' },
+    { path: 'BALLOONS.COLORS', key: 'balloonsColors', group: 'colors', type: 'colors', themeVar: '--balloons-colors' },
+    { path: 'STARBURST.COLORS', key: 'starburstColors', group: 'colors', type: 'colors', themeVar: '--starburst-colors' },
+    { path: 'LASER.COLOR', key: 'laserColor', group: 'colors', type: 'color', themeVar: '--laser-color' }
+];
+
+/**
+ * Order of the fieldsets in the settings dialog
+ */
+const SETTINGS_GROUPS = ['timing', 'effects', 'colors'];
+
+/**
+ * Upper bound on the number of colors in an effect palette
+ */
+const MAX_PALETTE_SIZE = 8;
+
+/**
+ * Read a value from a configuration object by dotted path
+ * @param {Object} config - Configuration object
+ * @param {string} path - Dotted path, e.g. 'FIREWORKS.COUNT'
+ * @returns {any} The value, or undefined
+ */
+function getConfigValue(config, path) {
+    return path.split('.').reduce((value, key) => (value ? value[key] : undefined), config);
+}
+
+/**
+ * Write a value into a configuration object by dotted path
+ * @param {Object} config - Configuration object
+ * @param {string} path - Dotted path, e.g. 'FIREWORKS.COUNT'
+ * @param {any} value - New value
+ */
+function setConfigValue(config, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((value, key) => value[key], config)[last] = value;
+}
+
+/**
+ * Check a setting value against its field definition
+ * @param {Object} field - Entry from SETTINGS_FIELDS
+ * @param {any} value - Candidate value, possibly a form string
+ * @returns {any} The normalized value, or undefined when invalid
+ */
+function validateSetting(field, value) {
+    switch (field.type) {
+        case 'number': {
+            const number = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN;
+            return Number.isInteger(number) && number >= field.min && number <= field.max ? number : undefined;
+        }
+        case 'color':
+            return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : undefined;
+        case 'colors': {
+            if (!Array.isArray(value) || value.length === 0 || value.length > MAX_PALETTE_SIZE) return undefined;
+            const colors = value.map((color) => validateSetting({ type: 'color' }, color));
+            return colors.includes(undefined) ? undefined : colors;
+        }
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Get the value a setting has without a user override: the active theme's
+ * palette for colors, otherwise the built-in default
+ * @param {Object} field - Entry from SETTINGS_FIELDS
+ * @returns {any} Default value
+ */
+function getDefaultSetting(field) {
+    if (field.themeVar) {
+        const raw = getThemeValue(field.themeVar);
+        const value = validateSetting(field, field.type === 'colors' ? raw.split(',').map((color) => color.trim()) : raw);
+        if (value !== undefined) return value;
+    }
+    return getConfigValue(DEFAULT_CONFIG, field.path);
+}
+
+/**
+ * Get the active profile's valid setting overrides
+ * @returns {Object} Map of CONFIG path to value
+ */
+function getUserSettings() {
+    const stored = loadFromStorage(STORAGE_KEYS.SETTINGS, {}) || {};
+    return SETTINGS_FIELDS.reduce((settings, field) => {
+        const value = validateSetting(field, stored[field.path]);
+        if (value !== undefined) {
+            settings[field.path] = value;
+        }
+        return settings;
+    }, {});
+}
+
+/**
+ * Rebuild the live CONFIG from the defaults, the active theme and the
+ * active profile's overrides
+ */
+function applyUserSettings() {
+    const settings = getUserSettings();
+    SETTINGS_FIELDS.forEach((field) => {
+        const value = field.path in settings ? settings[field.path] : getDefaultSetting(field);
+        setConfigValue(CONFIG, field.path, cloneConfig(value));
+    });
+    particleSystem.budget = Math.min(particleSystem.budget, CONFIG.PARTICLES.MAX_COUNT);
+}
+
+/**
+ * Validate, persist and apply one setting. Values equal to the default are
+ * stored as "no override" so theme and default changes still apply.
+ * @param {string} path - CONFIG path from SETTINGS_FIELDS
+ * @param {any} value - New value
+ * @returns {boolean} Whether the value was valid and saved
+ */
+function saveUserSetting(path, value) {
+    const field = SETTINGS_FIELDS.find((entry) => entry.path === path);
+    const normalized = field ? validateSetting(field, value) : undefined;
+    if (normalized === undefined) return false;
+
+    const settings = getUserSettings();
+    if (JSON.stringify(normalized) === JSON.stringify(getDefaultSetting(field))) {
+        delete settings[path];
+    } else {
+        settings[path] = normalized;
+    }
+    saveToStorage(STORAGE_KEYS.SETTINGS, settings);
+    applyUserSettings();
+    return true;
+}
+
+/**
+ * Restore the active profile's settings to their defaults. Sound settings
+ * are shared by every profile on the device, so they stay as they are.
+ */
+function resetUserSettings() {
+    removeFromStorage(STORAGE_KEYS.SETTINGS);
+    removeFromStorage(STORAGE_KEYS.SELF_DESTRUCT);
+    applyUserSettings();
+}
+
+/**
+ * Build the label and control for one setting
+ * @param {Object} field - Entry from SETTINGS_FIELDS
+ * @returns {Array<HTMLElement>} Label and control, for a settings grid
+ */
+function createSettingControl(field) {
+    const id = `setting-${field.key}`;
+    const value = getConfigValue(CONFIG, field.path);
+    const label = t(`settings.${field.key}`);
+
+    if (field.type === 'number') {
+        const error = createElement('span', { id: `${id}-error`, className: 'settings-error', hidden: true });
+        const input = createElement('input', {
+            type: 'number',
+            id,
+            min: field.min,
+            max: field.max,
+            step: field.step,
+            value,
+            'aria-describedby': error.id,
+            onChange: () => {
+                const valid = saveUserSetting(field.path, input.value);
+                input.setAttribute('aria-invalid', String(!valid));
+                error.textContent = valid ? '' : t('settings.range', { min: field.min, max: field.max });
+                error.hidden = valid;
+            }
+        });
+        return [createElement('label', { for: id }, label), createElement('div', { className: 'settings-control' }, input, error)];
+    }
+
+    const colors = field.type === 'colors' ? value : [value];
+    const inputs = colors.map((color, index) => createElement('input', {
+        type: 'color',
+        value: color,
+        'aria-label': colors.length > 1 ? t('settings.colorN', { label, count: index + 1 }) : label,
+        onChange: () => {
+            const values = inputs.map((input) => input.value);
+            saveUserSetting(field.path, field.type === 'colors' ? values : values[0]);
+        }
+    }));
+    return [
+        createElement('span', { id, className: 'settings-label' }, label),
+        createElement('div', { className: 'color-list', role: 'group', 'aria-labelledby': id }, inputs)
+    ];
+}
+
+/**
+ * Fill the settings dialog with the current values
+ */
+function renderSettingsFields() {
+    const { settingsFields } = getElements();
+    if (!settingsFields) return;
+
+    renderContent(settingsFields, SETTINGS_GROUPS.map((group) =>
+        createElement('fieldset', { className: 'settings-group' },
+            createElement('legend', {}, t(`settings.group.${group}`)),
+            createElement('div', { className: 'settings-grid' },
+                SETTINGS_FIELDS.filter((field) => field.group === group).map(createSettingControl)
+            )
+        )
+    ));
+}
+
+/**
+ * Wire up the settings dialog
+ */
+function initializeSettingsDialog() {
+    const { settingsButton, settingsDialog, resetSettingsButton, closeSettingsButton } = getElements();
+    if (!settingsButton) return;
+
+    settingsButton.addEventListener('click', () => {
+        renderSettingsFields();
+        renderGreetingPackList();
+        getElements().greetingPackStatus.textContent = '';
+        renderCustomQuotes();
+        getElements().birthdayInput.value = getBirthday() || '';
+        syncSoundControls();
+        syncSelfDestructControls();
+        settingsDialog.showModal();
+    });
+    resetSettingsButton.addEventListener('click', () => {
+        if (window.confirm(t('settings.resetConfirm'))) {
+            resetUserSettings();
+            renderSettingsFields();
+            syncSelfDestructControls();
+        }
+    });
+    closeSettingsButton.addEventListener('click', () => settingsDialog.close());
+}
+
+// ===== THEMES =====
+
+/**
+ * Available themes. 'auto' follows the system light/dark preference; the
+ * colors of each theme live in styles.css as custom properties.
+ */
+const THEMES = ['auto', 'light', 'dark', 'contrast', 'spy'];
+const DEFAULT_THEME = 'auto';
+
+/**
+ * Media query for the system dark mode preference
+ */
+const colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+/**
+ * Get the active profile's theme setting
+ * @returns {string} One of THEMES
+ */
+function getTheme() {
+    const theme = loadFromStorage(STORAGE_KEYS.THEME, DEFAULT_THEME);
+    return THEMES.includes(theme) ? theme : DEFAULT_THEME;
+}
+
+/**
+ * Resolve 'auto' to the theme matching the system preference
+ * @param {string} theme - One of THEMES
+ * @returns {string} A concrete theme id
+ */
+function resolveTheme(theme) {
+    if (theme !== 'auto') return theme;
+    return colorSchemeQuery.matches ? 'dark' : 'light';
+}
+
+/**
+ * Read a custom property from the active theme
+ * @param {string} name - Custom property name, e.g. '--primary-color'
+ * @returns {string} Its value, or '' when unset
+ */
+function getThemeValue(name) {
+    return window.getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+}
+
+/**
+ * Apply the active theme to the document, the browser chrome and the
+ * effect palettes
+ */
+function applyTheme() {
+    const { themeSelect } = getElements();
+    const theme = getTheme();
+
+    document.documentElement.dataset.theme = resolveTheme(theme);
+    const themeColor = document.querySelector('meta[name="theme-color"]');
+    if (themeColor) {
+        themeColor.setAttribute('content', getThemeValue('--primary-color'));
+    }
+    if (themeSelect) {
+        themeSelect.value = theme;
+    }
+    applyUserSettings();
+}
+
+/**
+ * Wire up the theme picker and follow system theme changes
+ */
+function initializeThemePicker() {
+    const { themeSelect } = getElements();
+
+    if (themeSelect) {
+        themeSelect.value = getTheme();
+        themeSelect.addEventListener('change', () => {
+            saveToStorage(STORAGE_KEYS.THEME, themeSelect.value);
+            applyTheme();
+            renderSettingsFields();
+        });
+    }
+    colorSchemeQuery.addEventListener('change', () => {
+        if (getTheme() === 'auto') {
+            applyTheme();
+        }
+    });
+}
+
+// ===== HISTORY VIEW =====
+
+/**
+ * Render the active profile's greeting log into the history dialog
+ */
+function renderHistory() {
+    const { historyList, historySummary } = getElements();
+    const history = getVisitHistory();
+    const streak = getStreak();
+    const dateFormat = new Intl.DateTimeFormat(currentLocale, { dateStyle: 'medium', timeStyle: 'short' });
+
+    historySummary.textContent = t('history.summary', {
+        visits: getStoredUserData().visitCount,
+        streak: streak.current,
+        best: streak.best
+    });
+
+    if (history.length === 0) {
+        renderContent(historyList, createElement('li', { className: 'history-empty' }, t('history.empty')));
+        return;
+    }
+
+    renderContent(historyList, [...history].reverse().map((entry) => {
+        const translation = findHelloTranslation(entry.language);
+        const languageName = translation ? getLanguageDisplayName(translation.code, translation.language) : entry.language;
+        return createElement('li', { className: 'history-entry' },
+            createElement('div', { className: 'history-meta' },
+                createElement('time', { datetime: entry.at }, dateFormat.format(new Date(entry.at))),
+                ` · ${languageName} · ${t(`effect.${entry.effect}`)}`
+            ),
+            entry.quote && createElement('div', { className: 'history-quote' }, `"${entry.quote.text}" — ${entry.quote.author}`)
+        );
+    }));
+}
+
+/**
+ * Open the greeting history dialog
+ */
+function openHistory() {
+    const { historyDialog } = getElements();
+    renderHistory();
+    historyDialog.showModal();
+}
+
+/**
+ * Wire up the history dialog
+ */
+function initializeHistoryView() {
+    const { historyButton, historyDialog, clearHistoryButton, closeHistoryButton } = getElements();
+    if (!historyButton) return;
+
+    historyButton.addEventListener('click', openHistory);
+    clearHistoryButton.addEventListener('click', () => {
+        if (window.confirm(t('history.clearConfirm'))) {
+            clearVisitHistory();
+            renderHistory();
+        }
+    });
+    closeHistoryButton.addEventListener('click', () => historyDialog.close());
+}
+
+// ===== DATA EXPORT / IMPORT =====
+
+/**
+ * Offer a blob to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {Blob} blob - File content
+ */
+function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = createElement('a', { href: url, download: filename });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Offer text content to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+function downloadTextFile(filename, content, type = 'application/json') {
+    downloadBlob(filename, new Blob([content], { type }));
+}
+
+/**
+ * Download all user data as a JSON file
+ */
+function handleExportData() {
+    downloadTextFile(`greeting-app-data-${getDateKey()}.json`, exportState());
+}
+
+/**
+ * Import user data from a chosen JSON file and restart with it
+ * @param {File} file - The exported data file
+ */
+async function handleImportData(file) {
+    if (!file) return;
+    try {
+        importState(await file.text());
+        showMessage(t('data.importSuccess'), 'success');
+        // Every control reads its initial state on startup, so start fresh
+        setTimeout(() => window.location.reload(), 1500);
+    } catch (error) {
+        console.warn('Failed to import data:', error);
+        showMessage(t('data.importError'), 'error');
+    }
+}
+
+/**
+ * Wire up the export and import buttons
+ */
+function initializeDataTools() {
+    const { exportDataButton, importDataButton, importDataInput } = getElements();
+    if (!exportDataButton) return;
+
+    exportDataButton.addEventListener('click', handleExportData);
+    importDataButton.addEventListener('click', () => importDataInput.click());
+    importDataInput.addEventListener('change', () => {
+        handleImportData(importDataInput.files[0]);
+        importDataInput.value = '';
+    });
+}
+
+// ===== GROUP GREETINGS =====
+
+/**
+ * The running group greeting, or null. Each name in the queue ends up in
+ * `results` as greeted or skipped.
+ */
+let groupSession = null;
+
+/**
+ * Greeting languages from the last imported CSV, keyed by each name as
+ * validateName normalizes it, which is how the group session sees it
+ */
+let importedGroupLanguages = new Map();
+
+/**
+ * Split a pasted list of names on commas and line breaks
+ * @param {string} text - The list
+ * @returns {Array<string>} Names
+ */
+function parseNameList(text) {
+    return text.split(/[,\r\n]+/).map((name) => name.trim()).filter(Boolean);
+}
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells, doubled quotes
+ * and semicolon-separated files as some spreadsheets export them.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Non-empty rows
+ */
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+    const rows = [[]];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            rows[rows.length - 1].push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            rows[rows.length - 1].push(cell);
+            cell = '';
+            rows.push([]);
+        } else {
+            cell += char;
+        }
+    }
+    rows[rows.length - 1].push(cell);
+    return rows.filter((row) => row.some((value) => value.trim()));
+}
+
+/**
+ * Find a greeting language by its code or English name, as a spreadsheet
+ * might spell it
+ * @param {string} value - Code or language name
+ * @returns {Object|null} The translation, or null
+ */
+function findGroupTranslation(value) {
+    const wanted = value.trim().toLowerCase();
+    return HELLO_TRANSLATIONS.find(({ code, language }) => code === wanted || language.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Take the people out of CSV rows. With a header, the "name" and
+ * "language" columns are used; otherwise the first column holds names.
+ * @param {Array<Array<string>>} rows - Rows from parseCsv
+ * @returns {Array<Object>} People with name and language code or null
+ */
+function getGroupFromCsv(rows) {
+    const header = (rows[0] || []).map((value) => value.trim());
+    const nameColumn = header.findIndex((value) => /^name$/i.test(value));
+    const languageColumn = header.findIndex((value) => /^(language|lang)$/i.test(value));
+    const hasHeader = nameColumn >= 0 || languageColumn >= 0;
+    const column = Math.max(nameColumn, 0);
+
+    return (hasHeader ? rows.slice(1) : rows)
+        .map((row) => {
+            const translation = languageColumn >= 0 ? findGroupTranslation(row[languageColumn] || '') : null;
+            return { name: (row[column] || '').trim(), language: translation ? translation.code : null };
+        })
+        .filter(({ name }) => name);
+}
+
+/**
+ * Read names from a CSV file into the group list
+ * @param {File} file - The CSV file
+ */
+async function handleImportGroupCsv(file) {
+    if (!file) return;
+    const { groupNamesInput, groupStatus } = getElements();
+    try {
+        const people = getGroupFromCsv(parseCsv(await file.text()));
+        importedGroupLanguages = new Map(people
+            .filter(({ language }) => language)
+            .map(({ name, language }) => [validateName(name).name, language]));
+        groupNamesInput.value = people.map(({ name }) => name).join('\n');
+        groupStatus.textContent = t('group.imported', { count: people.length });
+    } catch (error) {
+        console.warn('Failed to import names:', error);
+        groupStatus.textContent = t('group.importError');
+    }
+}
+
+/**
+ * Show where the group greeting is up to, label the pause button and hold
+ * Next and Skip back while a greeting is loading
+ */
+function renderGroupProgress() {
+    const { groupProgress, pauseGroupButton, nextGroupButton, skipGroupButton } = getElements();
+    const { names, index, paused, loading } = groupSession;
+    const next = names[index];
+
+    groupProgress.textContent = [
+        t('group.progress', { current: Math.min(index, names.length), total: names.length }),
+        next && t('group.upNext', { name: next })
+    ].filter(Boolean).join(' · ');
+    pauseGroupButton.textContent = t(paused ? 'group.resume' : 'group.pause');
+    nextGroupButton.disabled = loading;
+    skipGroupButton.disabled = loading;
+}
+
+/**
+ * Pick the next person's greeting language: their CSV language if they have
+ * one, otherwise the session's own rotation. The saved language settings
+ * belong to the profile and are left alone.
+ * @param {Object} session - The running group session
+ * @param {string} name - The person being greeted
+ * @returns {Object} Translation
+ */
+function selectGroupTranslation(session, name) {
+    const imported = findHelloTranslation(importedGroupLanguages.get(name));
+    if (imported) return imported;
+
+    const translation = HELLO_TRANSLATIONS[session.rotateIndex % HELLO_TRANSLATIONS.length];
+    session.rotateIndex += 1;
+    return translation;
+}
+
+/**
+ * Wait the configured pace before greeting the next person, unless paused
+ */
+function scheduleNextInGroup() {
+    clearTimeout(groupSession.timer);
+    groupSession.timer = groupSession.paused ? null : setTimeout(greetNextInGroup, CONFIG.GROUP.INTERVAL);
+}
+
+/**
+ * Greet the next person in the group, each with their own language and
+ * quote, celebrated with the chosen effect
+ */
+async function greetNextInGroup() {
+    const session = groupSession;
+    if (!session || session.loading) return;
+    clearTimeout(session.timer);
+
+    if (session.index >= session.names.length) {
+        finishGroupGreeting();
+        return;
+    }
+
+    const name = session.names[session.index];
+    const translation = selectGroupTranslation(session, name);
+    session.index += 1;
+    session.loading = true;
+    renderGroupProgress();
+
+    let quote;
+    try {
+        quote = await fetchQuoteOfTheDay({ mode: 'random' });
+    } finally {
+        session.loading = false;
+        // Stopped while the quote was loading
+        if (groupSession === session) {
+            renderGroupProgress();
+        }
+    }
+    if (groupSession !== session) return;
+
+    const celebration = resolveEffectId(getSelectedEffect());
+    const effect = isCalmMode() ? CALM_EFFECT : celebration;
+    session.results.push({ name, language: translation.code, effect: celebration, greeted: true });
+    reportGreeting({ name, language: translation.code, quote, effect });
+
+    showEnhancedMessage(createEnhancedGreeting(name, translation, quote, { guest: true }), 'success');
+    triggerEffect(effect);
+    scheduleNextInGroup();
+}
+
+/**
+ * Leave out the next person in the queue
+ */
+function skipNextInGroup() {
+    const { names, index, results } = groupSession;
+    if (index >= names.length) return;
+
+    results.push({ name: names[index], greeted: false });
+    groupSession.index += 1;
+    renderGroupProgress();
+}
+
+/**
+ * Pause or resume the group greeting
+ */
+function toggleGroupPause() {
+    groupSession.paused = !groupSession.paused;
+    scheduleNextInGroup();
+    renderGroupProgress();
+}
+
+/**
+ * Create the end-of-session summary
+ * @param {Object} session - The finished session
+ * @returns {HTMLElement} Summary element
+ */
+function createGroupSummary(session) {
+    const greeted = session.results.filter((result) => result.greeted).length;
+    const seconds = Math.round((Date.now() - session.startedAt) / 1000);
+
+    return createElement('div', { className: 'enhanced-greeting group-summary' },
+        createElement('div', { className: 'main-greeting' }, t('group.summary', { greeted, total: session.names.length })),
+        createElement('div', { className: 'translation-info' }, t('group.duration', { count: seconds })),
+        createElement('ol', { className: 'group-results' }, session.results.map((result) =>
+            createElement('li', { className: result.greeted ? 'greeted' : 'skipped' },
+                createElement('span', {}, result.name),
+                createElement('span', { className: 'group-result-detail' }, result.greeted
+                    ? `${getLanguageDisplayName(result.language, result.language)} · ${EFFECTS[result.effect].icon}`
+                    : t('group.skipped'))
+            )
+        ))
+    );
+}
+
+/**
+ * End the group greeting and show the summary. Anyone not reached yet
+ * counts as skipped.
+ */
+function finishGroupGreeting() {
+    const session = groupSession;
+    if (!session) return;
+
+    clearTimeout(session.timer);
+    session.names.slice(session.index).forEach((name) => session.results.push({ name, greeted: false }));
+    groupSession = null;
+
+    const { groupControls, startGroupButton, greetButton } = getElements();
+    groupControls.hidden = true;
+    startGroupButton.disabled = false;
+    greetButton.disabled = false;
+    showEnhancedMessage(createGroupSummary(session), 'success');
+}
+
+/**
+ * Start greeting everyone in the list, one after another
+ */
+function startGroupGreeting() {
+    if (isProcessing || groupSession) return;
+    const { groupNamesInput, groupStatus, groupControls, startGroupButton, greetButton } = getElements();
+    const checked = parseNameList(groupNamesInput.value).map(validateName);
+    const names = checked.filter(({ errors }) => errors.length === 0).map(({ name }) => name);
+    const rejected = checked.filter(({ errors }) => errors.length > 0).map(({ name }) => name);
+
+    if (names.length === 0) {
+        groupStatus.textContent = t('group.empty');
+        return;
+    }
+    groupStatus.textContent = [
+        rejected.length > 0 && t('group.rejected', { count: rejected.length, names: rejected.join(', ') }),
+        names.length > CONFIG.GROUP.MAX_NAMES && t('group.truncated', { count: CONFIG.GROUP.MAX_NAMES })
+    ].filter(Boolean).join(' ');
+
+    cancelSelfDestruct();
+    groupSession = {
+        names: names.slice(0, CONFIG.GROUP.MAX_NAMES),
+        index: 0,
+        rotateIndex: 0,
+        paused: false,
+        loading: false,
+        timer: null,
+        results: [],
+        startedAt: Date.now()
+    };
+    groupControls.hidden = false;
+    startGroupButton.disabled = true;
+    greetButton.disabled = true;
+    postToServiceWorker({ type: 'REMINDER_DONE' });
+    greetNextInGroup();
+}
+
+/**
+ * Wire up the group greeting panel
+ */
+function initializeGroupGreetings() {
+    const {
+        startGroupButton, importGroupButton, importGroupInput,
+        pauseGroupButton, nextGroupButton, skipGroupButton, stopGroupButton
+    } = getElements();
+    if (!startGroupButton) return;
+
+    startGroupButton.addEventListener('click', startGroupGreeting);
+    importGroupButton.addEventListener('click', () => importGroupInput.click());
+    importGroupInput.addEventListener('change', () => {
+        handleImportGroupCsv(importGroupInput.files[0]);
+        importGroupInput.value = '';
+    });
+    pauseGroupButton.addEventListener('click', toggleGroupPause);
+    nextGroupButton.addEventListener('click', greetNextInGroup);
+    skipGroupButton.addEventListener('click', skipNextInGroup);
+    stopGroupButton.addEventListener('click', finishGroupGreeting);
+}
+
+// ===== SHARING =====
+
+/**
+ * Greeting links carry their payload in the URL fragment, so they work on
+ * static hosting and offline without any server involvement
+ */
+const SHARE_HASH_PREFIX = '#greeting=';
+const MAX_SHARED_NAME_LENGTH = 60;
+
+/**
+ * Size of the exported greeting card image
+ */
+const CARD_SIZE = { width: 1200, height: 630 };
+
+/**
+ * Encode a payload as URL-safe base64 JSON
+ * @param {Object} payload - Data to encode
+ * @returns {string} Encoded payload
+ */
+function encodeSharePayload(payload) {
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a payload made by encodeSharePayload
+ * @param {string} encoded - Encoded payload
+ * @returns {any} Decoded data
+ * @throws {Error} If the payload is not valid base64 JSON
+ */
+function decodeSharePayload(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, (character) => character.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Build a link that replays a greeting for someone else
+ * @param {Object} share - Greeting with name, code, quote and effect
+ * @returns {string} Absolute URL
+ */
+function createShareUrl({ name, code, quote, effect }) {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = SHARE_HASH_PREFIX.slice(1) + encodeSharePayload({
+        n: name,
+        l: code,
+        q: { text: quote.text, author: quote.author },
+        e: effect
+    });
+    return url.toString();
+}
+
+/**
+ * Read a shared greeting from a URL fragment. Links come from anywhere, so
+ * every field is checked and anything unexpected is dropped.
+ * @param {string} hash - The URL fragment, including '#'
+ * @returns {Object|null} Greeting with name, code, quote and effect, or null
+ */
+function readSharedGreeting(hash) {
+    if (!hash.startsWith(SHARE_HASH_PREFIX)) return null;
+
+    try {
+        const data = decodeSharePayload(hash.slice(SHARE_HASH_PREFIX.length));
+        const { name, errors } = validateName(isPlainObject(data) && typeof data.n === 'string' ? data.n.slice(0, MAX_SHARED_NAME_LENGTH) : '');
+        if (errors.length > 0 || !findHelloTranslation(data.l)) return null;
+
+        return {
+            name,
+            code: data.l,
+            quote: isValidQuote(data.q) ? { text: data.q.text.trim(), author: data.q.author.trim() } : null,
+            effect: hasOwn(EFFECTS, data.e) ? data.e : DEFAULT_EFFECT
+        };
+    } catch (error) {
+        console.warn('Ignoring malformed greeting link:', error);
+        return null;
+    }
+}
+
+/**
+ * Create the content for a greeting received through a link
+ * @param {Object} shared - Greeting from readSharedGreeting
+ * @returns {HTMLElement} Greeting element
+ */
+function createReceivedGreeting(shared) {
+    const translation = findHelloTranslation(shared.code);
+    const languageName = getLanguageDisplayName(translation.code, translation.language);
+    const message = composeGreeting({
+        hello: translation.greeting,
+        name: shared.name,
+        language: languageName,
+        visitCount: 0,
+        returning: false,
+        birthday: false
+    });
+
+    return createElement('div', { className: 'enhanced-greeting received-greeting' },
+        createElement('div', { className: 'received-label' }, t('share.received')),
+        createElement('div', { className: 'main-greeting' }, message),
+        createElement('div', { className: 'translation-info' }, t('greeting.translationInfo', { language: languageName })),
+        shared.quote && createQuoteSection(shared.quote)
+    );
+}
+
+/**
+ * Play a received greeting, celebration and self-destruct included
+ * @param {Object} shared - Greeting from readSharedGreeting
+ */
+function replaySharedGreeting(shared) {
+    cancelSelfDestruct();
+    showEnhancedMessage(createReceivedGreeting(shared), 'success');
+    triggerEffect(isCalmMode() ? CALM_EFFECT : shared.effect);
+    startSelfDestruct();
+}
+
+/**
+ * Replay the greeting in the current URL, if there is one
+ */
+function handleSharedGreetingLink() {
+    const shared = readSharedGreeting(window.location.hash);
+    if (!shared) return;
+
+    // Drop the fragment so reloading doesn't replay the greeting
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    replaySharedGreeting(shared);
+}
+
+/**
+ * Share a greeting link, or copy it when the Web Share API is unavailable
+ * @param {Object} share - Greeting with name, code, quote and effect
+ * @param {HTMLElement} status - Element for feedback
+ */
+async function shareGreetingLink(share, status) {
+    const url = createShareUrl(share);
+
+    if (navigator.share) {
+        try {
+            await navigator.share({ title: t('app.title'), text: t('share.text', { name: share.name }), url });
+            return;
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.warn('Web Share failed, copying the link instead:', error);
+        }
+    }
+    try {
+        await navigator.clipboard.writeText(url);
+        status.textContent = t('share.copied');
+    } catch (error) {
+        window.prompt(t('share.copyPrompt'), url);
+    }
+}
+
+/**
+ * Split text into lines that fit a width, breaking between words (or
+ * between characters for scripts without spaces)
+ * @param {CanvasRenderingContext2D} context - Context with the font set
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Line width in pixels
+ * @returns {Array<string>} Lines
+ */
+function wrapText(context, text, maxWidth) {
+    const segments = typeof Intl.Segmenter === 'function'
+        ? Array.from(new Intl.Segmenter(currentLocale, { granularity: 'word' }).segment(text), ({ segment }) => segment)
+        : text.split(/(\s+)/);
+    const lines = [];
+    let line = '';
+
+    segments.forEach((segment) => {
+        const candidate = line + segment;
+        if (line.trim() && context.measureText(candidate).width > maxWidth) {
+            lines.push(line.trim());
+            line = segment.trimStart();
+        } else {
+            line = candidate;
+        }
+    });
+    if (line.trim()) {
+        lines.push(line.trim());
+    }
+    return lines;
+}
+
+/**
+ * Draw a greeting card in the active theme's colors
+ * @param {Object} share - Greeting with message and quote
+ * @returns {HTMLCanvasElement} The card
+ */
+function renderGreetingCard({ message, quote }) {
+    const { width, height } = CARD_SIZE;
+    const canvas = createElement('canvas', { width, height });
+    const context = canvas.getContext('2d');
+    const fontFamily = window.getComputedStyle(document.body).fontFamily;
+    const inset = 40;
+    const textWidth = width - inset * 2 - 120;
+
+    const background = context.createLinearGradient(0, 0, width, height);
+    background.addColorStop(0, getThemeValue('--primary-color'));
+    background.addColorStop(1, getThemeValue('--accent-color'));
+    context.fillStyle = background;
+    context.fillRect(0, 0, width, height);
+
+    context.fillStyle = getThemeValue('--container-bg-color');
+    context.beginPath();
+    if (typeof context.roundRect === 'function') {
+        context.roundRect(inset, inset, width - inset * 2, height - inset * 2, 24);
+    } else {
+        context.rect(inset, inset, width - inset * 2, height - inset * 2);
+    }
+    context.fill();
+
+    context.direction = document.documentElement.dir || 'ltr';
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    let y = inset + 60;
+
+    context.fillStyle = getThemeValue('--text-color-heading');
+    context.font = `bold 44px ${fontFamily}`;
+    wrapText(context, message, textWidth).slice(0, 3).forEach((line) => {
+        context.fillText(line, width / 2, y);
+        y += 58;
+    });
+
+    if (quote) {
+        y += 30;
+        context.fillStyle = getThemeValue('--text-color-main');
+        context.font = `italic 30px ${fontFamily}`;
+        wrapText(context, `"${quote.text}"`, textWidth).slice(0, 4).forEach((line) => {
+            context.fillText(line, width / 2, y);
+            y += 42;
+        });
+        context.fillStyle = getThemeValue('--text-color-medium');
+        context.font = `600 26px ${fontFamily}`;
+        context.fillText(`— ${quote.author}`, width / 2, y + 10);
+    }
+
+    context.fillStyle = getThemeValue('--primary-color');
+    context.font = `24px ${fontFamily}`;
+    context.fillText(t('app.title'), width / 2, height - inset - 50);
+    return canvas;
+}
+
+/**
+ * Share the greeting as a PNG card, or download it when files can't be shared
+ * @param {Object} share - Greeting with message and quote
+ * @param {HTMLElement} status - Element for feedback
+ */
+async function shareGreetingCard(share, status) {
+    const canvas = renderGreetingCard(share);
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) {
+        status.textContent = t('share.cardError');
+        return;
+    }
+
+    const filename = `greeting-${getDateKey()}.png`;
+    const file = new File([blob], filename, { type: 'image/png' });
+    if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        try {
+            await navigator.share({ files: [file], title: t('app.title') });
+            return;
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.warn('Web Share failed, downloading the card instead:', error);
+        }
+    }
+    downloadBlob(filename, blob);
+}
+
+/**
+ * Create the share buttons shown under a greeting
+ * @param {Object} share - Greeting with name, code, quote, effect and message
+ * @returns {HTMLElement} Actions element
+ */
+function createShareActions(share) {
+    const status = createElement('span', { className: 'share-status', 'aria-live': 'polite' });
+    return createElement('div', { className: 'share-actions' },
+        createElement('button', {
+            type: 'button',
+            className: 'secondary-button',
+            onClick: () => shareGreetingLink(share, status)
+        }, t('share.link')),
+        createElement('button', {
+            type: 'button',
+            className: 'secondary-button',
+            onClick: () => shareGreetingCard(share, status)
+        }, t('share.card')),
+        status
+    );
+}
+
+// ===== OFFLINE & UPDATES =====
+
+/**
+ * Set once the user accepts an update, so the page reloads when the new
+ * service worker takes over. The first install also claims the page, and
+ * that must not trigger a reload.
+ */
+let updateAccepted = false;
+
+/**
+ * Offer to reload onto a new version of the app
+ * @param {ServiceWorker} worker - The installed, waiting service worker
+ */
+function showUpdatePrompt(worker) {
+    if (document.querySelector('.update-banner')) return;
+
+    const banner = createElement('div', { className: 'update-banner', role: 'status' },
+        createElement('span', {}, t('update.available')),
+        createElement('button', {
+            type: 'button',
+            className: 'update-accept',
+            onClick: () => {
+                updateAccepted = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+                banner.remove();
+            }
+        }, t('update.reload')),
+        createElement('button', {
+            type: 'button',
+            className: 'update-dismiss',
+            onClick: () => banner.remove()
+        }, t('update.later'))
+    );
+    document.body.appendChild(banner);
+}
+
+/**
+ * Watch a registration for new versions of the service worker
+ * @param {ServiceWorkerRegistration} registration - The app's registration
+ */
+function watchForUpdates(registration) {
+    // Without a controller this is the first install rather than an update
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdatePrompt(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdatePrompt(worker);
+            }
+        });
+    });
+
+    // Installed apps stay open for days; check again whenever they come back
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            registration.update().catch((error) => console.warn('Service worker update check failed:', error));
+        }
+    });
+}
+
+/**
+ * Register the service worker that makes the app work offline
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!updateAccepted) return;
+        updateAccepted = false;
+        window.location.reload();
+    });
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('./sw.js')
+            .then(watchForUpdates)
+            .catch((error) => console.warn('Service worker registration failed:', error));
+    });
+}
+
+// ===== BACKGROUND SYNC =====
+
+/**
+ * Timer for the outbox retry loop used when Background Sync is unavailable
+ */
+let outboxRetryTimer = null;
+
+/**
+ * Requests waiting for a service worker to control the page. On the first
+ * visit nothing does until the newly installed worker activates.
+ */
+let uncontrolledOutbox = [];
+
+/**
+ * Send a message to the service worker controlling the page
+ * @param {Object} message - Message to send
+ * @returns {boolean} Whether there was a service worker to receive it
+ */
+function postToServiceWorker(message) {
+    const controller = 'serviceWorker' in navigator && navigator.serviceWorker.controller;
+    if (!controller) return false;
+
+    controller.postMessage(message);
+    return true;
+}
+
+/**
+ * Queue a request in the service worker's outbox, to be replayed when the
+ * connection returns
+ * @param {Object} job - Request with kind, key (for de-duplication), url,
+ *   method and an optional JSON body
+ */
+function queueRequest(job) {
+    if (!('serviceWorker' in navigator)) return;
+
+    if (!postToServiceWorker({ type: 'QUEUE_REQUEST', job })) {
+        uncontrolledOutbox = [...uncontrolledOutbox.filter(({ key }) => key !== job.key), job];
+        return;
+    }
+    if (!('SyncManager' in window)) {
+        scheduleOutboxRetry();
+    }
+}
+
+/**
+ * Hand requests queued before a service worker controlled the page to the
+ * worker that now does
+ */
+function flushUncontrolledOutbox() {
+    const jobs = uncontrolledOutbox;
+    uncontrolledOutbox = [];
+    jobs.forEach(queueRequest);
+}
+
+/**
+ * Keep asking the service worker to replay the outbox until it is empty.
+ * Stands in for Background Sync in browsers that lack it.
+ */
+function scheduleOutboxRetry() {
+    if (outboxRetryTimer) return;
+
+    outboxRetryTimer = setTimeout(() => {
+        outboxRetryTimer = null;
+        if (navigator.onLine) {
+            postToServiceWorker({ type: 'REPLAY_OUTBOX' });
+        } else {
+            scheduleOutboxRetry();
+        }
+    }, CONFIG.SYNC.RETRY_INTERVAL);
+}
+
+/**
+ * Report a greeting to the configured endpoint, queueing it when offline
+ * @param {Object} greeting - Name, language, quote and effect of the greeting
+ */
+async function reportGreeting(greeting) {
+    const url = CONFIG.SYNC.GREETING_URL;
+    if (!url) return;
+
+    const body = { ...greeting, at: new Date().toISOString() };
+    const job = { kind: 'greeting', key: `greeting:${body.at}`, url, method: 'POST', body };
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (response.status >= 500) {
+            queueRequest(job);
+        }
+    } catch (error) {
+        queueRequest(job);
+    }
+}
+
+/**
+ * Use a quote fetched by a replayed request as the quote of the day, if it
+ * is still that day
+ * @param {Object} job - Finished quote job with dateKey and result
+ */
+function applySyncedQuote(job) {
+    const quote = isPlainObject(job.result)
+        ? { text: job.result.content, author: job.result.author }
+        : null;
+    if (!isValidQuote(quote) || job.dateKey !== getDateKey()) return;
+
+    saveToStorage(STORAGE_KEYS.DAILY_QUOTE, { dateKey: job.dateKey, quote });
+}
+
+/**
+ * Handle outbox progress and notification actions reported by the service worker
+ * @param {MessageEvent} event - Message from the service worker
+ */
+function handleServiceWorkerMessage(event) {
+    const message = event.data || {};
+
+    if (message.type === 'OUTBOX_REPLAYED') {
+        if (message.results > 0) {
+            postToServiceWorker({ type: 'CLAIM_RESULTS' });
+        }
+        if (message.pending > 0 && !('SyncManager' in window)) {
+            scheduleOutboxRetry();
+        }
+    } else if (message.type === 'OUTBOX_RESULTS') {
+        message.jobs.filter((job) => job.kind === 'quote').forEach(applySyncedQuote);
+    } else if (message.type === 'GREET') {
+        greetStoredName();
+    }
+}
+
+/**
+ * Listen to the service worker and pick up anything replayed while the
+ * app was closed
+ */
+function initializeBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+    navigator.serviceWorker.addEventListener('controllerchange', flushUncontrolledOutbox);
+    postToServiceWorker({ type: 'CLAIM_RESULTS' });
+
+    if (!('SyncManager' in window)) {
+        // Coming back online is the best moment to retry
+        window.addEventListener('online', () => postToServiceWorker({ type: 'REPLAY_OUTBOX' }));
+        postToServiceWorker({ type: 'REPLAY_OUTBOX' });
+    }
+}
+
+// ===== REMINDERS =====
+
+/**
+ * Reminder times as the HH:MM a time input produces
+ */
+const REMINDER_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Check if this browser can show reminder notifications
+ * @returns {boolean} True if notifications and service workers are supported
+ */
+function supportsReminders() {
+    return 'Notification' in window && 'serviceWorker' in navigator;
+}
+
+/**
+ * Get the daily reminder settings. Reminders count as off once
+ * notification permission has been revoked.
+ * @returns {Object} Settings with enabled and time (HH:MM)
+ */
+function getReminderSettings() {
+    const stored = loadFromStorage(STORAGE_KEYS.REMINDER, {}) || {};
     return {
-        nameInput: document.getElementById('nameInput'),
-        greetButton: document.getElementById('greetButton'),
-        effectToggle: document.getElementById('effectToggle'),
-        greetingMessage: document.getElementById('greetingMessage')
+        enabled: stored.enabled === true && supportsReminders() && Notification.permission === 'granted',
+        time: REMINDER_TIME_PATTERN.test(stored.time) ? stored.time : CONFIG.REMINDERS.DEFAULT_TIME
+    };
+}
+
+/**
+ * Send the reminder settings and their text to the service worker, which
+ * schedules the notifications
+ */
+function sendReminderToServiceWorker() {
+    if (!supportsReminders()) return;
+
+    const reminder = {
+        ...getReminderSettings(),
+        snoozeMinutes: CONFIG.REMINDERS.SNOOZE_MINUTES,
+        text: {
+            title: t('app.title'),
+            body: t('reminder.body'),
+            greet: t('reminder.greet'),
+            snooze: t('reminder.snooze')
+        }
     };
+    navigator.serviceWorker.ready.then((registration) => {
+        registration.active.postMessage({ type: 'SET_REMINDER', reminder });
+    });
+}
+
+/**
+ * Update and persist reminder settings, then reschedule
+ * @param {Object} changes - Settings to change
+ * @returns {Object} The full, validated settings
+ */
+function saveReminderSettings(changes) {
+    saveToStorage(STORAGE_KEYS.REMINDER, { ...getReminderSettings(), ...changes });
+    const settings = getReminderSettings();
+    saveToStorage(STORAGE_KEYS.REMINDER, settings);
+    sendReminderToServiceWorker();
+    return settings;
+}
+
+/**
+ * Ask for notification permission and turn reminders on if granted
+ * @returns {Promise<boolean>} Whether reminders are now on
+ */
+async function enableReminders() {
+    const { reminderStatus } = getElements();
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+        reminderStatus.textContent = t('reminder.denied');
+        return false;
+    }
+
+    reminderStatus.textContent = '';
+    return saveReminderSettings({ enabled: true }).enabled;
+}
+
+/**
+ * Reflect the reminder settings in the settings dialog
+ */
+function syncReminderControls() {
+    const { reminderToggle, reminderTimeInput } = getElements();
+    if (!reminderToggle) return;
+
+    const settings = getReminderSettings();
+    reminderToggle.checked = settings.enabled;
+    reminderTimeInput.value = settings.time;
+    reminderTimeInput.disabled = !settings.enabled;
+}
+
+/**
+ * Wire up the reminder settings, and reschedule so reminders missed while
+ * the app was closed are caught up
+ */
+function initializeReminderControls() {
+    const { reminderToggle, reminderTimeInput } = getElements();
+    if (!reminderToggle) return;
+
+    if (!supportsReminders()) {
+        reminderToggle.closest('fieldset').hidden = true;
+        return;
+    }
+
+    syncReminderControls();
+    reminderToggle.addEventListener('change', async () => {
+        if (reminderToggle.checked) {
+            await enableReminders();
+        } else {
+            saveReminderSettings({ enabled: false });
+        }
+        syncReminderControls();
+    });
+    reminderTimeInput.addEventListener('change', () => {
+        saveReminderSettings({ time: reminderTimeInput.value });
+        syncReminderControls();
+    });
+
+    if (getReminderSettings().enabled) {
+        sendReminderToServiceWorker();
+    }
 }
 
+// ===== INSTALL & ONBOARDING =====
+
+/**
+ * The browser's deferred install prompt, kept until the user asks to install
+ */
+let deferredInstallPrompt = null;
+
 /**
- * Validate user input
- * @param {string} name - The name to validate
- * @returns {boolean} True if valid, false otherwise
+ * Check if the app is running as an installed app
+ * @returns {boolean} True in standalone display mode
  */
-function validateInput(name) {
-    if (name === '') {
-        showMessage('Please enter your name!', 'error');
-        return false;
-    }
-    return true;
+function isStandalone() {
+    return window.matchMedia('(display-mode: standalone)').matches || navigator.standalone === true;
 }
 
 /**
- * Set button loading state
- * @param {HTMLElement} button - The button element
- * @param {boolean} isLoading - Whether to show loading state
+ * Check if this is an iOS device, where installing is a manual step in
+ * Safari's share menu rather than a prompt
+ * @returns {boolean} True on iPhone, iPod and iPad
  */
-function setButtonLoading(button, isLoading) {
-    if (isLoading) {
-        button.disabled = true;
-        button.innerHTML = '<div class="spinner"></div>';
-    } else {
-        button.disabled = false;
-        button.innerHTML = 'Greet Me!';
-    }
+function isIosDevice() {
+    // iPadOS reports itself as a Mac, but Macs have no touch screen
+    return /iphone|ipad|ipod/i.test(navigator.userAgent)
+        || (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
 }
 
 /**
- * Generate a time-appropriate greeting
- * @param {string} name - The user's name
- * @returns {string} The personalized greeting
+ * Get what is known about installing on this device
+ * @returns {Object} State with installed and dismissedAt
  */
-function generateGreeting(name) {
-    const userData = getStoredUserData();
-    const isReturning = isReturningUser() && userData.visitCount > 1;
-    
-    // Special welcome back message for returning users
-    if (isReturning) {
-        const welcomeBackMessages = [
-            `Welcome back, ${name}! Great to see you again! 🎉`,
-            `${name}! You're back! Hope you're having an amazing day! ✨`,
-            `Hey ${name}! Welcome back to the party! 🎊`,
-            `${name}! So good to see you return! Ready for more fun? 🚀`
-        ];
-        const randomIndex = Math.floor(Math.random() * welcomeBackMessages.length);
-        return welcomeBackMessages[randomIndex];
-    }
-    
-    // Regular time-based greeting for new users or first-time visits
-    const currentHour = new Date().getHours();
-    let greetingArray;
-    
-    if (currentHour < 12) {
-        greetingArray = GREETINGS.morning;
-    } else if (currentHour < 18) {
-        greetingArray = GREETINGS.afternoon;
-    } else {
-        greetingArray = GREETINGS.evening;
-    }
-    
-    const randomIndex = Math.floor(Math.random() * greetingArray.length);
-    return greetingArray[randomIndex].replace('{name}', name);
+function getInstallState() {
+    return loadFromStorage(STORAGE_KEYS.INSTALL, {}) || {};
 }
 
 /**
- * Trigger the selected visual effect
- * @param {boolean} useConfetti - True for confetti, false for fireworks
+ * Check if installing should be offered right now
+ * @returns {boolean} True if installable and not recently dismissed
  */
-function triggerEffect(useConfetti) {
-    if (useConfetti) {
-        triggerConfetti();
-    } else {
-        triggerFireworks();
-    }
+function canOfferInstall() {
+    const { installed, dismissedAt } = getInstallState();
+    if (installed || isStandalone()) return false;
+    if (dismissedAt && Date.now() - new Date(dismissedAt).getTime() < CONFIG.INSTALL.DISMISS_COOLDOWN) return false;
+    return Boolean(deferredInstallPrompt) || isIosDevice();
 }
 
 /**
- * Display a message to the user
- * @param {string} message - The message to display
- * @param {string} type - The message type ('success', 'error', or 'loading')
+ * Remove the install banner, if shown
  */
-function showMessage(message, type = 'success') {
-    const messageElement = document.getElementById('greetingMessage');
-    messageElement.textContent = message;
-    messageElement.className = `message visible ${type}`;
-    
-    // Reset animation by briefly removing and re-adding the class
-    setTimeout(() => {
-        messageElement.classList.remove('visible');
-        setTimeout(() => {
-            messageElement.classList.add('visible');
-        }, 10);
-    }, 0);
+function hideInstallBanner() {
+    const banner = document.querySelector('.install-banner');
+    if (banner) {
+        banner.remove();
+    }
 }
 
 /**
- * Display enhanced message with HTML content
- * @param {string} htmlContent - The HTML content to display
- * @param {string} type - The message type
+ * Hide the install offer until the cooldown has passed
  */
-function showEnhancedMessage(htmlContent, type = 'success') {
-    const messageElement = document.getElementById('greetingMessage');
-    messageElement.innerHTML = htmlContent;
-    messageElement.className = `message visible ${type} enhanced`;
-    
-    // Reset animation by briefly removing and re-adding the class
-    setTimeout(() => {
-        messageElement.classList.remove('visible');
-        setTimeout(() => {
-            messageElement.classList.add('visible');
-        }, 10);
-    }, 0);
+function dismissInstall() {
+    saveToStorage(STORAGE_KEYS.INSTALL, { ...getInstallState(), dismissedAt: new Date().toISOString() });
+    hideInstallBanner();
+    renderOnboardingInstall();
 }
 
-// ===== VISUAL EFFECTS =====
-
 /**
- * Create and animate confetti particles
+ * Show the browser's install prompt
  */
-function triggerConfetti() {
-    playConfettiSound();
-
-    let confettiContainer = getOrCreateContainer('confetti-container');
-    
-    for (let i = 0; i < CONFIG.CONFETTI.COUNT; i++) {
-        const confetti = document.createElement('div');
-        confetti.className = 'confetti';
+async function promptInstall() {
+    const promptEvent = deferredInstallPrompt;
+    if (!promptEvent) return;
 
-        // Randomize properties
-        confetti.style.left = Math.random() * 100 + 'vw';
-        confetti.style.animationDelay = Math.random() * 3 + 's';
-        confetti.style.backgroundColor = CONFIG.CONFETTI.COLORS[Math.floor(Math.random() * CONFIG.CONFETTI.COLORS.length)];
-        confetti.style.transform = `rotate3d(${Math.random() * 2 - 1}, ${Math.random() * 2 - 1}, ${Math.random() * 2 - 1}, ${Math.random() * 360}deg)`;
-
-        confettiContainer.appendChild(confetti);
+    // A deferred prompt can only be used once
+    deferredInstallPrompt = null;
+    hideInstallBanner();
+    promptEvent.prompt();
+    const { outcome } = await promptEvent.userChoice;
+    if (outcome === 'dismissed') {
+        dismissInstall();
+    } else {
+        renderOnboardingInstall();
     }
-
-    // Clean up after animation
-    setTimeout(() => {
-        cleanupContainer(confettiContainer);
-    }, CONFIG.CONFETTI.CLEANUP_DELAY);
 }
+
 /**
- * Create and animate fireworks
+ * Create the install offer suited to this platform: an install button
+ * where the browser supports it, instructions on iOS
+ * @returns {Array<HTMLElement>} Offer text and controls
  */
-function triggerFireworks() {
-    let fireworksContainer = getOrCreateContainer('fireworks-container');
-    
-    for (let i = 0; i < CONFIG.FIREWORKS.COUNT; i++) {
-        setTimeout(() => {
-            createFirework(fireworksContainer, CONFIG.FIREWORKS.COLORS);
-        }, i * CONFIG.FIREWORKS.STAGGER_DELAY);
+function createInstallOffer() {
+    if (!deferredInstallPrompt) {
+        return [createElement('span', {}, t('install.ios'))];
     }
-    
-    // Clean up after animation completes
-    setTimeout(() => {
-        cleanupContainer(fireworksContainer);
-    }, CONFIG.FIREWORKS.CLEANUP_DELAY);
+    return [
+        createElement('span', {}, t('install.prompt')),
+        createElement('button', { type: 'button', className: 'install-accept', onClick: promptInstall }, t('install.accept'))
+    ];
 }
 
 /**
- * Get or create a container element
- * @param {string} className - The container class name
- * @returns {HTMLElement} The container element
+ * Show the install banner when installing can be offered and onboarding
+ * isn't already offering it
  */
-function getOrCreateContainer(className) {
-    let container = document.querySelector(`.${className}`);
-    if (!container) {
-        container = document.createElement('div');
-        container.className = className;
-        document.body.appendChild(container);
-    }
-    return container;
+function showInstallBanner() {
+    const { onboardingDialog } = getElements();
+    if (!canOfferInstall() || document.querySelector('.install-banner') || (onboardingDialog && onboardingDialog.open)) return;
+
+    document.body.appendChild(createElement('div', { className: 'install-banner', role: 'region', 'aria-label': t('install.label') },
+        createInstallOffer(),
+        createElement('button', { type: 'button', className: 'install-dismiss', onClick: dismissInstall }, t('install.later'))
+    ));
 }
 
 /**
- * Clean up container by removing all children
- * @param {HTMLElement} container - The container to clean
+ * Remember that the app was installed and stop offering it
  */
-function cleanupContainer(container) {
-    if (container && container.parentNode) {
-        container.innerHTML = '';
-    }
+function handleAppInstalled() {
+    deferredInstallPrompt = null;
+    saveToStorage(STORAGE_KEYS.INSTALL, { ...getInstallState(), installed: true });
+    hideInstallBanner();
+    renderOnboardingInstall();
 }
 
-function createFirework(container, colors) {
-    const firework = document.createElement('div');
-    const randomColor = colors[Math.floor(Math.random() * colors.length)];
-    
-    firework.className = `firework ${randomColor}`;
-    
-    // Random horizontal position
-    const randomX = Math.random() * window.innerWidth;
-    firework.style.left = randomX + 'px';
-    
-    container.appendChild(firework);
-    
-    // Create sparks when firework explodes
-    setTimeout(() => {
-        createSparks(container, randomX, window.innerHeight * 0.2, randomColor);
-        playExplosionSound(); // Add explosion sound
-    }, 225); // Timing matches the firework explosion
-    
-    // Remove firework element after animation
-    setTimeout(() => {
-        if (firework.parentNode) {
-            firework.parentNode.removeChild(firework);
-        }
-    }, 1500);
-}
+/**
+ * Listen for the browser's install events and offer installing
+ */
+function initializeInstallPrompt() {
+    window.addEventListener('beforeinstallprompt', (event) => {
+        event.preventDefault();
+        deferredInstallPrompt = event;
 
-function createSparks(container, x, y, color) {
-    const numberOfSparks = 25; // Much more sparks for dramatic explosion
-    
-    for (let i = 0; i < numberOfSparks; i++) {
-        const spark = document.createElement('div');
-        spark.className = 'spark';
-        spark.style.backgroundColor = getColorValue(color);
-        spark.style.left = x + 'px';
-        spark.style.top = y + 'px';
-        
-        // Random direction for each spark with more variation
-        const angle = (i / numberOfSparks) * 2 * Math.PI + (Math.random() - 0.5) * 0.5;
-        const distance = 80 + Math.random() * 200; // Much larger explosion radius
-        const dx = Math.cos(angle) * distance;
-        const dy = Math.sin(angle) * distance;
-        
-        spark.style.setProperty('--spark-dx', dx + 'px');
-        spark.style.setProperty('--spark-dy', dy + 'px');
-        
-        container.appendChild(spark);
-        
-        // Remove spark after animation
-        setTimeout(() => {
-            if (spark.parentNode) {
-                spark.parentNode.removeChild(spark);
-            }
-        }, 1500);
-    }
-    
-    // Add secondary explosion layer for more dramatic effect
-    setTimeout(() => {
-        createSecondaryExplosion(container, x, y, color);
-    }, 200);
-}
+        // The browser only asks when the app isn't installed, e.g. after it was removed
+        const { installed, ...state } = getInstallState();
+        if (installed) {
+            saveToStorage(STORAGE_KEYS.INSTALL, state);
+        }
+        renderOnboardingInstall();
+        showInstallBanner();
+    });
+    window.addEventListener('appinstalled', handleAppInstalled);
 
-function createSecondaryExplosion(container, x, y, color) {
-    const numberOfSecondaryParticles = 15;
-    
-    for (let i = 0; i < numberOfSecondaryParticles; i++) {
-        const particle = document.createElement('div');
-        particle.className = 'spark';
-        particle.style.backgroundColor = getColorValue(color);
-        particle.style.left = x + 'px';
-        particle.style.top = y + 'px';
-        particle.style.opacity = '0.7';
-        
-        // Smaller, faster particles for secondary explosion
-        const angle = Math.random() * 2 * Math.PI;
-        const distance = 40 + Math.random() * 120;
-        const dx = Math.cos(angle) * distance;
-        const dy = Math.sin(angle) * distance;
-        
-        particle.style.setProperty('--spark-dx', dx + 'px');
-        particle.style.setProperty('--spark-dy', dy + 'px');
-        
-        container.appendChild(particle);
-        
-        setTimeout(() => {
-            if (particle.parentNode) {
-                particle.parentNode.removeChild(particle);
-            }
-        }, 1200);
-    }
+    // iOS never fires beforeinstallprompt
+    showInstallBanner();
 }
 
-function getColorValue(colorName) {
-    const colorMap = {
-        red: '#ff3030',
-        blue: '#3074ff',
-        green: '#30ff30',
-        yellow: '#ffff30',
-        purple: '#a030ff',
-        pink: '#ff30a0'
-    };
-    return colorMap[colorName] || '#ff3030';
+/**
+ * Check if this is the first run on this device
+ * @returns {boolean} True if onboarding hasn't been completed or skipped
+ */
+function shouldShowOnboarding() {
+    return !loadFromStorage(STORAGE_KEYS.ONBOARDING_COMPLETE, false) && getProfiles().length === 0;
 }
 
-// In app.js, add this new function
-
-function playConfettiSound() {
-    try {
-        const ctx = initAudioContext();
-        if (!ctx) return;
-
-        // --- Part 1: The "Pop" Sound ---
-        const popOscillator = ctx.createOscillator();
-        const popGain = ctx.createGain();
-        popOscillator.connect(popGain);
-        popGain.connect(ctx.destination);
+/**
+ * Show the install offer inside the onboarding dialog, when there is one
+ */
+function renderOnboardingInstall() {
+    const { onboardingInstall } = getElements();
+    if (!onboardingInstall) return;
 
-        popOscillator.type = 'sine';
-        popOscillator.frequency.setValueAtTime(440, ctx.currentTime); // A nice clean pitch
-        popGain.gain.setValueAtTime(0.2, ctx.currentTime); // Start with some volume
-        popGain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.3); // Fade out quickly
+    onboardingInstall.hidden = !canOfferInstall();
+    renderContent(onboardingInstall, onboardingInstall.hidden ? [] : createInstallOffer());
+}
 
-        popOscillator.start(ctx.currentTime);
-        popOscillator.stop(ctx.currentTime + 0.3);
+/**
+ * Save the name and effect chosen during onboarding
+ * @param {Event} event - Form submit event
+ */
+function finishOnboarding(event) {
+    event.preventDefault();
+    const { onboardingDialog, onboardingNameInput, onboardingEffectSelect, onboardingError } = getElements();
+    const { name, errors } = validateName(onboardingNameInput.value);
 
-        // --- Part 2: The "Rustle" Sound ---
-        const bufferSize = ctx.sampleRate * 1.5; // 1.5 seconds of noise
-        const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
-        const data = buffer.getChannelData(0);
+    if (errors.length > 0) {
+        onboardingError.textContent = errors.map(({ key, params }) => t(key, params)).join(' ');
+        onboardingNameInput.focus();
+        return;
+    }
 
-        // Generate white noise
-        for (let i = 0; i < bufferSize; i++) {
-            data[i] = Math.random() * 2 - 1;
-        }
+    saveUserPreferences(name, onboardingEffectSelect.value);
+    applyActiveProfile();
+    onboardingDialog.close();
+}
 
-        const rustleSource = ctx.createBufferSource();
-        rustleSource.buffer = buffer;
+/**
+ * Run the first-run onboarding: name, favourite effect and, where
+ * possible, installing the app
+ */
+function initializeOnboarding() {
+    const { onboardingDialog, onboardingForm, onboardingEffectSelect, skipOnboardingButton } = getElements();
+    // Someone opening a greeting sent to them, or a shortcut, gets that first;
+    // onboarding waits for the next plain launch
+    if (!onboardingDialog || !shouldShowOnboarding() || hasLaunchContent()) return;
 
-        const rustleGain = ctx.createGain();
-        const rustleFilter = ctx.createBiquadFilter();
+    renderContent(onboardingEffectSelect, [
+        ...Object.entries(EFFECTS).map(([id, effect]) => createElement('option', { value: id }, `${effect.icon} ${t(effect.labelKey)}`)),
+        createElement('option', { value: RANDOM_EFFECT }, `🎲 ${t('effect.random')}`)
+    ]);
+    onboardingEffectSelect.value = DEFAULT_EFFECT;
+    renderOnboardingInstall();
 
-        rustleSource.connect(rustleFilter);
-        rustleFilter.connect(rustleGain);
-        rustleGain.connect(ctx.destination);
+    onboardingForm.addEventListener('submit', finishOnboarding);
+    skipOnboardingButton.addEventListener('click', () => onboardingDialog.close());
+    // Finishing, skipping and Escape all end onboarding for good
+    onboardingDialog.addEventListener('close', () => {
+        saveToStorage(STORAGE_KEYS.ONBOARDING_COMPLETE, true);
+        showInstallBanner();
+    }, { once: true });
+    onboardingDialog.showModal();
+}
 
-        // Use a high-pass filter to make it sound like a "shhh"
-        rustleFilter.type = 'highpass';
-        rustleFilter.frequency.setValueAtTime(1500, ctx.currentTime);
+// ===== LAUNCH ACTIONS =====
 
-        // Fade the rustle in and out
-        rustleGain.gain.setValueAtTime(0, ctx.currentTime);
-        rustleGain.gain.linearRampToValueAtTime(0.05, ctx.currentTime + 0.1); // Quick fade in
-        rustleGain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 1.5); // Slow fade out
+/**
+ * Actions the app can be opened with through `?action=`, used by manifest
+ * shortcuts and notifications
+ */
+const LAUNCH_ACTIONS = {
+    greet: () => greetStoredName(),
+    history: () => openHistory()
+};
 
-        rustleSource.start(ctx.currentTime);
-        rustleSource.stop(ctx.currentTime + 1.5);
+/**
+ * URL parameters read at startup. `title` and `text` come from the Web
+ * Share Target in the manifest.
+ */
+const LAUNCH_PARAMS = ['action', 'effect', 'lang', 'title', 'text'];
 
-    } catch (error) {
-        console.log('Confetti sound failed', error);
-    }
-}
-// ===== AUDIO SYSTEM =====
+/**
+ * Greeting language code the app was opened with through `?lang=`. It is
+ * never saved and only applies to the next greeting.
+ */
+let launchGreetingCode = null;
 
 /**
- * Initialize audio context with error handling
- * @returns {AudioContext|null} The audio context or null if unavailable
+ * Take the greeting language the app was opened with, once
+ * @returns {Object|null} The translation, or null if there is none
  */
-function initAudioContext() {
-    try {
-        if (!audioContext) {
-            audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        }
-        return audioContext;
-    } catch (error) {
-        console.warn('Audio context not supported:', error);
-        return null;
-    }
+function takeLaunchTranslation() {
+    const translation = launchGreetingCode ? findHelloTranslation(launchGreetingCode) : null;
+    launchGreetingCode = null;
+    return translation || null;
 }
 
 /**
- * Play explosion sound effect
+ * Greet the stored name, or ask for one if there is none
  */
-function playExplosionSound() {
-    try {
-        const ctx = initAudioContext();
-        if (!ctx) return;
-        
-        // Create explosion sound using Web Audio API
-        const oscillator = ctx.createOscillator();
-        const gainNode = ctx.createGain();
-        const filter = ctx.createBiquadFilter();
-        
-        // Connect audio nodes
-        oscillator.connect(filter);
-        filter.connect(gainNode);
-        gainNode.connect(ctx.destination);
-        
-        // Configure explosion sound characteristics
-        oscillator.type = 'sawtooth';
-        oscillator.frequency.setValueAtTime(150, ctx.currentTime);
-        oscillator.frequency.exponentialRampToValueAtTime(30, ctx.currentTime + 0.3);
-        
-        // Add low-pass filter for realistic boom
-        filter.type = 'lowpass';
-        filter.frequency.setValueAtTime(800, ctx.currentTime);
-        filter.frequency.exponentialRampToValueAtTime(100, ctx.currentTime + 0.4);
-        
-        // Volume envelope for explosion effect
-        gainNode.gain.setValueAtTime(0, ctx.currentTime);
-        gainNode.gain.linearRampToValueAtTime(0.3, ctx.currentTime + 0.01);
-        gainNode.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.5);
-        
-        // Start and stop the sound
-        oscillator.start(ctx.currentTime);
-        oscillator.stop(ctx.currentTime + 0.5);
-        
-        // Add crackling effect
-        setTimeout(() => {
-            playCrackleSound();
-        }, 100);
-        
-    } catch (error) {
-        console.warn('Audio not supported or blocked:', error);
+function greetStoredName() {
+    const { nameInput } = getElements();
+    const { name } = getStoredUserData();
+    if (!name) {
+        nameInput.focus();
+        return;
     }
-}
 
-function playCrackleSound() {
-    try {
-        const ctx = audioContext;
-        if (!ctx) return;
-        
-        // Create crackling/sparkling sound
-        const bufferSize = ctx.sampleRate * 0.3;
-        const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
-        const data = buffer.getChannelData(0);
-        
-        // Generate white noise for crackling
-        for (let i = 0; i < bufferSize; i++) {
-            data[i] = (Math.random() * 2 - 1) * 0.1;
-        }
-        
-        const source = ctx.createBufferSource();
-        const gainNode = ctx.createGain();
-        const filter = ctx.createBiquadFilter();
-        
-        source.buffer = buffer;
-        source.connect(filter);
-        filter.connect(gainNode);
-        gainNode.connect(ctx.destination);
-        
-        // High-pass filter for crackling effect
-        filter.type = 'highpass';
-        filter.frequency.setValueAtTime(2000, ctx.currentTime);
-        
-        // Quick fade in/out
-        gainNode.gain.setValueAtTime(0, ctx.currentTime);
-        gainNode.gain.linearRampToValueAtTime(0.05, ctx.currentTime + 0.02);
-        gainNode.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.3);
-        
-        source.start(ctx.currentTime);
-        source.stop(ctx.currentTime + 0.3);
-        
-    } catch (error) {
-        console.log('Crackle sound failed');
-    }
+    nameInput.value = name;
+    greetUser();
 }
 
-// ===== JAMES BOND SELF-DESTRUCT SYSTEM =====
-
 /**
- * Start the self-destruct countdown sequence
+ * Pick a name out of text shared to the app: the first non-empty line
+ * @param {string} text - Shared text
+ * @returns {string} The name, or '' if there is none
  */
-function startSelfDestruct() {
-    setTimeout(() => {
-        showCountdown();
-    }, CONFIG.SELF_DESTRUCT_DELAY);
+function getSharedName(text) {
+    const line = text.split(/\r?\n/).map((part) => part.trim()).find(Boolean) || '';
+    return line.slice(0, MAX_SHARED_NAME_LENGTH);
 }
 
 /**
- * Display countdown with original message
+ * Read the launch parameters, ignoring unknown or invalid values
+ * @param {string} search - The URL query string
+ * @returns {Object} Launch options with action, effect, language and sharedName
  */
-function showCountdown() {
-    const messageElement = document.getElementById('greetingMessage');
-    let countdown = CONFIG.COUNTDOWN_DURATION;
-    
-    // Store original greeting message HTML to preserve formatting
-    const originalMessageHTML = messageElement.innerHTML;
-    
-    const countdownInterval = setInterval(() => {
-        // Keep original greeting HTML and add countdown below it
-        messageElement.innerHTML = `${originalMessageHTML}<div class="countdown-text">This message will self-destruct in ${countdown}...</div>`;
-        messageElement.className = 'message visible countdown enhanced';
-        
-        countdown--;
-        
-        if (countdown < 0) {
-            clearInterval(countdownInterval);
-            destroyMessage();
-        }
-    }, 1000);
+function readLaunchParams(search) {
+    const params = new URLSearchParams(search);
+    const action = params.get('action');
+    const effect = params.get('effect');
+    const language = params.get('lang');
+
+    return {
+        action: hasOwn(LAUNCH_ACTIONS, action) ? action : null,
+        effect: hasOwn(EFFECTS, effect) || effect === RANDOM_EFFECT ? effect : null,
+        // A greeting language, not the interface locale
+        language: findHelloTranslation(language) ? language : null,
+        // Apps differ in which field carries shared text
+        sharedName: getSharedName(params.get('text') || params.get('title') || '')
+    };
 }
 
 /**
- * Execute message destruction sequence
+ * Check whether the app was opened to show something: a shared greeting,
+ * shared text or a launch action
+ * @returns {boolean} True if the URL asks for content on launch
  */
-function destroyMessage() {
-    const messageElement = document.getElementById('greetingMessage');
-    
-    // Add destruction animation
-    messageElement.textContent = '💥 DESTROYED 💥';
-    messageElement.className = 'message visible destroyed';
-    
-    // Play destruction sound
-    playDestructionSound();
-    
-    // Clear message after destruction animation
-    setTimeout(() => {
-        messageElement.textContent = '';
-        messageElement.className = 'message';
-    }, 2000);
+function hasLaunchContent() {
+    const { action, sharedName } = readLaunchParams(window.location.search);
+    return Boolean(action || sharedName || readSharedGreeting(window.location.hash));
 }
 
 /**
- * Play dramatic destruction sound effect
+ * Apply the parameters the app was opened with, then drop them from the
+ * URL so a reload doesn't repeat them
  */
-function playDestructionSound() {
-    try {
-        const ctx = initAudioContext();
-        if (!ctx) return;
-        
-        // Create destruction sound - more intense than fireworks
-        const oscillator = ctx.createOscillator();
-        const gainNode = ctx.createGain();
-        const filter = ctx.createBiquadFilter();
-        
-        oscillator.connect(filter);
-        filter.connect(gainNode);
-        gainNode.connect(ctx.destination);
-        
-        // Deep explosive sound
-        oscillator.type = 'sawtooth';
-        oscillator.frequency.setValueAtTime(200, ctx.currentTime);
-        oscillator.frequency.exponentialRampToValueAtTime(20, ctx.currentTime + 0.8);
-        
-        filter.type = 'lowpass';
-        filter.frequency.setValueAtTime(1000, ctx.currentTime);
-        filter.frequency.exponentialRampToValueAtTime(50, ctx.currentTime + 0.8);
-        
-        // Longer, more dramatic explosion
-        gainNode.gain.setValueAtTime(0, ctx.currentTime);
-        gainNode.gain.linearRampToValueAtTime(0.4, ctx.currentTime + 0.02);
-        gainNode.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.8);
-        
-        oscillator.start(ctx.currentTime);
-        oscillator.stop(ctx.currentTime + 0.8);
-        
-    } catch (error) {
-        console.warn('Destruction sound failed:', error);
+function handleLaunchParams() {
+    const { action, effect, language, sharedName } = readLaunchParams(window.location.search);
+
+    const params = new URLSearchParams(window.location.search);
+    LAUNCH_PARAMS.forEach((param) => params.delete(param));
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+
+    launchGreetingCode = language;
+    if (effect) {
+        setSelectedEffect(effect);
+    }
+
+    if (sharedName) {
+        getElements().nameInput.value = sharedName;
+        greetUser();
+    } else if (action) {
+        LAUNCH_ACTIONS[action]();
     }
 }
 
 // ===== INITIALIZATION =====
 
+/**
+ * Show a personal placeholder for returning users
+ */
+function updateNamePlaceholder() {
+    const { nameInput } = getElements();
+    const userData = getStoredUserData();
+    
+    nameInput.placeholder = userData.name && isReturningUser()
+        ? t('input.welcomeBack', { name: userData.name })
+        : t('input.placeholder');
+}
+
 /**
  * Initialize user preferences from local storage
  */
@@ -868,30 +7015,16 @@ function initializeUserPreferences() {
     // Pre-fill name input for returning users
     if (userData.name && isReturningUser()) {
         elements.nameInput.value = userData.name;
-        elements.nameInput.placeholder = `Welcome back, ${userData.name}!`;
     }
+    updateNamePlaceholder();
     
     // Restore effect preference
-    elements.effectToggle.checked = userData.effectPreference;
+    setSelectedEffect(userData.effectPreference);
     
     // Show a subtle welcome back indicator
     if (isReturningUser() && userData.visitCount > 1) {
-        const welcomeIndicator = document.createElement('div');
-        welcomeIndicator.className = 'welcome-back-indicator';
-        welcomeIndicator.textContent = `Visit #${userData.visitCount} 🎉`;
-        welcomeIndicator.style.cssText = `
-            position: absolute;
-            top: 10px;
-            right: 10px;
-            background: linear-gradient(45deg, #ff6b6b, #4ecdc4);
-            color: white;
-            padding: 5px 10px;
-            border-radius: 15px;
-            font-size: 12px;
-            font-weight: bold;
-            opacity: 0.8;
-            z-index: 1000;
-        `;
+        const welcomeIndicator = createElement('div', { className: 'welcome-back-indicator' },
+            t('visit.indicator', { count: userData.visitCount }));
         document.body.appendChild(welcomeIndicator);
         
         // Remove indicator after 5 seconds
@@ -914,9 +7047,47 @@ document.addEventListener('DOMContentLoaded', () => {
         elements.greetButton.addEventListener('click', greetUser);
         elements.nameInput.addEventListener('keypress', handleKeyPress);
         
+        // Apply the theme and the user's settings before anything reads CONFIG
+        applyTheme();
+        
+        // Pick the UI language before rendering any text
+        currentLocale = detectLocale();
+        applyTranslations();
+        initializeLocalePicker();
+        initializeNameValidation();
+        initializeGreetingLanguageControls();
+        initializeProfileSwitcher();
+        initializeCalmMode();
+        initializeSoundControls();
+        initializeSelfDestructControls();
+        initializeReminderControls();
+        initializeSettingsDialog();
+        initializeThemePicker();
+        initializeGreetingPacks();
+        initializeCustomQuotes();
+        initializeBirthdayControl();
+        initializeTimeZonePicker();
+        initializeHistoryView();
+        initializeGroupGreetings();
+        initializeDataTools();
+        
         // Initialize user preferences from local storage
         initializeUserPreferences();
         
+        // First run: collect a name and effect, and offer installing
+        initializeOnboarding();
+        initializeInstallPrompt();
+        
+        // Opened from a shortcut, a notification or a share
+        handleLaunchParams();
+        
+        // Replay a greeting someone sent us, now and whenever the link changes
+        handleSharedGreetingLink();
+        window.addEventListener('hashchange', handleSharedGreetingLink);
+        
+        registerServiceWorker();
+        initializeBackgroundSync();
+        
         console.log('James Bond Greeting App initialized successfully');
     } catch (error) {
         console.error('Failed to initialize app:', error);
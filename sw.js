@@ -1,79 +1,542 @@
 // Service Worker for James Bond Greeting App
-const CACHE_NAME = 'greeting-app-v1';
-const urlsToCache = [
+
+// Precache manifest - bump the version whenever any file below changes so
+// clients install the new worker and get offered a reload
+const PRECACHE_VERSION = '25';
+const PRECACHE_NAME = `greeting-app-precache-v${PRECACHE_VERSION}`;
+const PRECACHE_URLS = [
   './',
   './index.html',
   './app.js',
   './styles.css',
   './manifest.json',
+  './quotes.json',
+  './profanity.json',
+  './offline.html',
   './icon-192.png',
   './icon-512.png'
 ];
+const OFFLINE_URL = './offline.html';
+
+// Runtime cache for quotes fetched from the quote API
+const QUOTE_CACHE_NAME = 'greeting-app-quotes';
+const QUOTE_API_ORIGIN = 'https://api.quotable.io';
+const QUOTE_MAX_AGE = 24 * 60 * 60 * 1000;
+const CACHED_AT_HEADER = 'x-greeting-cached-at';
+
+const KNOWN_CACHES = [PRECACHE_NAME, QUOTE_CACHE_NAME];
 
-// Install event - cache resources
+// Outbox of requests that failed while offline, replayed by Background Sync
+// or, where that API is missing, whenever the page asks
+const SYNC_TAG = 'background-sync';
+const SYNC_DB_NAME = 'greeting-app-sync';
+const OUTBOX_STORE = 'outbox';
+const SETTINGS_STORE = 'settings';
+const MAX_REPLAY_ATTEMPTS = 10;
+
+// Daily reminders - the page sends the chosen time and localized text,
+// which live in the settings store so periodic sync can read them
+const REMINDER_TAG = 'daily-reminder';
+const REMINDER_KEY = 'reminder';
+const REMINDER_CHECK_INTERVAL = 60 * 60 * 1000;
+const DEFAULT_REMINDER_TEXT = {
+  title: 'Greeting App',
+  body: 'New greeting available!',
+  greet: 'Greet me',
+  snooze: 'Snooze'
+};
+
+// Install event - cache resources. The new worker waits until the page
+// asks it to take over, so a running page never mixes old and new files.
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => {
-        console.log('Opened cache');
-        return cache.addAll(urlsToCache);
-      })
+    caches.open(PRECACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE_URLS.map((url) => new Request(url, { cache: 'reload' }))))
   );
 });
 
-// Fetch event - serve from cache when offline
-self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request)
-      .then((response) => {
-        // Return cached version or fetch from network
-        if (response) {
-          return response;
-        }
-        return fetch(event.request);
-      }
-    )
-  );
+// Message event - update confirmations and outbox requests from the page
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+  if (message.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (message.type === 'QUEUE_REQUEST') {
+    event.waitUntil(queueRequest(message.job));
+  } else if (message.type === 'REPLAY_OUTBOX') {
+    event.waitUntil(replayOutbox().catch((error) => console.warn('Outbox replay incomplete:', error)));
+  } else if (message.type === 'CLAIM_RESULTS') {
+    event.waitUntil(claimResults().then((jobs) => event.source.postMessage({ type: 'OUTBOX_RESULTS', jobs })));
+  } else if (message.type === 'SET_REMINDER') {
+    event.waitUntil(setReminder(message.reminder).then(() => showReminderIfDue()));
+  } else if (message.type === 'REMINDER_DONE') {
+    event.waitUntil(markReminderDone());
+  }
 });
 
-// Activate event - clean up old caches
+// Activate event - clean up old caches and take control of open pages
 self.addEventListener('activate', (event) => {
   event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
-        cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
+    caches.keys()
+      .then((cacheNames) => Promise.all(
+        cacheNames
+          .filter((cacheName) => !KNOWN_CACHES.includes(cacheName))
+          .map((cacheName) => {
             console.log('Deleting old cache:', cacheName);
             return caches.delete(cacheName);
-          }
-        })
-      );
-    })
+          })
+      ))
+      .then(() => self.clients.claim())
   );
 });
 
-// Background sync for offline quote requests
+// Fetch event - pick a strategy by request type
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (url.origin === QUOTE_API_ORIGIN) {
+    event.respondWith(networkFirstWithExpiry(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+/**
+ * Serve app files from the precache straight away and refresh the cached
+ * copy from the network in the background. Navigations that miss the cache
+ * while offline get the offline page.
+ * @param {FetchEvent} event - The fetch event
+ * @returns {Promise<Response>} The response
+ */
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const isNavigation = request.mode === 'navigate';
+  const cache = await caches.open(PRECACHE_NAME);
+  // Launch URLs carry query parameters; the app shell is the same for all of them
+  const cached = await cache.match(request, { ignoreSearch: isNavigation });
+  const cacheKey = isNavigation ? request.url.split('?')[0] : request;
+
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok) {
+        return cache.put(cacheKey, response.clone()).then(() => response);
+      }
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+
+  try {
+    return await network;
+  } catch (error) {
+    if (isNavigation) {
+      return cache.match(OFFLINE_URL);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetch a quote from the network, falling back to the last cached quote
+ * while it is younger than QUOTE_MAX_AGE
+ * @param {Request} request - The quote request
+ * @returns {Promise<Response>} The response
+ */
+async function networkFirstWithExpiry(request) {
+  const cache = await caches.open(QUOTE_CACHE_NAME);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, await stampResponse(response.clone()));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    const cachedAt = cached ? Number(cached.headers.get(CACHED_AT_HEADER)) : 0;
+    if (cached && Date.now() - cachedAt < QUOTE_MAX_AGE) {
+      return cached;
+    }
+    if (cached) {
+      await cache.delete(request);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Copy a response with the time it was cached recorded in a header
+ * @param {Response} response - Response to copy
+ * @returns {Promise<Response>} The stamped copy
+ */
+async function stampResponse(response) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+// Sync event - connectivity is back, replay the outbox. A rejected promise
+// tells the browser to try again later.
 self.addEventListener('sync', (event) => {
-  if (event.tag === 'background-sync') {
-    console.log('Background sync triggered');
-    // Handle any background tasks here
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(replayOutbox());
   }
 });
 
-// Push notifications (for future features)
-self.addEventListener('push', (event) => {
-  const options = {
-    body: event.data ? event.data.text() : 'New greeting available!',
+/**
+ * Open the database holding the outbox and worker settings
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openSyncDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SYNC_DB_NAME, 2);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+        db.createObjectStore(SETTINGS_STORE);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one transaction against an object store
+ * @param {string} storeName - OUTBOX_STORE or SETTINGS_STORE
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, may return a request
+ * @returns {Promise<any>} The request's result once the transaction completes
+ */
+async function withStore(storeName, mode, operation) {
+  const db = await openSyncDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+/**
+ * Add a request to the outbox, once per key, and ask for a sync
+ * @param {Object} job - Request with kind, key, url, method and optional body
+ */
+async function queueRequest(job) {
+  const jobs = await withStore(OUTBOX_STORE, 'readonly', (store) => store.getAll());
+  if (!jobs.some((queued) => queued.key === job.key)) {
+    await withStore(OUTBOX_STORE, 'readwrite', (store) => store.add({ ...job, attempts: 0, queuedAt: Date.now() }));
+  }
+
+  if (self.registration.sync) {
+    await self.registration.sync.register(SYNC_TAG);
+  }
+}
+
+/**
+ * Send every pending request in the outbox. Quote requests keep their
+ * response until the page claims it; other requests are removed once sent.
+ * @throws {Error} If any request still failed, so Background Sync retries
+ */
+async function replayOutbox() {
+  const jobs = await withStore(OUTBOX_STORE, 'readonly', (store) => store.getAll());
+  let failures = 0;
+
+  for (const job of jobs.filter((queued) => !queued.result)) {
+    try {
+      const response = await fetch(job.url, {
+        method: job.method,
+        headers: job.body ? { 'Content-Type': 'application/json' } : undefined,
+        body: job.body ? JSON.stringify(job.body) : undefined
+      });
+
+      if (response.status >= 400 && response.status < 500) {
+        // The server understood and refused; sending it again won't help
+        await withStore(OUTBOX_STORE, 'readwrite', (store) => store.delete(job.id));
+      } else if (!response.ok) {
+        throw new Error(`Request failed with status ${response.status}`);
+      } else if (job.kind === 'quote') {
+        const result = await response.json();
+        await withStore(OUTBOX_STORE, 'readwrite', (store) => store.put({ ...job, result }));
+      } else {
+        await withStore(OUTBOX_STORE, 'readwrite', (store) => store.delete(job.id));
+      }
+    } catch (error) {
+      failures += 1;
+      const attempts = job.attempts + 1;
+      await withStore(OUTBOX_STORE, 'readwrite', (store) => attempts >= MAX_REPLAY_ATTEMPTS
+        ? store.delete(job.id)
+        : store.put({ ...job, attempts }));
+    }
+  }
+
+  const remaining = await withStore(OUTBOX_STORE, 'readonly', (store) => store.getAll());
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach((client) => client.postMessage({
+    type: 'OUTBOX_REPLAYED',
+    pending: remaining.filter((job) => !job.result).length,
+    results: remaining.filter((job) => job.result).length
+  }));
+
+  if (failures > 0) {
+    throw new Error(`${failures} queued request(s) failed`);
+  }
+}
+
+/**
+ * Hand finished quote requests to the page and drop them from the outbox
+ * @returns {Promise<Array<Object>>} The finished jobs
+ */
+async function claimResults() {
+  const jobs = await withStore(OUTBOX_STORE, 'readonly', (store) => store.getAll());
+  const finished = jobs.filter((job) => job.result);
+  await withStore(OUTBOX_STORE, 'readwrite', (store) => finished.forEach((job) => store.delete(job.id)));
+  return finished;
+}
+
+// Periodic sync event - catch up on reminders where Notification Triggers
+// are unavailable
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_TAG) {
+    event.waitUntil(showReminderIfDue());
+  }
+});
+
+// Notification click event - "Snooze" shows the reminder again later,
+// anything else opens the app and greets the stored name
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  if (event.action === 'snooze') {
+    event.waitUntil(snoozeReminder());
+  } else {
+    event.waitUntil(openAppToGreet().then(() => getReminder()).then(scheduleNextReminder));
+  }
+});
+
+// Notification close event - a dismissed reminder still needs tomorrow's
+self.addEventListener('notificationclose', (event) => {
+  if (event.notification.tag === REMINDER_TAG) {
+    event.waitUntil(getReminder().then(scheduleNextReminder));
+  }
+});
+
+/**
+ * Whether notifications can be scheduled with Notification Triggers
+ * @returns {boolean} True if TimestampTrigger is supported
+ */
+function supportsNotificationTriggers() {
+  return typeof TimestampTrigger === 'function' && 'showTrigger' in Notification.prototype;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - The date
+ * @returns {string} Date key
+ */
+function getDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the moment a reminder is due on a given day
+ * @param {Object} reminder - Reminder with time as HH:MM
+ * @param {Date} date - The day
+ * @returns {Date} The due time
+ */
+function getReminderTime(reminder, date) {
+  const [hours, minutes] = reminder.time.split(':').map(Number);
+  const dueAt = new Date(date);
+  dueAt.setHours(hours, minutes, 0, 0);
+  return dueAt;
+}
+
+/**
+ * Get the next time a reminder is due after now
+ * @param {Object} reminder - Reminder with time as HH:MM
+ * @param {Date} now - Current time
+ * @returns {Date} The next due time
+ */
+function getNextReminderTime(reminder, now) {
+  const dueAt = getReminderTime(reminder, now);
+  if (dueAt <= now) {
+    dueAt.setDate(dueAt.getDate() + 1);
+  }
+  return dueAt;
+}
+
+/**
+ * Read the stored reminder
+ * @returns {Promise<Object|undefined>} The reminder, if one was set
+ */
+function getReminder() {
+  return withStore(SETTINGS_STORE, 'readonly', (store) => store.get(REMINDER_KEY));
+}
+
+/**
+ * Store the reminder
+ * @param {Object} reminder - The reminder
+ * @returns {Promise<void>}
+ */
+function saveReminder(reminder) {
+  return withStore(SETTINGS_STORE, 'readwrite', (store) => store.put(reminder, REMINDER_KEY));
+}
+
+/**
+ * Show the reminder notification
+ * @param {Object} [reminder] - Reminder with localized text
+ * @param {Object} [options] - Extra notification options
+ * @returns {Promise<void>}
+ */
+function showReminder(reminder, options = {}) {
+  const text = { ...DEFAULT_REMINDER_TEXT, ...(reminder && reminder.text) };
+  return self.registration.showNotification(text.title, {
+    body: text.body,
     icon: 'icon-192.png',
     badge: 'icon-192.png',
+    tag: REMINDER_TAG,
     vibrate: [100, 50, 100],
+    actions: [
+      { action: 'greet', title: text.greet },
+      { action: 'snooze', title: text.snooze }
+    ],
     data: {
-      dateOfArrival: Date.now(),
-      primaryKey: 1
+      dateOfArrival: Date.now()
+    },
+    ...options
+  });
+}
+
+/**
+ * Schedule the next reminder with Notification Triggers, replacing any
+ * scheduled one. Does nothing where triggers are unsupported.
+ * @param {Object} [reminder] - The reminder
+ */
+async function scheduleNextReminder(reminder) {
+  if (!supportsNotificationTriggers()) return;
+
+  const scheduled = await self.registration.getNotifications({ tag: REMINDER_TAG, includeTriggered: false });
+  scheduled.forEach((notification) => notification.close());
+
+  if (reminder && reminder.enabled) {
+    const dueAt = getNextReminderTime(reminder, new Date());
+    await showReminder(reminder, { showTrigger: new TimestampTrigger(dueAt.getTime()) });
+  }
+}
+
+/**
+ * Store new reminder settings from the page and schedule them
+ * @param {Object} reminder - Enabled flag, time, snooze length and text
+ */
+async function setReminder(reminder) {
+  const previous = await getReminder();
+  const now = new Date();
+  const next = { ...previous, ...reminder };
+
+  // A reminder switched on or moved to a time that has already passed
+  // starts tomorrow rather than firing straight away
+  const changed = !previous || !previous.enabled || previous.time !== reminder.time;
+  if (changed && reminder.enabled && getReminderTime(reminder, now) <= now) {
+    next.lastShown = getDateKey(now);
+  }
+  await saveReminder(next);
+
+  if (supportsNotificationTriggers()) {
+    await scheduleNextReminder(next);
+  } else if (self.registration.periodicSync) {
+    try {
+      if (next.enabled) {
+        await self.registration.periodicSync.register(REMINDER_TAG, { minInterval: REMINDER_CHECK_INTERVAL });
+      } else {
+        await self.registration.periodicSync.unregister(REMINDER_TAG);
+      }
+    } catch (error) {
+      // Periodic sync needs an installed app; checks on open still work
+      console.warn('Periodic sync unavailable:', error);
     }
-  };
+  }
+}
+
+/**
+ * Show the reminder if today's (or a snoozed one) is due and hasn't been
+ * shown. Covers browsers without Notification Triggers.
+ */
+async function showReminderIfDue() {
+  const reminder = await getReminder();
+  if (!reminder || !reminder.enabled || supportsNotificationTriggers()) return;
 
+  const now = new Date();
+  const today = getDateKey(now);
+  const snoozeDue = Boolean(reminder.snoozedUntil) && now.getTime() >= reminder.snoozedUntil;
+  const dailyDue = reminder.lastShown !== today && now >= getReminderTime(reminder, now);
+  if (!snoozeDue && !dailyDue) return;
+
+  await saveReminder({ ...reminder, lastShown: today, snoozedUntil: null });
+  await showReminder(reminder);
+}
+
+/**
+ * Skip today's reminder because the user already greeted
+ */
+async function markReminderDone() {
+  const reminder = await getReminder();
+  if (reminder) {
+    await saveReminder({ ...reminder, lastShown: getDateKey(new Date()), snoozedUntil: null });
+  }
+}
+
+/**
+ * Show the reminder again after the snooze period
+ */
+async function snoozeReminder() {
+  const reminder = await getReminder();
+  if (!reminder) return;
+
+  const snoozedUntil = Date.now() + reminder.snoozeMinutes * 60 * 1000;
+  if (supportsNotificationTriggers()) {
+    await showReminder(reminder, { showTrigger: new TimestampTrigger(snoozedUntil) });
+  } else {
+    await saveReminder({ ...reminder, snoozedUntil });
+  }
+}
+
+/**
+ * Focus the app and ask it to greet, opening it if it isn't running
+ */
+async function openAppToGreet() {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windows.length > 0) {
+    await windows[0].focus();
+    windows[0].postMessage({ type: 'GREET' });
+  } else {
+    await self.clients.openWindow(new URL('./?action=greet', self.location.href).href);
+  }
+}
+
+// Push event - pushed messages reuse the reminder notification and actions
+self.addEventListener('push', (event) => {
+  const body = event.data ? event.data.text() : undefined;
   event.waitUntil(
-    self.registration.showNotification('Greeting App', options)
+    getReminder().then((reminder) => showReminder(reminder, body ? { body } : {}))
   );
 });
@@ -0,0 +1,141 @@
+// The outbox against a mock server on localhost: requests queued while the
+// server is unreachable are replayed once it answers again
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { loadServiceWorker } = require('./helpers/service-worker');
+const { loadApp } = require('./helpers/browser');
+
+/**
+ * Start a mock server that records every request and answers with the
+ * status currently set for its path
+ * @returns {Promise<Object>} { url, requests, statuses, close }
+ */
+function startMockServer() {
+    const requests = [];
+    const statuses = {};
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', (chunk) => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            requests.push({ method: request.method, path: request.url, body: body ? JSON.parse(body) : null });
+            response.writeHead(statuses[request.url] || 200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ content: 'A quote from the mock server', author: 'Mock' }));
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            requests,
+            statuses,
+            close: () => new Promise((done) => server.close(done))
+        }));
+    });
+}
+
+test('queued greetings are sent when the sync event fires', async (t) => {
+    const server = await startMockServer();
+    t.after(server.close);
+    const sw = loadServiceWorker();
+    const job = { kind: 'greeting', key: 'greeting:1', url: `${server.url}/greetings`, method: 'POST', body: { name: 'Ada' } };
+
+    await sw.dispatch('message', { data: { type: 'QUEUE_REQUEST', job } });
+    await sw.dispatch('message', { data: { type: 'QUEUE_REQUEST', job } });
+    assert.equal(sw.outbox().length, 1, 'the same key is queued once');
+    assert.deepEqual(sw.syncRegistrations, ['background-sync', 'background-sync']);
+
+    const [result] = await sw.dispatch('sync', { tag: 'background-sync' });
+    assert.equal(result.status, 'fulfilled');
+    assert.deepEqual(server.requests, [{ method: 'POST', path: '/greetings', body: { name: 'Ada' } }]);
+    assert.equal(sw.outbox().length, 0);
+    assert.deepEqual(sw.posted.at(-1), { type: 'OUTBOX_REPLAYED', pending: 0, results: 0 });
+});
+
+test('a failing server keeps the request queued and asks for another sync', async (t) => {
+    const server = await startMockServer();
+    t.after(server.close);
+    const sw = loadServiceWorker();
+    server.statuses['/greetings'] = 503;
+    const job = { kind: 'greeting', key: 'greeting:2', url: `${server.url}/greetings`, method: 'POST', body: { name: 'Ada' } };
+
+    await sw.dispatch('message', { data: { type: 'QUEUE_REQUEST', job } });
+    const [failed] = await sw.dispatch('sync', { tag: 'background-sync' });
+    assert.equal(failed.status, 'rejected', 'a rejected sync is retried by the browser');
+    assert.equal(sw.outbox()[0].attempts, 1);
+    assert.deepEqual(sw.posted.at(-1), { type: 'OUTBOX_REPLAYED', pending: 1, results: 0 });
+
+    server.statuses['/greetings'] = 201;
+    const [replayed] = await sw.dispatch('sync', { tag: 'background-sync' });
+    assert.equal(replayed.status, 'fulfilled');
+    assert.equal(server.requests.length, 2);
+    assert.equal(sw.outbox().length, 0);
+});
+
+test('requests the server refuses are dropped rather than retried', async (t) => {
+    const server = await startMockServer();
+    t.after(server.close);
+    const sw = loadServiceWorker();
+    server.statuses['/greetings'] = 422;
+
+    await sw.dispatch('message', { data: { type: 'QUEUE_REQUEST', job: { kind: 'greeting', key: 'g', url: `${server.url}/greetings`, method: 'POST', body: {} } } });
+    const [result] = await sw.dispatch('sync', { tag: 'background-sync' });
+
+    assert.equal(result.status, 'fulfilled');
+    assert.equal(sw.outbox().length, 0);
+});
+
+test('replayed quotes wait in the outbox until the page claims them', async (t) => {
+    const server = await startMockServer();
+    t.after(server.close);
+    const sw = loadServiceWorker();
+    const job = { kind: 'quote', key: 'quote:2026-03-01', url: `${server.url}/random`, method: 'GET', dateKey: '2026-03-01' };
+
+    await sw.dispatch('message', { data: { type: 'QUEUE_REQUEST', job } });
+    await sw.dispatch('message', { data: { type: 'REPLAY_OUTBOX' } });
+    assert.deepEqual(sw.posted.at(-1), { type: 'OUTBOX_REPLAYED', pending: 0, results: 1 });
+
+    await sw.dispatch('message', { data: { type: 'CLAIM_RESULTS' } });
+    const { type, jobs } = sw.posted.at(-1);
+    assert.equal(type, 'OUTBOX_RESULTS');
+    assert.deepEqual(jobs.map(({ key, result }) => [key, result.content]), [['quote:2026-03-01', 'A quote from the mock server']]);
+    assert.equal(sw.outbox().length, 0);
+});
+
+test('a greeting reported offline on first load reaches the server once a worker takes over', async (t) => {
+    const server = await startMockServer();
+    t.after(server.close);
+    const sw = loadServiceWorker();
+
+    // First load: the worker is installing, so nothing controls the page yet
+    const serviceWorkerListeners = {};
+    const serviceWorker = {
+        controller: null,
+        addEventListener: (type, listener) => {
+            serviceWorkerListeners[type] = listener;
+        }
+    };
+    const { run } = loadApp({
+        navigator: { serviceWorker },
+        fetch: async () => {
+            throw new TypeError('Failed to fetch');
+        }
+    });
+    run(`CONFIG.SYNC.GREETING_URL = ${JSON.stringify(`${server.url}/greetings`)}`);
+    run('initializeBackgroundSync()');
+
+    await run("reportGreeting({ name: 'Ada', language: 'fr', quote: null, effect: 'confetti' })");
+    assert.equal(sw.outbox().length, 0);
+
+    const forwarded = [];
+    serviceWorker.controller = { postMessage: (message) => forwarded.push(sw.dispatch('message', { data: message })) };
+    serviceWorkerListeners.controllerchange();
+    await Promise.all(forwarded);
+    assert.equal(sw.outbox().length, 1);
+
+    await sw.dispatch('sync', { tag: 'background-sync' });
+    assert.equal(server.requests.length, 1);
+    assert.equal(server.requests[0].body.name, 'Ada');
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/browser');
+
+test('resolveEffectId falls back to the default for unknown and inherited names', () => {
+    const { run } = loadApp();
+    assert.equal(run("resolveEffectId('confetti')"), 'confetti');
+    ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'nope', undefined].forEach((effectId) => {
+        assert.equal(run(`resolveEffectId(${JSON.stringify(effectId)})`), run('DEFAULT_EFFECT'));
+    });
+    assert.ok(run("Object.keys(EFFECTS).includes(resolveEffectId('random'))"));
+});
+
+test('an imported effect preference naming an inherited property still celebrates', async () => {
+    const { run, document } = loadApp();
+    run(`importState(${JSON.stringify(JSON.stringify({
+        version: 3,
+        data: {
+            profiles: { p1: { id: 'p1', createdAt: '2026-01-01T00:00:00.000Z', userName: 'Alice', effectPreference: 'constructor' } },
+            activeProfileId: 'p1'
+        }
+    }))})`);
+    document.getElementById('nameInput').value = 'Alice';
+
+    await run('greetUser()');
+
+    assert.match(document.getElementById('greetingMessage').className, /enhanced/);
+    assert.equal(run('getVisitHistory()[0].effect'), run('DEFAULT_EFFECT'));
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, toPlain } = require('./helpers/browser');
+
+/**
+ * Wait until the group session has shown its current greeting
+ * @param {Object} session - The running group session
+ */
+async function settle(session) {
+    do {
+        await new Promise((resolve) => setImmediate(resolve));
+    } while (session.loading);
+}
+
+/**
+ * Start a group greeting for the names and greet everyone in turn
+ * @param {Object} loaded - The loaded app
+ * @param {Array<string>} names - Names typed into the group box
+ * @returns {Promise<Array<Object>>} The session results
+ */
+async function greetGroup({ run, document }, names) {
+    document.getElementById('groupNamesInput').value = names.join('\n');
+    run('startGroupGreeting()');
+    const session = run('groupSession');
+    await settle(session);
+    while (session.index < session.names.length) {
+        run('greetNextInGroup()');
+        await settle(session);
+    }
+    return toPlain(session.results);
+}
+
+test('each person gets the next language of the session, leaving the profile rotation alone', async () => {
+    const loaded = loadApp({ reducedMotion: true });
+    loaded.run("createProfile('Alice'); saveGreetingLanguageSettings({ mode: 'rotate', rotateIndex: 5 })");
+
+    const results = await greetGroup(loaded, ['Ada', 'Bo', 'Cy']);
+
+    assert.deepEqual(results.map(({ language }) => language), toPlain(loaded.run('HELLO_TRANSLATIONS.slice(0, 3).map(({ code }) => code)')));
+    assert.equal(loaded.run('getGreetingLanguageSettings().rotateIndex'), 5);
+});
+
+test('a fixed greeting language does not greet the whole group in it', async () => {
+    const loaded = loadApp({ reducedMotion: true });
+    loaded.run("saveGreetingLanguageSettings({ mode: 'fixed', code: 'de' })");
+
+    const results = await greetGroup(loaded, ['Ada', 'Bo']);
+
+    assert.equal(new Set(results.map(({ language }) => language)).size, 2);
+});
+
+test('the chosen effect is used for everyone', async () => {
+    const loaded = loadApp({ reducedMotion: true });
+    loaded.run("setSelectedEffect('fireworks')");
+
+    const results = await greetGroup(loaded, ['Ada', 'Bo', 'Cy']);
+
+    assert.deepEqual(results.map(({ effect }) => effect), ['fireworks', 'fireworks', 'fireworks']);
+});
+
+test('group greetings use the chosen recipient time zone', async () => {
+    const loaded = loadApp({ reducedMotion: true });
+    loaded.run("saveToStorage(STORAGE_KEYS.RECIPIENT_TIME_ZONE, 'Asia/Tokyo')");
+
+    await greetGroup(loaded, ['Ada']);
+
+    assert.match(loaded.document.getElementById('greetingMessage').querySelector('.recipient-time').textContent, /Tokyo/);
+});
+
+test('a language column in the imported CSV sets each person\'s language', async () => {
+    const loaded = loadApp({ reducedMotion: true });
+    loaded.app.csvFile = { text: async () => 'Name;Language\nAda;fr\n"Bo";Japanese\nCy;klingon\n' };
+    await loaded.run('handleImportGroupCsv(csvFile)');
+
+    assert.equal(loaded.document.getElementById('groupNamesInput').value, 'Ada\nBo\nCy');
+    const results = await greetGroup(loaded, ['Ada', 'Bo', 'Cy']);
+
+    assert.deepEqual(results.map(({ language }) => language), ['fr', 'ja', loaded.run('HELLO_TRANSLATIONS[0].code')]);
+});
+
+test('CSV languages still apply to names the group greeting capitalizes', async () => {
+    const loaded = loadApp({ reducedMotion: true });
+    loaded.app.csvFile = { text: async () => 'name,language\nada lovelace,French\n  bo  ,ja\n' };
+    await loaded.run('handleImportGroupCsv(csvFile)');
+
+    const { groupNamesInput } = loaded.run('getElements()');
+    const results = await greetGroup(loaded, groupNamesInput.value.split('\n'));
+
+    assert.deepEqual(results.map(({ name, language }) => [name, language]), [['Ada Lovelace', 'fr'], ['Bo', 'ja']]);
+});
+
+test('Next and Skip wait while a greeting is loading', async () => {
+    let release;
+    const offline = new Promise((resolve) => {
+        release = resolve;
+    });
+    const { run, document } = loadApp({
+        reducedMotion: true,
+        fetch: async () => {
+            await offline;
+            throw new TypeError('Failed to fetch');
+        }
+    });
+    document.getElementById('groupNamesInput').value = 'Ada\nBo\nCy';
+    run('startGroupGreeting()');
+    const session = run('groupSession');
+    const nextGroupButton = document.getElementById('nextGroupButton');
+
+    assert.equal(nextGroupButton.disabled, true);
+    assert.equal(document.getElementById('skipGroupButton').disabled, true);
+    run('greetNextInGroup()');
+    assert.equal(session.index, 1, 'a second greeting does not start');
+
+    release();
+    await settle(session);
+    assert.equal(nextGroupButton.disabled, false);
+    assert.deepEqual(toPlain(session.results.map(({ name }) => name)), ['Ada']);
+});
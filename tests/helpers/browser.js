@@ -0,0 +1,526 @@
+// Minimal browser environment for running app.js under node:test.
+// The DOM here only builds trees of nodes - it has no HTML parser, and
+// assigning innerHTML, outerHTML or insertAdjacentHTML throws, so a test
+// fails as soon as app code tries to turn a string into markup.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const APP_SOURCE = fs.readFileSync(path.join(__dirname, '..', '..', 'app.js'), 'utf8');
+
+class FakeNode {
+    constructor(ownerDocument) {
+        this.ownerDocument = ownerDocument;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    get lastChild() {
+        return this.childNodes[this.childNodes.length - 1] || null;
+    }
+
+    get parentElement() {
+        return this.parentNode;
+    }
+
+    appendChild(child) {
+        return this.insertBefore(child, null);
+    }
+
+    insertBefore(child, reference) {
+        if (child.nodeType === FakeNode.DOCUMENT_FRAGMENT_NODE) {
+            [...child.childNodes].forEach((node) => this.insertBefore(node, reference));
+            return child;
+        }
+        if (child.parentNode) {
+            child.parentNode.removeChild(child);
+        }
+        const index = reference ? this.childNodes.indexOf(reference) : -1;
+        if (index === -1) {
+            this.childNodes.push(child);
+        } else {
+            this.childNodes.splice(index, 0, child);
+        }
+        child.parentNode = this;
+        return child;
+    }
+
+    removeChild(child) {
+        const index = this.childNodes.indexOf(child);
+        if (index !== -1) {
+            this.childNodes.splice(index, 1);
+            child.parentNode = null;
+        }
+        return child;
+    }
+
+    remove() {
+        if (this.parentNode) {
+            this.parentNode.removeChild(this);
+        }
+    }
+
+    contains(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (current === this) return true;
+        }
+        return false;
+    }
+}
+
+FakeNode.ELEMENT_NODE = 1;
+FakeNode.TEXT_NODE = 3;
+FakeNode.DOCUMENT_FRAGMENT_NODE = 11;
+
+class FakeText extends FakeNode {
+    constructor(ownerDocument, data) {
+        super(ownerDocument);
+        this.nodeType = FakeNode.TEXT_NODE;
+        this.nodeName = '#text';
+        this.data = String(data);
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    set textContent(value) {
+        this.data = String(value);
+    }
+}
+
+/**
+ * Refuse any API that parses a string as HTML
+ * @param {string} name - Property that was assigned
+ */
+function refuseMarkup(name) {
+    throw new Error(`${name} is not allowed: build nodes with createElement instead`);
+}
+
+/**
+ * A canvas context that accepts every drawing call and draws nothing
+ * @returns {Object} Stand-in for CanvasRenderingContext2D
+ */
+function createDrawingContext() {
+    const state = { measureText: (text) => ({ width: String(text).length * 10 }) };
+    return new Proxy(state, {
+        get: (target, name) => (name in target ? target[name] : () => {}),
+        set: (target, name, value) => {
+            target[name] = value;
+            return true;
+        }
+    });
+}
+
+class FakeElement extends FakeNode {
+    constructor(ownerDocument, tagName) {
+        super(ownerDocument);
+        this.nodeType = tagName === '#fragment' ? FakeNode.DOCUMENT_FRAGMENT_NODE : FakeNode.ELEMENT_NODE;
+        this.tagName = tagName.toUpperCase();
+        this.nodeName = this.tagName;
+        this.attributes = new Map();
+        this.listeners = {};
+        this.dataset = {};
+        this.style = { setProperty() {}, removeProperty() {} };
+        this.hidden = false;
+        this.disabled = false;
+        this.checked = false;
+        this.value = '';
+        this.open = false;
+        this.classList = {
+            add: (...names) => names.forEach((name) => this.toggleClass(name, true)),
+            remove: (...names) => names.forEach((name) => this.toggleClass(name, false)),
+            toggle: (name, force) => this.toggleClass(name, force === undefined ? !this.classList.contains(name) : force),
+            contains: (name) => this.className.split(/\s+/).includes(name)
+        };
+    }
+
+    get id() {
+        return this.getAttribute('id') || '';
+    }
+
+    set id(value) {
+        this.setAttribute('id', value);
+    }
+
+    get className() {
+        return this.getAttribute('class') || '';
+    }
+
+    set className(value) {
+        this.setAttribute('class', value);
+    }
+
+    get children() {
+        return this.childNodes.filter((node) => node.nodeType === FakeNode.ELEMENT_NODE);
+    }
+
+    get textContent() {
+        return this.childNodes.map((node) => node.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.childNodes.forEach((node) => {
+            node.parentNode = null;
+        });
+        this.childNodes = [];
+        if (value !== '' && value !== null && value !== undefined) {
+            this.appendChild(new FakeText(this.ownerDocument, value));
+        }
+    }
+
+    set innerHTML(value) {
+        refuseMarkup('innerHTML');
+    }
+
+    set outerHTML(value) {
+        refuseMarkup('outerHTML');
+    }
+
+    insertAdjacentHTML() {
+        refuseMarkup('insertAdjacentHTML');
+    }
+
+    toggleClass(name, force) {
+        const names = this.className.split(/\s+/).filter((existing) => existing && existing !== name);
+        if (force) {
+            names.push(name);
+        }
+        this.className = names.join(' ');
+        return force;
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(String(name).toLowerCase(), String(value));
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    toggleAttribute(name, force) {
+        const present = force === undefined ? !this.hasAttribute(name) : force;
+        if (present) {
+            this.setAttribute(name, '');
+        } else {
+            this.removeAttribute(name);
+        }
+        return present;
+    }
+
+    append(...nodes) {
+        nodes.forEach((node) => this.appendChild(typeof node === 'string' ? new FakeText(this.ownerDocument, node) : node));
+    }
+
+    prepend(...nodes) {
+        nodes.reverse().forEach((node) => this.insertBefore(typeof node === 'string' ? new FakeText(this.ownerDocument, node) : node, this.firstChild));
+    }
+
+    replaceChildren(...nodes) {
+        this.textContent = '';
+        this.append(...nodes);
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter((existing) => existing !== listener);
+    }
+
+    dispatchEvent(event) {
+        event.target = event.target || this;
+        (this.listeners[event.type] || []).forEach((listener) => listener.call(this, event));
+        return !event.defaultPrevented;
+    }
+
+    click() {
+        this.dispatchEvent({ type: 'click', preventDefault() {} });
+    }
+
+    focus() {
+        this.ownerDocument.activeElement = this;
+    }
+
+    blur() {}
+
+    select() {}
+
+    scrollIntoView() {}
+
+    showModal() {
+        this.open = true;
+    }
+
+    close() {
+        this.open = false;
+    }
+
+    getContext() {
+        return createDrawingContext();
+    }
+
+    getBoundingClientRect() {
+        return { top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 };
+    }
+
+    matches(selector) {
+        return selector.split(',').some((part) => matchesSelectorChain(this, part.trim().split(/\s+/)));
+    }
+
+    closest(selector) {
+        for (let current = this; current && current.nodeType === FakeNode.ELEMENT_NODE; current = current.parentNode) {
+            if (current.matches(selector)) return current;
+        }
+        return null;
+    }
+
+    querySelectorAll(selector) {
+        const found = [];
+        const visit = (node) => {
+            node.children.forEach((child) => {
+                if (child.matches(selector)) {
+                    found.push(child);
+                }
+                visit(child);
+            });
+        };
+        visit(this);
+        return found;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+}
+
+/**
+ * Match a compound selector such as `input.effect-option[name="effect"]:checked`
+ * @param {FakeElement} element - Element to test
+ * @param {string} compound - Selector without combinators
+ * @returns {boolean} True if the element matches
+ */
+function matchesCompound(element, compound) {
+    const parts = compound.match(/^[a-z][\w-]*|#[\w-]+|\.[\w-]+|\[[^\]]+\]|:checked/gi);
+    if (!parts || parts.join('') !== compound) {
+        throw new Error(`Unsupported selector in test DOM: ${compound}`);
+    }
+    return parts.every((part) => {
+        if (part[0] === '#') return element.id === part.slice(1);
+        if (part[0] === '.') return element.classList.contains(part.slice(1));
+        if (part === ':checked') return element.checked;
+        if (part[0] === '[') {
+            const [, name, value] = part.match(/^\[([\w-]+)(?:="?([^"]*)"?)?\]$/);
+            return value === undefined ? element.hasAttribute(name) : element.getAttribute(name) === value;
+        }
+        return element.tagName === part.toUpperCase();
+    });
+}
+
+/**
+ * Match a descendant chain such as `#greetingMessage .countdown-panel`
+ * @param {FakeElement} element - Element to test
+ * @param {string[]} chain - Compound selectors from outermost to innermost
+ * @returns {boolean} True if the element matches
+ */
+function matchesSelectorChain(element, chain) {
+    if (!matchesCompound(element, chain[chain.length - 1])) return false;
+    const rest = chain.slice(0, -1);
+    if (rest.length === 0) return true;
+    for (let ancestor = element.parentNode; ancestor && ancestor.nodeType === FakeNode.ELEMENT_NODE; ancestor = ancestor.parentNode) {
+        if (matchesSelectorChain(ancestor, rest)) return true;
+    }
+    return false;
+}
+
+class FakeDocument {
+    constructor() {
+        this.listeners = {};
+        this.visibilityState = 'visible';
+        this.hidden = false;
+        this.activeElement = null;
+        this.documentElement = new FakeElement(this, 'html');
+        this.head = this.documentElement.appendChild(new FakeElement(this, 'head'));
+        this.body = this.documentElement.appendChild(new FakeElement(this, 'body'));
+    }
+
+    createElement(tagName) {
+        return new FakeElement(this, tagName);
+    }
+
+    createTextNode(data) {
+        return new FakeText(this, data);
+    }
+
+    createDocumentFragment() {
+        return new FakeElement(this, '#fragment');
+    }
+
+    /**
+     * Look an element up by id. Ids that index.html would provide are
+     * created on first use and attached to the body.
+     * @param {string} id - Element id
+     * @returns {FakeElement} The element
+     */
+    getElementById(id) {
+        const existing = this.documentElement.querySelector(`#${id}`);
+        if (existing) return existing;
+        const element = this.createElement(id.endsWith('Dialog') ? 'dialog' : 'div');
+        element.id = id;
+        return this.body.appendChild(element);
+    }
+
+    querySelector(selector) {
+        return this.documentElement.querySelector(selector);
+    }
+
+    querySelectorAll(selector) {
+        return this.documentElement.querySelectorAll(selector);
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener() {}
+}
+
+/**
+ * Timers that only run when a test asks, so nothing keeps the process alive
+ * @returns {Object} setTimeout/clearTimeout/setInterval/clearInterval plus runAll
+ */
+function createManualTimers() {
+    const pending = new Map();
+    let nextId = 1;
+    const schedule = (callback, delay, repeat) => {
+        const id = nextId++;
+        pending.set(id, { callback, delay: Number(delay) || 0, repeat });
+        return id;
+    };
+    return {
+        setTimeout: (callback, delay) => schedule(callback, delay, false),
+        setInterval: (callback, delay) => schedule(callback, delay, true),
+        clearTimeout: (id) => pending.delete(id),
+        clearInterval: (id) => pending.delete(id),
+        pending,
+        /**
+         * Run every one-off timer that is due within `limit` ms, in order
+         * @param {number} [limit] - Longest delay to run
+         */
+        runAll(limit = Infinity) {
+            const due = [...pending.entries()]
+                .filter(([, timer]) => !timer.repeat && timer.delay <= limit)
+                .sort(([, a], [, b]) => a.delay - b.delay);
+            due.forEach(([id, timer]) => {
+                pending.delete(id);
+                timer.callback();
+            });
+        }
+    };
+}
+
+/**
+ * Load app.js into a fresh context with a fake browser around it
+ * @param {Object} [options] - Environment overrides
+ * @param {Function} [options.fetch] - fetch implementation, offline by default
+ * @param {string} [options.search] - location.search
+ * @param {string} [options.hash] - location.hash
+ * @param {Object} [options.storage] - Initial localStorage contents
+ * @param {boolean} [options.reducedMotion] - Whether prefers-reduced-motion matches
+ * @param {Object} [options.navigator] - Extra navigator properties
+ * @returns {Object} { app, document, storage, timers, run }
+ */
+function loadApp(options = {}) {
+    const storage = new Map(Object.entries(options.storage || {}));
+    const document = new FakeDocument();
+    const timers = createManualTimers();
+    const media = { matches: Boolean(options.reducedMotion), addEventListener() {}, removeEventListener() {} };
+    const context = {
+        // Expected warnings (a provider offline, a missing API) would drown the test output
+        console: { ...console, log() {}, info() {}, warn() {} },
+        Intl,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        TextDecoder,
+        AbortController,
+        Blob,
+        btoa,
+        atob,
+        Node: FakeNode,
+        document,
+        setTimeout: timers.setTimeout,
+        clearTimeout: timers.clearTimeout,
+        setInterval: timers.setInterval,
+        clearInterval: timers.clearInterval,
+        requestAnimationFrame: () => 0,
+        cancelAnimationFrame() {},
+        matchMedia: () => media,
+        getComputedStyle: () => ({ getPropertyValue: () => '' }),
+        addEventListener() {},
+        removeEventListener() {},
+        location: { hash: options.hash || '', search: options.search || '', href: `https://example.test/${options.search || ''}${options.hash || ''}`, pathname: '/' },
+        history: { replaceState() {} },
+        navigator: { languages: ['en-US'], language: 'en-US', onLine: true, userAgent: 'node', ...options.navigator },
+        localStorage: {
+            getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: (key) => storage.delete(key),
+            key: (index) => [...storage.keys()][index] || null,
+            get length() {
+                return storage.size;
+            }
+        },
+        fetch: options.fetch || (async () => {
+            throw new TypeError('Failed to fetch');
+        })
+    };
+    context.window = context;
+    context.self = context;
+    context.globalThis = context;
+    vm.createContext(context);
+    vm.runInContext(APP_SOURCE, context, { filename: 'app.js' });
+
+    return {
+        app: context,
+        document,
+        storage,
+        timers,
+        run: (code) => vm.runInContext(code, context)
+    };
+}
+
+/**
+ * Collect every node under a root, depth first
+ * @param {FakeNode} root - Node to walk
+ * @returns {FakeNode[]} The root and all its descendants
+ */
+function walk(root) {
+    return [root, ...root.childNodes.flatMap(walk)];
+}
+
+/**
+ * Copy a value out of the app's context, so node:assert compares it with
+ * test values by content rather than by the context's prototypes
+ * @param {any} value - JSON-compatible value from the app
+ * @returns {any} The same value built in the test's own realm
+ */
+function toPlain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadApp, walk, toPlain, FakeNode };
@@ -0,0 +1,136 @@
+// Minimal service worker environment for running sw.js under node:test:
+// an in-memory IndexedDB, event dispatch with waitUntil, and clients that
+// record the messages posted to them. fetch is Node's own, so requests go
+// to a real server - in the tests, a mock server on localhost.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const WORKER_SOURCE = fs.readFileSync(path.join(__dirname, '..', '..', 'sw.js'), 'utf8');
+
+/**
+ * In-memory IndexedDB holding structured clones of what is stored
+ * @returns {Object} indexedDB stand-in and the raw stores
+ */
+function createIndexedDB() {
+    const stores = new Map();
+    const createdStores = new Set();
+
+    const database = {
+        objectStoreNames: { contains: (name) => createdStores.has(name) },
+        // Stores with a keyPath are assumed to auto-increment, as the outbox does
+        createObjectStore(name, { keyPath } = {}) {
+            createdStores.add(name);
+            stores.set(name, { keyPath, nextKey: 1, records: new Map() });
+        },
+        transaction(storeName) {
+            const store = stores.get(storeName);
+            const transaction = {};
+            const track = (compute) => ({ result: compute() });
+            transaction.objectStore = () => ({
+                getAll: () => track(() => [...store.records.values()].map((value) => structuredClone(value))),
+                get: (key) => track(() => structuredClone(store.records.get(key))),
+                add: (value, key) => track(() => {
+                    const record = structuredClone(value);
+                    const recordKey = store.keyPath ? record[store.keyPath] ?? store.nextKey++ : key;
+                    if (store.keyPath) record[store.keyPath] = recordKey;
+                    store.records.set(recordKey, record);
+                    return recordKey;
+                }),
+                put: (value, key) => track(() => {
+                    const recordKey = store.keyPath ? value[store.keyPath] : key;
+                    store.records.set(recordKey, structuredClone(value));
+                    return recordKey;
+                }),
+                delete: (key) => track(() => {
+                    store.records.delete(key);
+                })
+            });
+            setImmediate(() => transaction.oncomplete && transaction.oncomplete());
+            return transaction;
+        },
+        close() {}
+    };
+
+    return {
+        stores,
+        indexedDB: {
+            open() {
+                const request = {};
+                setImmediate(() => {
+                    request.result = database;
+                    if (createdStores.size === 0 && request.onupgradeneeded) {
+                        request.onupgradeneeded();
+                    }
+                    request.onsuccess();
+                });
+                return request;
+            }
+        }
+    };
+}
+
+/**
+ * Load sw.js into a fresh context
+ * @param {Object} [options] - Environment overrides
+ * @param {boolean} [options.backgroundSync] - Whether registration.sync exists
+ * @returns {Object} { worker, dispatch, posted, syncRegistrations, outbox }
+ */
+function loadServiceWorker(options = {}) {
+    const { indexedDB, stores } = createIndexedDB();
+    const listeners = {};
+    const posted = [];
+    const syncRegistrations = [];
+    // postMessage delivers a structured clone, as in a browser
+    const client = { postMessage: (message) => posted.push(structuredClone(message)) };
+
+    const self = {
+        location: new URL('http://localhost/'),
+        addEventListener: (type, listener) => {
+            (listeners[type] = listeners[type] || []).push(listener);
+        },
+        skipWaiting() {},
+        clients: { matchAll: async () => [client], claim: async () => {} },
+        registration: {
+            sync: options.backgroundSync === false ? undefined : { register: async (tag) => syncRegistrations.push(tag) }
+        }
+    };
+    const context = {
+        self,
+        console: { ...console, log() {}, info() {}, warn() {} },
+        indexedDB,
+        fetch,
+        Request,
+        Response,
+        Headers,
+        URL,
+        caches: { open: async () => ({}), keys: async () => [] }
+    };
+    vm.createContext(context);
+    vm.runInContext(WORKER_SOURCE, context, { filename: 'sw.js' });
+
+    return {
+        worker: context,
+        posted,
+        syncRegistrations,
+        /**
+         * Dispatch an event and wait for everything passed to waitUntil
+         * @param {string} type - Event type
+         * @param {Object} [init] - Event properties
+         * @returns {Promise<Array>} Settled waitUntil promises
+         */
+        dispatch(type, init = {}) {
+            const waits = [];
+            const event = { ...init, source: client, waitUntil: (promise) => waits.push(promise) };
+            (listeners[type] || []).forEach((listener) => listener(event));
+            return Promise.allSettled(waits);
+        },
+        /**
+         * @returns {Array<Object>} Jobs currently in the outbox
+         */
+        outbox: () => [...(stores.get('outbox') || { records: new Map() }).records.values()]
+    };
+}
+
+module.exports = { loadServiceWorker };
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/browser');
+
+test('a stored locale naming an inherited property falls back to the browser language', () => {
+    const { run } = loadApp({ navigator: { languages: ['fr-CA'] } });
+    run("saveToStorage(STORAGE_KEYS.LOCALE, 'constructor')");
+
+    assert.equal(run('detectLocale()'), 'fr');
+});
+
+test('inherited property names are never used as a locale', () => {
+    const { run } = loadApp({ navigator: { languages: ['toString', 'de'] } });
+
+    assert.equal(run('matchLocale(navigator.languages)'), 'de');
+    run("setLocale('__proto__')");
+    assert.equal(run('currentLocale'), 'en');
+    assert.equal(run("t('status.connecting')"), run("MESSAGES.en['status.connecting']"));
+});
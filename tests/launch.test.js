@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/browser');
+
+/**
+ * Load the app with a saved profile greeting in rotation, launched with the
+ * given query string
+ * @param {string} search - location.search
+ * @returns {Object} The loaded app
+ */
+function launchWithRotation(search) {
+    const loaded = loadApp({ search, reducedMotion: true });
+    loaded.run("createProfile('Alice'); saveGreetingLanguageSettings({ mode: 'rotate', rotateIndex: 2 })");
+    loaded.run('handleLaunchParams()');
+    return loaded;
+}
+
+test('?lang= greets once in that language without changing the interface locale', async () => {
+    const { run, document } = launchWithRotation('?lang=ja');
+
+    document.getElementById('nameInput').value = 'Alice';
+    await run('greetUser()');
+
+    assert.equal(run('getVisitHistory()[0].language'), 'ja');
+    assert.equal(run('currentLocale'), 'en');
+    assert.equal(run('loadFromStorage(STORAGE_KEYS.LOCALE)'), null);
+    assert.equal(run('getGreetingLanguageSettings().rotateIndex'), 2, 'the rotation is not advanced');
+});
+
+test('greetings after the launch one follow the saved language settings', async () => {
+    const { run, document, timers } = launchWithRotation('?lang=ja');
+
+    for (let i = 0; i < 2; i++) {
+        document.getElementById('nameInput').value = 'Alice';
+        await run('greetUser()');
+        timers.runAll();
+    }
+
+    assert.equal(run('getVisitHistory().at(-1).language'), run('HELLO_TRANSLATIONS[2].code'));
+    assert.equal(run('getGreetingLanguageSettings().rotateIndex'), 3);
+});
+
+test('?lang= accepts greeting languages the interface lacks and ignores unknown codes', () => {
+    const { run } = loadApp();
+
+    assert.equal(run("readLaunchParams('?lang=it').language"), 'it');
+    assert.equal(run("readLaunchParams('?lang=xx').language"), null);
+    assert.equal(run("readLaunchParams('?lang=toString').language"), null);
+});
+
+test('inherited property names are ignored as launch actions and effects', () => {
+    const { run } = loadApp();
+    const params = run("readLaunchParams('?action=constructor&effect=toString')");
+
+    assert.equal(params.action, null);
+    assert.equal(params.effect, null);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/browser');
+
+/**
+ * Build the hash of a greeting link
+ * @returns {string} `#greeting=…` hash
+ */
+function sharedGreetingHash() {
+    const url = loadApp().run("createShareUrl({ name: 'Ada', code: 'fr', quote: { text: 'Be brave.', author: 'Anon' }, effect: 'confetti' })");
+    return url.slice(url.indexOf('#'));
+}
+
+test('a first plain launch shows onboarding', () => {
+    const { run, document } = loadApp();
+    run('initializeOnboarding()');
+    assert.equal(document.getElementById('onboardingDialog').open, true);
+});
+
+[
+    ['a shared greeting link', { hash: sharedGreetingHash() }],
+    ['a shortcut action', { search: '?action=history' }],
+    ['shared text', { search: '?text=Ada' }]
+].forEach(([label, location]) => {
+    test(`a first launch with ${label} waits with onboarding`, () => {
+        const { run, document } = loadApp(location);
+        run('initializeOnboarding()');
+
+        assert.equal(document.getElementById('onboardingDialog').open, false);
+        assert.equal(run('shouldShowOnboarding()'), true, 'onboarding still runs on the next plain launch');
+    });
+});
+
+test('a malformed greeting link does not hold onboarding back', () => {
+    const { run, document } = loadApp({ hash: '#greeting=%%%' });
+    run('initializeOnboarding()');
+    assert.equal(document.getElementById('onboardingDialog').open, true);
+});
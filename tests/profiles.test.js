@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/browser');
+
+/**
+ * Load the app with one named profile, active, and greet a name
+ * @param {string} name - Name typed into the name input
+ * @returns {Promise<Object>} The loaded app, after the greeting
+ */
+async function greetWithProfile(name) {
+    const loaded = loadApp({ reducedMotion: true });
+    loaded.run("createProfile('Alice'); saveUserPreferences('Alice', 'confetti'); recordGreeting({ language: 'en', quote: null, effect: 'confetti' })");
+    loaded.document.getElementById('nameInput').value = name;
+    await loaded.run('greetUser()');
+    return loaded;
+}
+
+test('greeting an unknown name keeps the active profile and its log', async () => {
+    const { run, document } = await greetWithProfile('Bob');
+
+    assert.equal(run('getProfiles().length'), 1);
+    assert.equal(run('getActiveProfile().userName'), 'Alice');
+    assert.equal(run("loadFromStorage(STORAGE_KEYS.EFFECT_PREFERENCE)"), 'confetti');
+    assert.equal(run('getVisitHistory().length'), 1);
+    assert.match(document.getElementById('greetingMessage').textContent, /Bob/);
+});
+
+test('greeting an unknown name with no profile does not create one', async () => {
+    const { run, document } = loadApp({ reducedMotion: true });
+    document.getElementById('nameInput').value = 'Bob';
+    await run('greetUser()');
+
+    assert.equal(run('getProfiles().length'), 0);
+    assert.equal(run('getActiveProfile()'), null);
+});
+
+test('greeting a name with a profile switches to it', async () => {
+    const loaded = loadApp({ reducedMotion: true });
+    loaded.run("createProfile('Carol'); createProfile('Alice')");
+    loaded.document.getElementById('nameInput').value = 'carol';
+    await loaded.run('greetUser()');
+
+    assert.equal(loaded.run('getProfiles().length'), 2);
+    assert.equal(loaded.run('getActiveProfile().userName'), 'Carol');
+    assert.equal(loaded.run('getVisitHistory().length'), 1);
+});
+
+test('the profile switcher creates a profile for the name asked for', () => {
+    const { app, run, document } = loadApp();
+    run("createProfile('Alice')");
+    run('initializeProfileSwitcher()');
+    const profileSelect = document.getElementById('profileSelect');
+    app.prompt = () => 'dave';
+
+    profileSelect.value = run('NEW_PROFILE_OPTION');
+    profileSelect.dispatchEvent({ type: 'change' });
+
+    assert.equal(run('getProfiles().length'), 2);
+    assert.equal(run('getActiveProfile().userName'), 'Dave');
+    assert.equal(profileSelect.value, run('getActiveProfile().id'));
+});
+
+test('cancelling a new profile keeps the active one selected', () => {
+    const { app, run, document } = loadApp();
+    run("createProfile('Alice')");
+    run('initializeProfileSwitcher()');
+    const profileSelect = document.getElementById('profileSelect');
+    app.prompt = () => null;
+
+    profileSelect.value = run('NEW_PROFILE_OPTION');
+    profileSelect.dispatchEvent({ type: 'change' });
+
+    assert.equal(run('getProfiles().length'), 1);
+    assert.equal(profileSelect.value, run('getActiveProfile().id'));
+});
+
+test('changing settings as a guest keeps them on the device without creating a profile', () => {
+    const { run } = loadApp();
+    run("setLocale('fr'); saveGreetingLanguageSettings({ mode: 'fixed', code: 'de' })");
+
+    assert.equal(run('getProfiles().length'), 0);
+    assert.equal(run('shouldShowOnboarding()'), true);
+    assert.equal(run('loadFromStorage(STORAGE_KEYS.LOCALE)'), 'fr');
+    assert.equal(run('getGreetingLanguageSettings().code'), 'de');
+});
+
+test('a profile created by a guest keeps the settings already in use', () => {
+    const { run } = loadApp();
+    run("setLocale('fr'); saveUserPreferences('Alice', 'confetti')");
+
+    assert.equal(run('getProfiles().length'), 1);
+    assert.equal(run('getActiveProfile().userName'), 'Alice');
+    assert.equal(run('getActiveProfile().locale'), 'fr');
+});
+
+test('a guest greeting uses the chosen recipient time zone', async () => {
+    const { run, document, timers } = await greetWithProfile('Bob');
+    run("saveToStorage(STORAGE_KEYS.RECIPIENT_TIME_ZONE, 'Asia/Tokyo')");
+    timers.runAll();
+    document.getElementById('nameInput').value = 'Bob';
+    await run('greetUser()');
+
+    assert.match(document.getElementById('greetingMessage').querySelector('.recipient-time').textContent, /Tokyo/);
+});
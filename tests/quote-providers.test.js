@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, toPlain } = require('./helpers/browser');
+
+const CORPUS = [
+    { text: 'Corpus quote one.', author: 'First' },
+    { text: 'Corpus quote two.', author: 'Second' }
+];
+
+/**
+ * Build a fetch stub with the quote API offline and the corpus available
+ * @param {Object} requests - Counts requests per URL
+ * @returns {Function} fetch implementation
+ */
+function offlineApiWithCorpus(requests) {
+    return async (url) => {
+        requests[url] = (requests[url] || 0) + 1;
+        if (url.endsWith('quotes.json')) {
+            return { ok: true, json: async () => CORPUS };
+        }
+        throw new TypeError('Failed to fetch');
+    };
+}
+
+test('the corpus is downloaded once and reused for later quotes', async () => {
+    const requests = {};
+    const { run } = loadApp({ fetch: offlineApiWithCorpus(requests) });
+
+    for (let i = 0; i < 3; i++) {
+        const quote = await run("fetchQuoteOfTheDay({ mode: 'random' })");
+        assert.ok(CORPUS.some(({ text }) => text === quote.text));
+    }
+    assert.equal(requests['./quotes.json'], 1);
+});
+
+test('parseCustomQuotes reads one quote and author per line', () => {
+    const { run } = loadApp();
+    const { quotes, errors } = run(`parseCustomQuotes([
+        '“Stay curious.” — Ada Lovelace',
+        '',
+        'Well-known - but true - Anonymous',
+        'A quote – Someone'
+    ].join('\\n'))`);
+
+    assert.deepEqual(toPlain(errors), []);
+    assert.deepEqual(toPlain(quotes), [
+        { text: 'Stay curious.', author: 'Ada Lovelace' },
+        { text: 'Well-known - but true', author: 'Anonymous' },
+        { text: 'A quote', author: 'Someone' }
+    ]);
+});
+
+test('parseCustomQuotes reports lines without an author or over the limit', () => {
+    const { run } = loadApp();
+    const { quotes, errors } = run(`parseCustomQuotes([
+        'Good quote — Author',
+        'No author here',
+        '${'x'.repeat(301)} — Author'
+    ].join('\\n'))`);
+
+    assert.equal(quotes.length, 1);
+    assert.deepEqual(toPlain(errors.map(({ key, params }) => [key, params.line])), [
+        ['customQuotes.invalidLine', 2],
+        ['customQuotes.tooLong', 3]
+    ]);
+});
+
+test('saving the custom quotes box puts those quotes first', async () => {
+    const requests = {};
+    const { run, document } = loadApp({ fetch: offlineApiWithCorpus(requests) });
+    run('initializeCustomQuotes()');
+    const input = document.getElementById('customQuotesInput');
+    const status = document.getElementById('customQuotesStatus');
+
+    input.value = 'Mine and only mine — Me';
+    document.getElementById('saveCustomQuotesButton').click();
+
+    assert.equal(status.textContent, 'Saved 1 quote.');
+    assert.deepEqual(toPlain(run('getCustomQuotes()')), [{ text: 'Mine and only mine', author: 'Me' }]);
+    assert.deepEqual(toPlain(await run('fetchQuoteOfTheDay()')), { text: 'Mine and only mine', author: 'Me' });
+    assert.equal(requests['./quotes.json'], undefined);
+});
+
+test('an invalid custom quotes box is not saved', () => {
+    const { run, document } = loadApp();
+    run('initializeCustomQuotes()');
+    run("saveCustomQuotes([{ text: 'Kept', author: 'Before' }])");
+    const input = document.getElementById('customQuotesInput');
+
+    input.value = 'Fine — Author\nbroken line';
+    document.getElementById('saveCustomQuotesButton').click();
+
+    assert.equal(input.getAttribute('aria-invalid'), 'true');
+    assert.match(document.getElementById('customQuotesStatus').textContent, /Line 2/);
+    assert.deepEqual(toPlain(run('getCustomQuotes()')), [{ text: 'Kept', author: 'Before' }]);
+});
@@ -0,0 +1,127 @@
+// Hostile names and quote payloads must reach the page as text, never as markup
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, walk, FakeNode } = require('./helpers/browser');
+
+// Mixed case, so name capitalization leaves them as typed
+const HOSTILE_STRINGS = [
+    '<IMG src=x onerror=alert(1)>',
+    '<Script>alert(document.cookie)</Script>',
+    '"><SVG onload=alert(1)>',
+    "' onmouseover='Alert(1)' data-x='",
+    '</div><IFRAME src="javascript:alert(1)"></IFRAME>',
+    '&lt;B&gt;escaped&lt;/B&gt; &amp; <B>raw</B>'
+];
+
+const FORBIDDEN_TAGS = ['SCRIPT', 'IMG', 'SVG', 'IFRAME', 'B'];
+
+/**
+ * Assert that a rendered tree holds each payload verbatim in a text node and
+ * that no element or event handler attribute was made from it
+ * @param {FakeNode} root - Rendered tree
+ * @param {string[]} payloads - Strings that must appear as text
+ */
+function assertRenderedAsText(root, payloads) {
+    const nodes = walk(root);
+    nodes.filter((node) => node.nodeType === FakeNode.ELEMENT_NODE).forEach((element) => {
+        assert.ok(!FORBIDDEN_TAGS.includes(element.tagName), `unexpected <${element.tagName}> element`);
+        [...element.attributes.keys()].forEach((name) => {
+            assert.ok(!name.startsWith('on'), `unexpected ${name} attribute on <${element.tagName}>`);
+        });
+    });
+    const texts = nodes.filter((node) => node.nodeType === FakeNode.TEXT_NODE).map((node) => node.data);
+    payloads.forEach((payload) => {
+        assert.ok(texts.some((text) => text.includes(payload)), `payload not found as text: ${payload}`);
+    });
+}
+
+/**
+ * Build a fetch stub whose quote API answers with the given payload
+ * @param {Object} payload - JSON body for the quote API
+ * @returns {Function} fetch implementation
+ */
+function quoteApiReturning(payload) {
+    return async () => ({ ok: true, json: async () => payload });
+}
+
+test('createElement turns string and number children into text nodes', () => {
+    const { run } = loadApp();
+    HOSTILE_STRINGS.forEach((payload) => {
+        const element = run(`createElement('div', { className: 'x' }, ${JSON.stringify(payload)}, 42, [null, 'nested'])`);
+        assert.deepEqual(element.childNodes.map((node) => node.nodeType), [FakeNode.TEXT_NODE, FakeNode.TEXT_NODE, FakeNode.TEXT_NODE]);
+        assert.equal(element.textContent, `${payload}42nested`);
+    });
+});
+
+test('createElement never sets inline handler attributes', () => {
+    const { run } = loadApp();
+    const element = run(`createElement('a', {
+        onclick: 'alert(1)',
+        onError: 'alert(2)',
+        ONMOUSEOVER: 'alert(3)',
+        onClick: () => {},
+        title: ${JSON.stringify(HOSTILE_STRINGS[3])}
+    })`);
+
+    assert.deepEqual([...element.attributes.keys()], ['title']);
+    assert.equal(element.getAttribute('title'), HOSTILE_STRINGS[3]);
+    assert.equal(element.listeners.click.length, 1);
+});
+
+test('createEnhancedGreeting renders hostile names and quotes as text', () => {
+    const { run } = loadApp();
+    HOSTILE_STRINGS.forEach((payload) => {
+        const greeting = run(`createEnhancedGreeting(
+            ${JSON.stringify(payload)},
+            findHelloTranslation('en'),
+            { text: ${JSON.stringify(payload)}, author: ${JSON.stringify(`${payload} (author)`)} }
+        )`);
+        assertRenderedAsText(greeting, [payload, `${payload} (author)`]);
+    });
+});
+
+test('greetUser renders a hostile name and quote API payload as text', async () => {
+    for (const payload of HOSTILE_STRINGS) {
+        const { run, document } = loadApp({
+            reducedMotion: true,
+            fetch: quoteApiReturning({ content: payload, author: payload })
+        });
+        const nameInput = document.getElementById('nameInput');
+        nameInput.value = payload;
+
+        await run('greetUser()');
+
+        const message = document.getElementById('greetingMessage');
+        assert.match(message.className, /enhanced/);
+        assert.equal(message.querySelector('.quote-text').textContent, `"${payload}"`);
+        assertRenderedAsText(message, [payload]);
+    }
+});
+
+test('received greeting links render hostile payloads as text', () => {
+    const { run, document } = loadApp({ reducedMotion: true });
+    HOSTILE_STRINGS.forEach((payload) => {
+        const url = run(`createShareUrl({
+            name: ${JSON.stringify(payload)},
+            code: 'fr',
+            quote: { text: ${JSON.stringify(payload)}, author: 'Anon' },
+            effect: 'confetti'
+        })`);
+        const shared = run(`readSharedGreeting(${JSON.stringify(url.slice(url.indexOf('#')))})`);
+        assert.equal(shared.name, payload);
+
+        run('replaySharedGreeting')(shared);
+        assertRenderedAsText(document.getElementById('greetingMessage'), [payload]);
+    });
+});
+
+test('history entries render hostile quotes as text', () => {
+    const { run, document } = loadApp();
+    HOSTILE_STRINGS.forEach((payload) => {
+        run(`recordGreeting({ language: 'en', quote: { text: ${JSON.stringify(payload)}, author: 'Anon' }, effect: 'confetti' })`);
+    });
+
+    run('renderHistory()');
+    assertRenderedAsText(document.getElementById('historyList'), HOSTILE_STRINGS);
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/browser');
+
+test('resetting settings restores the profile\'s settings and keeps the device sound settings', () => {
+    const { run } = loadApp();
+    run("createProfile('Alice'); saveUserSetting('GROUP.INTERVAL', 9000); saveSoundSettings({ volume: 0.3, muted: true, pack: 'silent' })");
+    const defaultInterval = run('getDefaultSetting(SETTINGS_FIELDS.find(({ path }) => path === "GROUP.INTERVAL"))');
+
+    run('resetUserSettings()');
+
+    assert.equal(run('CONFIG.GROUP.INTERVAL'), defaultInterval);
+    assert.equal(run('getSoundSettings().volume'), 0.3);
+    assert.equal(run('getSoundSettings().muted'), true);
+    assert.equal(run('getSoundSettings().pack'), 'silent');
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/browser');
+
+test('a stored sound pack naming an inherited property falls back to the default pack', () => {
+    const { run } = loadApp();
+    ['toString', 'constructor', '__proto__'].forEach((pack) => {
+        run(`saveToStorage(STORAGE_KEYS.SOUND, { volume: 0.5, muted: false, pack: ${JSON.stringify(pack)} })`);
+        assert.equal(run('getSoundSettings().pack'), run('DEFAULT_SOUND_SETTINGS.pack'));
+    });
+});
+
+test('a known sound pack is kept', () => {
+    const { run } = loadApp();
+    run("saveSoundSettings({ pack: 'silent' })");
+    assert.equal(run('getSoundSettings().pack'), 'silent');
+});
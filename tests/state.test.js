@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, toPlain } = require('./helpers/browser');
+
+const GOOD_ENTRY = { at: '2026-03-01T09:00:00.000Z', language: 'fr', quote: { text: 'Kept quote', author: 'Someone' }, effect: 'confetti' };
+
+/**
+ * Build an export document holding one profile with the given greeting log
+ * @param {Array} visitHistory - The profile's log
+ * @returns {string} JSON export document
+ */
+function exportWithHistory(visitHistory) {
+    return JSON.stringify({
+        app: 'greeting-app',
+        version: 3,
+        data: {
+            profiles: { p1: { id: 'p1', createdAt: '2026-01-01T00:00:00.000Z', userName: 'Alice', visitHistory } },
+            activeProfileId: 'p1'
+        }
+    });
+}
+
+test('importing drops malformed history entries and keeps the rest', () => {
+    const { run } = loadApp();
+    run(`importState(${JSON.stringify(exportWithHistory([
+        GOOD_ENTRY,
+        { ...GOOD_ENTRY, quote: 'just a string' },
+        { ...GOOD_ENTRY, quote: { text: 42 } },
+        { ...GOOD_ENTRY, quote: { author: 'No text' } },
+        { ...GOOD_ENTRY, at: 'not a date' },
+        { ...GOOD_ENTRY, effect: undefined },
+        'not an entry',
+        { ...GOOD_ENTRY, quote: null }
+    ]))})`);
+
+    assert.equal(run('getActiveProfile().userName'), 'Alice');
+    assert.deepEqual(toPlain(run('getVisitHistory().map((entry) => entry.quote && entry.quote.text)')), ['Kept quote', null]);
+});
+
+test('the history view renders imported entries without undefined text', () => {
+    const { run, document } = loadApp();
+    run(`importState(${JSON.stringify(exportWithHistory([
+        GOOD_ENTRY,
+        { ...GOOD_ENTRY, quote: { text: 'Missing author' } }
+    ]))})`);
+
+    run('renderHistory()');
+    const text = document.getElementById('historyList').textContent;
+    assert.match(text, /"Kept quote" — Someone/);
+    assert.doesNotMatch(text, /undefined|Missing author/);
+});
+
+test('importing drops a profile locale the app has no catalog for', () => {
+    const { run } = loadApp();
+    const document = JSON.parse(exportWithHistory([GOOD_ENTRY]));
+    document.data.profiles.p1.locale = 'constructor';
+    run(`importState(${JSON.stringify(JSON.stringify(document))})`);
+
+    assert.equal(run('getActiveProfile().userName'), 'Alice');
+    assert.equal(run("loadFromStorage(STORAGE_KEYS.LOCALE)"), null);
+    assert.doesNotThrow(() => run('applyTranslations()'));
+});